@@ -1,3 +1,51 @@
+/**
+ * Base class for errors thrown by nope-redis
+ */
+declare class NopeRedisErrorClass extends Error {}
+
+/**
+ * Thrown when a command is used on a key holding a value it cannot operate on
+ */
+declare class WrongTypeErrorClass extends NopeRedisErrorClass {
+	/** The key that holds the incompatible value */
+	key: string;
+	constructor(key: string, message?: string);
+}
+
+/**
+ * Thrown in strict mode when a command is used while the service is stopped
+ */
+declare class ServiceStoppedErrorClass extends NopeRedisErrorClass {
+	/** The command that was refused */
+	command: string;
+	constructor(command: string);
+}
+
+/**
+ * Thrown in strict mode when a command gets an invalid argument
+ */
+declare class InvalidArgumentErrorClass extends NopeRedisErrorClass {}
+
+/**
+ * Thrown in strict mode when a key is not a string
+ */
+declare class InvalidKeyErrorClass extends InvalidArgumentErrorClass {
+	/** The rejected key */
+	key: any;
+	constructor(key: any);
+}
+
+/**
+ * Thrown in strict mode when a TTL or other duration is invalid
+ */
+declare class InvalidTtlErrorClass extends InvalidArgumentErrorClass {
+	/** The rejected value */
+	ttl: any;
+	constructor(ttl: any, name?: string);
+}
+
+declare const nopeRedis: nopeRedis.DefaultCache;
+
 export = nopeRedis;
 
 declare namespace nopeRedis {
@@ -7,7 +55,7 @@ declare namespace nopeRedis {
 	export interface Config {
 		/** Default TTL in seconds (default: 30) */
 		defaultTtl?: number;
-		/** Enable memory statistics collection (default: false) */
+		/** Sample the memory history every historyInterval seconds (default: false) */
 		isMemoryStatsEnabled?: boolean;
 		/** Maximum memory size in MB (default: 100) */
 		maxMemorySize?: number;
@@ -15,8 +63,64 @@ declare namespace nopeRedis {
 		evictionPolicy?: 'lru' | 'lfu' | 'ttl';
 		/** Maximum keys to check per cleanup cycle (default: 100000) */
 		maxChecksPerCycle?: number;
+		/** File to auto-save snapshots to, null disables auto-save (default: null) */
+		snapshotPath?: string | null;
+		/** Seconds between automatic snapshots (default: 60) */
+		snapshotInterval?: number;
+		/** Append-only log file, replayed when set, null disables logging (default: null) */
+		appendOnlyPath?: string | null;
+		/** When the append-only log is flushed to disk (default: 'everysec') */
+		appendFsync?: 'always' | 'everysec' | 'no';
+		/** Restart the TTL of keys stored from now on whenever they are read (default: false) */
+		slidingExpiration?: boolean;
+		/** Seconds a sliding key can live in total, 0 removes the cap (default: 0) */
+		maxLifetime?: number;
+		/** Seconds keys stored from now on stay readable after expiring, 0 disables (default: 0) */
+		staleTtl?: number;
+		/** Throw typed errors instead of returning false, and return undefined for misses (default: false) */
+		strict?: boolean;
+		/** Logger receiving every log line, e.g. pino or winston; null restores console (default: console) */
+		logger?: Logger | null;
+		/** Time get, set, delete, eviction and killer operations for latency() and the slowlog (default: false) */
+		latencyTracking?: boolean;
+		/** Milliseconds an operation must take to enter the slowlog (default: 10) */
+		slowlogThreshold?: number;
+		/** Entries the slowlog keeps, dropping the oldest (default: 128) */
+		slowlogMaxLen?: number;
+		/** Seconds between memory history samples, at least 5 as the cleanup cycle takes them (default: 3600) */
+		historyInterval?: number;
+		/** Memory history samples kept, dropping the oldest (default: 24) */
+		historySize?: number;
+	}
+
+	/**
+	 * Logger accepted by config(); each method is called with a message and an optional error or detail
+	 */
+	export interface Logger {
+		error(message: string, detail?: any): void;
+		warn(message: string, detail?: any): void;
+	}
+
+	/**
+	 * Handler for onError(), called with the failed command or internal task, the key it was working on and the error
+	 */
+	export type ErrorHandler = (operation: string, key: string | undefined, error: Error) => void;
+
+	/**
+	 * Details passed to onCriticalReset() handlers
+	 */
+	export interface CriticalResetInfo {
+		/** Number of critical errors since the service was started */
+		attempt: number;
+		/** Whether the service restarts, false once it gave up after 3 critical errors */
+		restarting: boolean;
 	}
 
+	/**
+	 * Handler for onCriticalReset(), called after a critical error flushed all data
+	 */
+	export type CriticalResetHandler = (error: Error, info: CriticalResetInfo) => void;
+
 	/**
 	 * Statistics object returned by stats()
 	 */
@@ -39,145 +143,1325 @@ declare namespace nopeRedis {
 		nextKiller: number;
 		/** Memory stats collection status */
 		isMemoryStatsEnabled: boolean;
+		/** Strict mode status */
+		strict: boolean;
+		/** Latency tracking status */
+		latencyTracking: boolean;
 		/** Next stats collection time (if memory stats enabled) */
 		nextMemoryStatsTime?: number;
-		/** Historical memory data (if memory stats enabled) */
-		memoryStats?: Record<string, string>;
+		/** Memory history samples, oldest first (if memory stats enabled) */
+		memoryStats?: MemorySample[];
 		/** Maximum memory limit */
 		maxMemorySize: string;
 		/** Default TTL in seconds */
 		defaultTtl: number;
+		/** Whether keys stored without options slide */
+		slidingExpiration: boolean;
+		/** Seconds a sliding key can live in total, 0 means no cap */
+		maxLifetime: number;
+		/** Seconds keys stored without options stay readable after expiring */
+		staleTtl: number;
 		/** Current eviction policy */
 		evictionPolicy: 'lru' | 'lfu' | 'ttl';
+		/** Number of tags carried by at least one key */
+		tagCount: number;
 		/** Number of critical errors */
 		criticalError: number;
 		/** Array of all keys (if showKeys is true) */
 		keys?: string[];
+		/** Auto-save snapshot file (if snapshotPath is configured) */
+		snapshotPath?: string;
+		/** Timestamp of the last successful snapshot (if snapshotPath is configured) */
+		lastSnapshot?: number;
+		/** Next automatic snapshot time (if snapshotPath is configured) */
+		nextSnapshotTime?: number;
+		/** Append-only log file (if appendOnlyPath is configured) */
+		appendOnlyPath?: string;
+		/** Append-only log fsync policy (if appendOnlyPath is configured) */
+		appendFsync?: 'always' | 'everysec' | 'no';
+		/** Whether records are currently being appended (if appendOnlyPath is configured) */
+		appendOnlyEnabled?: boolean;
 	}
 
 	/**
 	 * Item statistics for a specific key
 	 */
 	export interface ItemStats {
-		/** Unix timestamp when item expires */
-		expires_at: number;
-		/** Seconds remaining until expiration */
+		/** Unix timestamp when item expires, null if it never expires */
+		expires_at: number | null;
+		/** Seconds remaining until expiration, rounded up, -1 if it never expires */
 		remaining_seconds: number;
 		/** Number of times accessed */
 		hit: number;
+		/** Write version, changes every time the key is written; used by compareAndSet({ compare: 'version' }) */
+		version: number;
+	}
+
+	/**
+	 * Options for getEx()
+	 */
+	export interface GetExOptions {
+		/** New time-to-live in seconds */
+		ttl?: number;
+		/** Remove the expiry so the key never expires */
+		persist?: boolean;
+	}
+
+	/**
+	 * Options for setItem()
+	 */
+	export interface SetOptions {
+		/** TTL in seconds (default: defaultTtl) */
+		ttl?: number;
+		/** Restart the TTL on every read (default: the slidingExpiration config) */
+		sliding?: boolean;
+		/** Seconds a sliding key can live in total (default: the maxLifetime config) */
+		maxLifetime?: number;
+		/** Seconds the key stays readable after expiring, while it is refreshed (default: the staleTtl config) */
+		staleTtl?: number;
+		/** Tags to invalidate the key by with invalidateTags(); a later write without tags removes them */
+		tags?: string[];
+	}
+
+	/**
+	 * setItem() options with conditional writes
+	 */
+	export interface ConditionalSetOptions extends SetOptions {
+		/** Only write if the key does not exist */
+		nx?: boolean;
+		/** Only write if the key already exists */
+		xx?: boolean;
+		/** Return the previous value */
+		get?: boolean;
+	}
+
+	/**
+	 * Result of setItem() with nx, xx or get
+	 */
+	export interface SetResult<T = any, Strict extends boolean = false> {
+		/** Whether the value was written */
+		written: boolean;
+		/** Value before the write, null (undefined in strict mode) if the key did not exist (only with get) */
+		previous?: T | Miss<Strict>;
+	}
+
+	/**
+	 * Options for compareAndSet()
+	 */
+	export interface CompareAndSetOptions extends SetOptions {
+		/** Compare the current value deeply, or the write version from itemStats() (default: 'value') */
+		compare?: 'value' | 'version';
+	}
+
+	/**
+	 * Result of compareAndSet(), describing the key after the call
+	 */
+	export interface CompareAndSetResult<T = any, Strict extends boolean = false> {
+		/** Whether the new value was written */
+		written: boolean;
+		/** Current value, null (undefined in strict mode) if the key does not exist */
+		value: T | Miss<Strict>;
+		/** Current write version, 0 if the key does not exist */
+		version: number;
+	}
+
+	/**
+	 * Options for registerLoader(): setItem options used to store loaded values, plus refresh-ahead settings
+	 */
+	export interface LoaderOptions extends SetOptions {
+		/** Seconds before expiry in which a read starts a background refresh, 0 disables (default: 0) */
+		refreshAhead?: number;
+		/** Hits a key needs before it is refreshed ahead (default: 1) */
+		refreshAheadHits?: number;
+	}
+
+	/**
+	 * Options for memoize(): setItem options used to store results, plus key settings
+	 */
+	export interface MemoizeOptions<A extends any[] = any[]> extends SetOptions {
+		/** Builds the key from the call arguments (default: a stable serialization of the arguments) */
+		keyFn?: (...args: A) => string;
+		/** Key prefix (default: a unique name per memoized function) */
+		namespace?: string;
+	}
+
+	/**
+	 * Per-function counts returned by a memoized function's stats()
+	 */
+	export interface MemoizeStats {
+		/** Calls answered from the cache or by joining a call in flight */
+		hits: number;
+		/** Calls that ran the original function */
+		misses: number;
+	}
+
+	/**
+	 * Function returned by memoize()
+	 */
+	export interface MemoizedFunction<F extends (...args: any[]) => any> {
+		(...args: Parameters<F>): ReturnType<F>;
+		/** Delete every cached result of this function, returns the number deleted */
+		clear(): number;
+		/** Delete the cached result for one set of arguments, returns true if one was cached */
+		delete(...args: Parameters<F>): boolean;
+		/** Hit and miss counts of this function, separate from the global totalHits */
+		stats(): MemoizeStats;
+	}
+
+	/**
+	 * Options for scan() and scanIterator()
+	 */
+	export interface ScanOptions {
+		/** Glob pattern keys must match */
+		match?: string;
+		/** Number of keys to look at per batch; the batch can be smaller after filtering (default: 10, 1000 for scanIterator) */
+		count?: number;
+		/** Only return keys of this type, "string" being setItem values */
+		type?: 'string' | 'hash' | 'list' | 'set' | 'zset';
+	}
+
+	/**
+	 * Transaction returned by multi() and watch(). Commands are queued and applied together by exec().
+	 */
+	export interface Transaction<Strict extends boolean = false> {
+		/** Queue a setItem */
+		setItem<T = any>(key: string, value: T, options?: number | ConditionalSetOptions): Transaction<Strict>;
+		/** Queue a deleteItem */
+		deleteItem(key: string): Transaction<Strict>;
+		/** Queue an incr */
+		incr(key: string): Transaction<Strict>;
+		/** Queue an expire */
+		expire(key: string, seconds: number): Transaction<Strict>;
+		/** Make exec() abort if any of the keys changes from now on */
+		watch(keys: string | string[]): Transaction<Strict>;
+		/**
+		 * Apply the queued commands; if any would fail, none is applied.
+		 * @returns Result of each command in queue order, null if a watched key changed, or false if service is stopped,
+		 * a command would fail or the transaction already finished
+		 * @throws {WrongTypeError} If incr is queued for a key holding a non-integer
+		 * @throws {NopeRedisError} In strict mode, instead of returning false
+		 */
+		exec(): any[] | null | Failure<Strict>;
+		/** Drop the queued commands; the transaction cannot be executed afterwards */
+		discard(): true;
 	}
 
 	/**
 	 * Batch item for setItems operation
 	 */
-	export interface BatchItem<T = any> {
+	export interface BatchItem<T = any> extends SetOptions {
 		/** The key to store */
 		key: string;
 		/** The value to store */
 		value: T;
-		/** TTL in seconds (optional) */
-		ttl?: number;
 	}
 
 	/**
-	 * Options for stats() method
+	 * Options for zrange()
 	 */
-	export interface StatsOptions {
-		/** Include array of all keys (default: true) */
-		showKeys?: boolean;
-		/** Include total count (default: true) */
-		showTotal?: boolean;
-		/** Include current memory usage in stats output (default: false) */
-		showSize?: boolean;
+	export interface ZRangeOptions {
+		/** Return [member, score] pairs (default: false) */
+		withScores?: boolean;
+		/** Rank from the highest score instead (default: false) */
+		rev?: boolean;
 	}
 
 	/**
-	 * Configure nope-redis settings
-	 * @param options Configuration options
-	 * @returns true on success, false on error
+	 * Options for zrangebyscore()
 	 */
-	export function config(options: Config): boolean;
+	export interface ZRangeByScoreOptions {
+		/** Return [member, score] pairs (default: false) */
+		withScores?: boolean;
+		/** Skip offset matches and return at most count (negative count returns all) */
+		limit?: { offset: number; count: number };
+	}
+
+	/**
+	 * A zrangebyscore bound: a number, '-inf', '+inf', or a string starting with '(' for an exclusive bound
+	 */
+	export type ScoreBound = number | string;
 
 	/**
-	 * Set an item in the cache
-	 * @param key The key to store the value under (must be a string)
-	 * @param value The value to store (can be any JavaScript type)
-	 * @param ttl Time-to-live in seconds (optional, defaults to defaultTtl)
-	 * @returns true if stored successfully, false if service is stopped or error occurs
+	 * Key-space event types
 	 */
-	export function setItem<T = any>(key: string, value: T, ttl?: number): boolean;
+	export type KeyEventType = 'set' | 'del' | 'expired' | 'evicted' | 'flush';
 
 	/**
-	 * Get an item from the cache
-	 * @param key The key to retrieve
-	 * @returns The stored value, null if key doesn't exist or has expired, or false if service is stopped
+	 * A key-space event delivered to on() and subscribeKeys() handlers
 	 */
-	export function getItem<T = any>(key: string): T | null | false;
+	export interface KeyEvent<T = any> {
+		/** What happened to the key */
+		type: KeyEventType;
+		/** The affected key, null for flush events */
+		key: string | null;
+		/** Command that caused the event, the eviction policy for evictions, or 'ttl' for expirations */
+		reason: string;
+		/** New value (set events); absent for hash, list, set and sorted set keys */
+		value?: T;
+		/**
+		 * Value before the change (set events replacing a live value, del, expired and evicted events);
+		 * absent for hash, list, set and sorted set keys
+		 */
+		oldValue?: T;
+	}
+
+	export type KeyEventHandler<T = any> = (event: KeyEvent<T>) => void;
+
+	/** Handler for subscribe(); receives the message and its channel */
+	export type MessageHandler<T = any> = (message: T, channel: string) => void;
+
+	/** Handler for psubscribe(); also receives the matched pattern */
+	export type PatternMessageHandler<T = any> = (message: T, channel: string, pattern: string) => void;
 
 	/**
-	 * Delete an item from the cache
-	 * @param key The key to delete
-	 * @returns true if operation succeeded (even if key doesn't exist), false if service is stopped
+	 * Counters and gauges returned by metrics(). Counters only grow, across flushAll(),
+	 * SERVICE_KILL() and critical resets.
 	 */
-	export function deleteItem(key: string): boolean;
+	export interface Metrics {
+		/** Reads of getItem, getItems, getEx, wrap and memoized functions that found a value */
+		hits: number;
+		/** Reads of getItem, getItems, getEx, wrap and memoized functions that found nothing */
+		misses: number;
+		/** Writes, one per set key-space event */
+		sets: number;
+		/** Keys deleted by commands */
+		deletes: number;
+		/** Keys removed after their TTL passed */
+		expired: number;
+		/** Keys evicted to stay under maxMemorySize, by the eviction policy in use at the time */
+		evicted: { lru: number; lfu: number; ttl: number };
+		/** Critical errors that flushed all data */
+		criticalResets: number;
+		/** Keys in the store */
+		keys: number;
+		/** Estimated memory used by the store in bytes */
+		bytes: number;
+		/** Memory limit in bytes */
+		maxBytes: number;
+		/** hits / (hits + misses), 0 before the first read */
+		hitRatio: number;
+	}
 
 	/**
-	 * Get statistics for a specific key
-	 * @param key The key to get statistics for
-	 * @returns Object with expires_at, remaining_seconds, and hit count, null if key doesn't exist, or false if service is stopped
+	 * Operations timed while latencyTracking is on
 	 */
-	export function itemStats(key: string): ItemStats | null | false;
+	export type LatencyOperation = 'get' | 'set' | 'delete' | 'eviction' | 'killer';
 
 	/**
-	 * Clear all cached data
-	 * @returns true on success, false if service is stopped
+	 * Latency summary of one operation, durations in milliseconds
 	 */
-	export function flushAll(): boolean;
+	export interface LatencyStats {
+		/** Timed operations */
+		count: number;
+		/** Average duration */
+		mean: number;
+		/** Median duration, within about 19% */
+		p50: number;
+		/** 95th percentile, within about 19% */
+		p95: number;
+		/** 99th percentile, within about 19% */
+		p99: number;
+		/** Longest duration */
+		max: number;
+	}
 
 	/**
-	 * Set multiple items in a single operation
-	 * @param items Array of items to set
-	 * @returns Array of success status for each item, or false on error
+	 * An operation recorded by the slowlog
 	 */
-	export function setItems<T = any>(items: BatchItem<T>[]): boolean[] | false;
+	export interface SlowlogEntry {
+		/** Increasing entry id */
+		id: number;
+		/** When the operation finished, in milliseconds since the epoch */
+		timestamp: number;
+		/** Duration in milliseconds */
+		duration: number;
+		/** The slow operation */
+		operation: LatencyOperation;
+		/** Key the operation worked on, null for killer cycles */
+		key: string | null;
+	}
 
 	/**
-	 * Get multiple items at once
-	 * @param keys Array of keys to retrieve
-	 * @returns Object with key-value pairs, non-existent/expired keys return null
+	 * A memory history sample: the store size when taken and the activity since the previous sample
 	 */
-	export function getItems<T = any>(keys: string[]): Record<string, T | null> | false;
+	export interface MemorySample {
+		/** When the sample was taken, in milliseconds since the epoch */
+		timestamp: number;
+		/** Estimated memory used by the stored values */
+		bytes: number;
+		/** Number of keys */
+		keys: number;
+		/** Value reads finding a key since the previous sample */
+		hits: number;
+		/** Value reads finding no key since the previous sample */
+		misses: number;
+		/** Keys evicted by the memory limit since the previous sample */
+		evictions: number;
+		/** Keys removed on expiry since the previous sample */
+		expirations: number;
+	}
+
+	/**
+	 * Time range for history(), each bound a Date or milliseconds since the epoch
+	 */
+	export interface HistoryOptions {
+		/** Only samples taken at or after this time */
+		since?: number | Date;
+		/** Only samples taken at or before this time */
+		until?: number | Date;
+	}
+
+	/**
+	 * Options for metricsText()
+	 */
+	export interface MetricsTextOptions {
+		/** Prefix of every metric name (default: 'nope_redis') */
+		prefix?: string;
+		/** Labels added to every sample, e.g. { cache: 'sessions' } (default: {}) */
+		labels?: Record<string, string | number>;
+	}
+
+	/**
+	 * Options for stats() method
+	 */
+	export interface StatsOptions {
+		/** Include array of all keys (default: true) */
+		showKeys?: boolean;
+		/** Include total count (default: true) */
+		showTotal?: boolean;
+		/** Include current memory usage in stats output (default: false) */
+		showSize?: boolean;
+	}
 
 	/**
-	 * Delete multiple items in a single operation
-	 * @param keys Array of keys to delete
-	 * @returns true if operation succeeded
+	 * Result of a read that found nothing: null, or undefined in strict mode
 	 */
-	export function deleteItems(keys: string[]): boolean;
+	export type Miss<Strict extends boolean = false> = Strict extends true ? undefined : null;
 
 	/**
-	 * Get comprehensive cache statistics
-	 * @param options Options for what to include in stats
-	 * @returns Statistics object
+	 * Result of a failed command: false, or never in strict mode where failures throw
 	 */
-	export function stats(options?: StatsOptions): Stats | false;
+	export type Failure<Strict extends boolean = false> = Strict extends true ? never : false;
 
 	/**
-	 * Stop the background cleanup service and clear all data
-	 * @returns Promise that resolves to true when service is killed
+	 * A cache instance. The module itself is the default instance; createCache()
+	 * returns additional instances with their own store and configuration.
+	 * Cache<true> describes a cache in strict mode, where commands throw a NopeRedisError
+	 * instead of returning false and misses return undefined instead of null.
 	 */
-	export function SERVICE_KILL(): Promise<true>;
+	export interface Cache<Strict extends boolean = false> {
+		/**
+		 * Configure nope-redis settings; invalid values are ignored, or rejected before any option applies in strict mode
+		 * @param options Configuration options
+		 * @returns true on success, false on error
+		 * @throws {InvalidTtlError} In strict mode, for an invalid defaultTtl, maxLifetime or staleTtl
+		 * @throws {InvalidArgumentError} In strict mode, for any other invalid option value
+		 */
+		config(options: Config): boolean;
+
+		/**
+		 * Receive unexpected errors, such as failing commands, event handlers, background refreshes
+		 * and append-only log writes, in addition to the logger. Typed errors reported to the caller are not passed on.
+		 * @param handler Called with (operation, key, error)
+		 * @returns Function that removes the handler, or false for a non-function handler
+		 */
+		onError(handler: ErrorHandler): (() => boolean) | Failure<Strict>;
+
+		/**
+		 * Be told when a critical error made the runner flush all data. The service restarts after
+		 * the first 3 critical errors and stays stopped after that.
+		 * @param handler Called with (error, { attempt, restarting })
+		 * @returns Function that removes the handler, or false for a non-function handler
+		 */
+		onCriticalReset(handler: CriticalResetHandler): (() => boolean) | Failure<Strict>;
+
+		/**
+		 * Set an item in the cache
+		 * @param key The key to store the value under (must be a string)
+		 * @param value The value to store (can be any JavaScript type)
+		 * @param options Time-to-live in seconds, or an options object (optional, defaults to defaultTtl)
+		 * @returns true if stored successfully, false if service is stopped or error occurs
+		 */
+		setItem<T = any>(key: string, value: T, options?: number | SetOptions): boolean;
+		/**
+		 * Set an item only if it does not exist (nx) or already exists (xx), optionally returning the previous value (get)
+		 * @param key The key to store the value under (must be a string)
+		 * @param value The value to store (can be any JavaScript type)
+		 * @param options Options object with nx, xx or get
+		 * @returns { written, previous? }, false if service is stopped or error occurs
+		 * @throws {WrongTypeError} With get, if the key holds a hash, list, set or sorted set
+		 */
+		setItem<T = any>(key: string, value: T, options: ConditionalSetOptions): SetResult<T, Strict> | Failure<Strict>;
+
+		/**
+		 * Write a value only if the current one matches the expected value or write version
+		 * @param key The key to write
+		 * @param expected Expected value (null for a missing key) or version (0 for a missing key)
+		 * @param next The value to store
+		 * @param options Time-to-live in seconds, or an options object (optional, defaults to defaultTtl)
+		 * @returns { written, value, version } after the call, false if service is stopped or error occurs
+		 * @throws {WrongTypeError} If the key holds a hash, list, set or sorted set
+		 */
+		compareAndSet<T = any>(
+			key: string,
+			expected: any,
+			next: T,
+			options?: number | CompareAndSetOptions,
+		): CompareAndSetResult<T, Strict> | Failure<Strict>;
+
+		/**
+		 * Get an item from the cache
+		 * @param key The key to retrieve
+		 * @returns The stored value, null if key doesn't exist or has expired, or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a hash, list, set or sorted set
+		 */
+		getItem<T = any>(key: string): T | Miss<Strict> | Failure<Strict>;
+
+		/**
+		 * Delete an item from the cache
+		 * @param key The key to delete
+		 * @returns true if operation succeeded (even if key doesn't exist), false if service is stopped
+		 */
+		deleteItem(key: string): boolean;
+
+		/**
+		 * Increment an integer value by one, creating it with defaultTtl if missing
+		 * @param key The key holding the counter
+		 * @returns The new value, or false if service is stopped, key is invalid or the result overflows
+		 * @throws {WrongTypeError} If the key holds a value that is not an integer
+		 */
+		incr(key: string): number | Failure<Strict>;
+
+		/**
+		 * Decrement an integer value by one, creating it with defaultTtl if missing
+		 * @param key The key holding the counter
+		 * @returns The new value, or false if service is stopped, key is invalid or the result overflows
+		 * @throws {WrongTypeError} If the key holds a value that is not an integer
+		 */
+		decr(key: string): number | Failure<Strict>;
+
+		/**
+		 * Increment an integer value by a given amount, creating it with defaultTtl if missing
+		 * @param key The key holding the counter
+		 * @param increment Integer to add (may be negative)
+		 * @returns The new value, or false if service is stopped, arguments are invalid or the result overflows
+		 * @throws {WrongTypeError} If the key holds a value that is not an integer
+		 */
+		incrBy(key: string, increment: number): number | Failure<Strict>;
+
+		/**
+		 * Increment a numeric value by a floating point amount, creating it with defaultTtl if missing
+		 * @param key The key holding the number
+		 * @param increment Finite number to add (may be negative)
+		 * @returns The new value, or false if service is stopped, arguments are invalid or the result is not finite
+		 * @throws {WrongTypeError} If the key holds a value that is not a number
+		 */
+		incrByFloat(key: string, increment: number): number | Failure<Strict>;
+
+		/**
+		 * Set a hash field, creating the hash with defaultTtl if missing
+		 * @param key The hash key
+		 * @param field Field name
+		 * @param value Field value
+		 * @returns Number of fields that were added (not updated), or false if service is stopped or arguments are invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a hash
+		 */
+		hset<T = any>(key: string, field: string, value: T): number | Failure<Strict>;
+		/**
+		 * Set several hash fields, creating the hash with defaultTtl if missing
+		 * @param key The hash key
+		 * @param fields Object of field/value pairs
+		 * @returns Number of fields that were added (not updated), or false if service is stopped or arguments are invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a hash
+		 */
+		hset<T = any>(key: string, fields: Record<string, T>): number | Failure<Strict>;
+
+		/**
+		 * Get the value of a hash field
+		 * @param key The hash key
+		 * @param field Field name
+		 * @returns The field value, null if the key or field doesn't exist, or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a hash
+		 */
+		hget<T = any>(key: string, field: string): T | Miss<Strict> | Failure<Strict>;
+
+		/**
+		 * Get the values of several hash fields
+		 * @param key The hash key
+		 * @param fields Field names
+		 * @returns Values in field order (null for missing fields), or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a hash
+		 */
+		hmget<T = any>(key: string, fields: string[]): Array<T | Miss<Strict>> | Failure<Strict>;
+
+		/**
+		 * Delete fields from a hash, removing the key when no fields are left
+		 * @param key The hash key
+		 * @param fields Field names
+		 * @returns Number of fields removed, or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a hash
+		 */
+		hdel(key: string, ...fields: string[]): number | Failure<Strict>;
+
+		/**
+		 * Get all fields and values of a hash
+		 * @param key The hash key
+		 * @returns Object of field/value pairs (empty if the key doesn't exist), or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a hash
+		 */
+		hgetall<T = any>(key: string): Record<string, T> | Failure<Strict>;
+
+		/**
+		 * Get all field names of a hash
+		 * @param key The hash key
+		 * @returns Field names (empty if the key doesn't exist), or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a hash
+		 */
+		hkeys(key: string): string[] | Failure<Strict>;
+
+		/**
+		 * Get the number of fields in a hash
+		 * @param key The hash key
+		 * @returns Field count (0 if the key doesn't exist), or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a hash
+		 */
+		hlen(key: string): number | Failure<Strict>;
+
+		/**
+		 * Check whether a hash field exists
+		 * @param key The hash key
+		 * @param field Field name
+		 * @returns true if the field exists, false if it doesn't or service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a hash
+		 */
+		hexists(key: string, field: string): boolean;
+
+		/**
+		 * Increment an integer hash field, creating the hash and field as needed
+		 * @param key The hash key
+		 * @param field Field name
+		 * @param increment Integer to add (may be negative)
+		 * @returns The new field value, or false if service is stopped, arguments are invalid or the result overflows
+		 * @throws {WrongTypeError} If the key is not a hash or the field does not hold an integer
+		 */
+		hincrby(key: string, field: string, increment: number): number | Failure<Strict>;
+
+		/**
+		 * Prepend values to a list, creating it with defaultTtl if missing
+		 * Values are inserted one after another, so lpush(key, 'a', 'b') leaves 'b' at the head.
+		 * @param key The list key
+		 * @param values Values to prepend
+		 * @returns Length of the list after the push, or false if service is stopped or arguments are invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a list
+		 */
+		lpush<T = any>(key: string, ...values: T[]): number | Failure<Strict>;
+
+		/**
+		 * Append values to a list, creating it with defaultTtl if missing
+		 * @param key The list key
+		 * @param values Values to append
+		 * @returns Length of the list after the push, or false if service is stopped or arguments are invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a list
+		 */
+		rpush<T = any>(key: string, ...values: T[]): number | Failure<Strict>;
+
+		/**
+		 * Remove and return the value at the head of a list
+		 * @param key The list key
+		 * @returns The value, null if the list doesn't exist, or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a list
+		 */
+		lpop<T = any>(key: string): T | Miss<Strict> | Failure<Strict>;
+		/**
+		 * Remove and return up to count values from the head of a list
+		 * @param key The list key
+		 * @param count Number of values to pop
+		 * @returns The values, null if the list doesn't exist, or false if service is stopped or count is invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a list
+		 */
+		lpop<T = any>(key: string, count: number): T[] | Miss<Strict> | Failure<Strict>;
+
+		/**
+		 * Remove and return the value at the tail of a list
+		 * @param key The list key
+		 * @returns The value, null if the list doesn't exist, or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a list
+		 */
+		rpop<T = any>(key: string): T | Miss<Strict> | Failure<Strict>;
+		/**
+		 * Remove and return up to count values from the tail of a list
+		 * @param key The list key
+		 * @param count Number of values to pop
+		 * @returns The values, null if the list doesn't exist, or false if service is stopped or count is invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a list
+		 */
+		rpop<T = any>(key: string, count: number): T[] | Miss<Strict> | Failure<Strict>;
+
+		/**
+		 * Get a range of list values, both ends inclusive, negative indexes count from the end
+		 * @param key The list key
+		 * @param start First index
+		 * @param stop Last index
+		 * @returns Values in the range (empty if the list doesn't exist), or false if service is stopped or indexes are invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a list
+		 */
+		lrange<T = any>(key: string, start: number, stop: number): T[] | Failure<Strict>;
+
+		/**
+		 * Get the length of a list
+		 * @param key The list key
+		 * @returns List length (0 if the list doesn't exist), or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a list
+		 */
+		llen(key: string): number | Failure<Strict>;
+
+		/**
+		 * Trim a list to the given range, both ends inclusive, removing the key if nothing is left
+		 * @param key The list key
+		 * @param start First index to keep
+		 * @param stop Last index to keep
+		 * @returns true on success (even if the list doesn't exist), false if service is stopped or indexes are invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a list
+		 */
+		ltrim(key: string, start: number, stop: number): boolean;
+
+		/**
+		 * Get a list value by index, negative indexes count from the end
+		 * @param key The list key
+		 * @param index Index of the value
+		 * @returns The value, null if the list or index doesn't exist, or false if service is stopped or index is invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a list
+		 */
+		lindex<T = any>(key: string, index: number): T | Miss<Strict> | Failure<Strict>;
+
+		/**
+		 * Remove occurrences of a value from a list, compared with ===
+		 * @param key The list key
+		 * @param count Positive removes from head to tail, negative from tail to head, 0 removes all
+		 * @param value The value to remove
+		 * @returns Number of removed values, or false if service is stopped or count is invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a list
+		 */
+		lrem<T = any>(key: string, count: number, value: T): number | Failure<Strict>;
+
+		/**
+		 * Pop from the head of the first non-empty list, waiting for a push if all are empty
+		 * @param keys List key, or keys checked in order
+		 * @param timeout Seconds to wait, 0 waits until a value arrives (default: 0)
+		 * @returns Promise of [key, value] once a value is popped, null on timeout, or false if service is stopped or arguments are invalid
+		 */
+		blpop<T = any>(keys: string | string[], timeout?: number): Promise<[string, T] | Miss<Strict> | Failure<Strict>>;
+
+		/**
+		 * Pop from the tail of the first non-empty list, waiting for a push if all are empty
+		 * @param keys List key, or keys checked in order
+		 * @param timeout Seconds to wait, 0 waits until a value arrives (default: 0)
+		 * @returns Promise of [key, value] once a value is popped, null on timeout, or false if service is stopped or arguments are invalid
+		 */
+		brpop<T = any>(keys: string | string[], timeout?: number): Promise<[string, T] | Miss<Strict> | Failure<Strict>>;
+
+		/**
+		 * Add members to a set, creating it with defaultTtl if missing
+		 * @param key The set key
+		 * @param members Members to add
+		 * @returns Number of members that were added (not already present), or false if service is stopped or arguments are invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a set
+		 */
+		sadd<T = any>(key: string, ...members: T[]): number | Failure<Strict>;
+
+		/**
+		 * Remove members from a set, removing the key when no members are left
+		 * @param key The set key
+		 * @param members Members to remove
+		 * @returns Number of members removed, or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a set
+		 */
+		srem<T = any>(key: string, ...members: T[]): number | Failure<Strict>;
+
+		/**
+		 * Get all members of a set
+		 * @param key The set key
+		 * @returns Members (empty if the key doesn't exist), or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a set
+		 */
+		smembers<T = any>(key: string): T[] | Failure<Strict>;
+
+		/**
+		 * Check whether a value is a member of a set
+		 * @param key The set key
+		 * @param member The value to look for
+		 * @returns true if it is a member, false if it isn't or service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a set
+		 */
+		sismember<T = any>(key: string, member: T): boolean;
+
+		/**
+		 * Get the number of members in a set
+		 * @param key The set key
+		 * @returns Member count (0 if the key doesn't exist), or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a set
+		 */
+		scard(key: string): number | Failure<Strict>;
+
+		/**
+		 * Get the members present in any of the given sets
+		 * @param keys Set keys, missing keys count as empty sets
+		 * @returns Members of the union, or false if service is stopped
+		 * @throws {WrongTypeError} If a key holds a value that is not a set
+		 */
+		sunion<T = any>(...keys: string[]): T[] | Failure<Strict>;
+
+		/**
+		 * Get the members present in every one of the given sets
+		 * @param keys Set keys, missing keys count as empty sets
+		 * @returns Members of the intersection, or false if service is stopped
+		 * @throws {WrongTypeError} If a key holds a value that is not a set
+		 */
+		sinter<T = any>(...keys: string[]): T[] | Failure<Strict>;
+
+		/**
+		 * Get the members of the first set that are in none of the other sets
+		 * @param keys Set keys, missing keys count as empty sets
+		 * @returns Members of the difference, or false if service is stopped
+		 * @throws {WrongTypeError} If a key holds a value that is not a set
+		 */
+		sdiff<T = any>(...keys: string[]): T[] | Failure<Strict>;
+
+		/**
+		 * Add a member to a sorted set or update its score, creating the set with defaultTtl if missing
+		 * @param key The sorted set key
+		 * @param score The member's score
+		 * @param member The member
+		 * @returns Number of members that were added (not updated), or false if service is stopped or arguments are invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+		 */
+		zadd(key: string, score: number, member: string): number | Failure<Strict>;
+		/**
+		 * Add members to a sorted set or update their scores, creating the set with defaultTtl if missing
+		 * @param key The sorted set key
+		 * @param members Object of member/score pairs
+		 * @returns Number of members that were added (not updated), or false if service is stopped or arguments are invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+		 */
+		zadd(key: string, members: Record<string, number>): number | Failure<Strict>;
+
+		/**
+		 * Remove members from a sorted set, removing the key when no members are left
+		 * @param key The sorted set key
+		 * @param members Members to remove
+		 * @returns Number of members removed, or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+		 */
+		zrem(key: string, ...members: string[]): number | Failure<Strict>;
+
+		/**
+		 * Get the score of a sorted set member
+		 * @param key The sorted set key
+		 * @param member The member
+		 * @returns The score, null if the key or member doesn't exist, or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+		 */
+		zscore(key: string, member: string): number | Miss<Strict> | Failure<Strict>;
+
+		/**
+		 * Increment the score of a sorted set member, adding it with the increment as score if missing
+		 * @param key The sorted set key
+		 * @param increment Amount to add (may be negative)
+		 * @param member The member
+		 * @returns The new score, or false if service is stopped, arguments are invalid or the result is NaN
+		 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+		 */
+		zincrby(key: string, increment: number, member: string): number | Failure<Strict>;
+
+		/**
+		 * Get sorted set members by rank, both ends inclusive, lowest score first
+		 * @param key The sorted set key
+		 * @param start First rank, negative counts from the end
+		 * @param stop Last rank, negative counts from the end
+		 * @param options Range options
+		 * @returns Members in the range (empty if the key doesn't exist), or false if service is stopped or indexes are invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+		 */
+		zrange(key: string, start: number, stop: number, options?: ZRangeOptions & { withScores?: false }): string[] | Failure<Strict>;
+		zrange(key: string, start: number, stop: number, options: ZRangeOptions & { withScores: true }): Array<[string, number]> | Failure<Strict>;
+
+		/**
+		 * Get sorted set members with a score between min and max, lowest score first
+		 * @param key The sorted set key
+		 * @param min Lowest score
+		 * @param max Highest score
+		 * @param options Range options
+		 * @returns Members in the range (empty if the key doesn't exist), or false if service is stopped or bounds are invalid
+		 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+		 */
+		zrangebyscore(key: string, min: ScoreBound, max: ScoreBound, options?: ZRangeByScoreOptions & { withScores?: false }): string[] | Failure<Strict>;
+		zrangebyscore(
+			key: string,
+			min: ScoreBound,
+			max: ScoreBound,
+			options: ZRangeByScoreOptions & { withScores: true },
+		): Array<[string, number]> | Failure<Strict>;
+
+		/**
+		 * Get the rank of a sorted set member, 0 being the lowest score
+		 * @param key The sorted set key
+		 * @param member The member
+		 * @returns The rank, null if the key or member doesn't exist, or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+		 */
+		zrank(key: string, member: string): number | Miss<Strict> | Failure<Strict>;
+
+		/**
+		 * Get the number of members in a sorted set
+		 * @param key The sorted set key
+		 * @returns Member count (0 if the key doesn't exist), or false if service is stopped
+		 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+		 */
+		zcard(key: string): number | Failure<Strict>;
+
+		/**
+		 * Get statistics for a specific key
+		 * @param key The key to get statistics for
+		 * @returns Object with expires_at, remaining_seconds, and hit count, null if key doesn't exist, or false if service is stopped
+		 */
+		itemStats(key: string): ItemStats | Miss<Strict> | Failure<Strict>;
+
+		/**
+		 * Set an item with a time-to-live in milliseconds
+		 * @param key The key to store the value under
+		 * @param milliseconds Time-to-live in milliseconds
+		 * @param value The value to store
+		 * @returns true if stored successfully, false if service is stopped or arguments are invalid
+		 */
+		psetex<T = any>(key: string, milliseconds: number, value: T): boolean;
+
+		/**
+		 * Get a value, loading and storing it on a miss. Concurrent misses for the same key
+		 * share one loader call; when the loader rejects, every waiter receives the error and nothing is cached.
+		 * @param key The key to read
+		 * @param loader Called with the key on a miss, may return a value or a promise
+		 * @param options TTL in seconds or setItem options, used to store the loaded value
+		 * @returns Promise of the cached or loaded value, or false if service is stopped or arguments are invalid
+		 * @throws {WrongTypeError} If the key holds a hash, list, set or sorted set
+		 */
+		wrap<T = any>(key: string, loader: (key: string) => T | Promise<T>, options?: number | SetOptions): Promise<T | Failure<Strict>>;
+
+		/**
+		 * Alias of wrap()
+		 */
+		getOrSet<T = any>(key: string, loader: (key: string) => T | Promise<T>, options?: number | SetOptions): Promise<T | Failure<Strict>>;
+
+		/**
+		 * Cache the results of a sync or async function under a namespace, following the store's TTL and eviction.
+		 * Concurrent calls of an async function with the same arguments share one call; rejected calls are not cached.
+		 * @param fn The function to memoize
+		 * @param options setItem options used to store results, plus keyFn and namespace
+		 * @returns The memoized function, or false for invalid arguments
+		 */
+		memoize<F extends (...args: any[]) => any>(fn: F, options?: MemoizeOptions<Parameters<F>>): MemoizedFunction<F> | Failure<Strict>;
+
+		/**
+		 * Delete every key carrying any of the given tags
+		 * @param tags Tag or tags to invalidate
+		 * @returns Number of deleted keys, or false if service is stopped or tags are invalid
+		 */
+		invalidateTags(tags: string | string[]): number | Failure<Strict>;
+
+		/**
+		 * List the keys carrying a tag
+		 * @param tag The tag to look up
+		 * @returns Keys with the tag that have not expired, or false if service is stopped or tag is invalid
+		 */
+		keysByTag(tag: string): string[] | Failure<Strict>;
+
+		/**
+		 * Register a loader that refreshes keys matching a glob pattern in the background.
+		 * Stale reads always trigger a refresh; with refreshAhead, reads of hot keys close to expiring do too.
+		 * @param pattern Glob pattern, e.g. "user:*"
+		 * @param loader Called with the key, may return a value or a promise
+		 * @param options setItem options used to store loaded values, plus refresh-ahead settings
+		 * @returns true if registered, false for invalid arguments
+		 */
+		registerLoader<T = any>(pattern: string, loader: (key: string) => T | Promise<T>, options?: LoaderOptions): boolean;
+
+		/**
+		 * Remove a loader registered with registerLoader()
+		 * @param pattern Pattern passed to registerLoader()
+		 * @returns true if a loader was registered for the pattern
+		 */
+		unregisterLoader(pattern: string): boolean;
+
+		/**
+		 * Change the time-to-live of an existing key (zero or negative deletes the key)
+		 * @param key The key to update
+		 * @param seconds New time-to-live in seconds
+		 * @returns true if the TTL was changed, false if the key doesn't exist, service is stopped or arguments are invalid
+		 */
+		expire(key: string, seconds: number): boolean;
+
+		/**
+		 * Make an existing key expire at a Unix timestamp (a timestamp in the past deletes the key)
+		 * @param key The key to update
+		 * @param timestamp Unix timestamp in seconds
+		 * @returns true if the expiry was changed, false if the key doesn't exist, service is stopped or arguments are invalid
+		 */
+		expireAt(key: string, timestamp: number): boolean;
+
+		/**
+		 * Remove the expiry of a key so it never expires
+		 * @param key The key to update
+		 * @returns true if the expiry was removed, false if the key doesn't exist, already never expires or service is stopped
+		 */
+		persist(key: string): boolean;
+
+		/**
+		 * Get the remaining time-to-live of a key in seconds, rounded up
+		 * @param key The key to check
+		 * @returns Remaining seconds, -1 if the key never expires, -2 if the key doesn't exist, or false if service is stopped
+		 */
+		ttl(key: string): number | Failure<Strict>;
+
+		/**
+		 * Get an item and change its expiry in one step
+		 * @param key The key to retrieve
+		 * @param options New TTL in seconds, or persist to remove the expiry; without options this behaves like getItem
+		 * @returns The stored value, null if key doesn't exist or has expired, or false if service is stopped or options are invalid
+		 * @throws {WrongTypeError} If the key holds a hash, list, set or sorted set
+		 */
+		getEx<T = any>(key: string, options?: GetExOptions): T | Miss<Strict> | Failure<Strict>;
+
+		/**
+		 * Change the time-to-live of an existing key, in milliseconds (zero or negative deletes the key)
+		 * @param key The key to update
+		 * @param milliseconds New time-to-live in milliseconds
+		 * @returns true if the TTL was changed, false if the key doesn't exist, service is stopped or arguments are invalid
+		 */
+		pexpire(key: string, milliseconds: number): boolean;
+
+		/**
+		 * Get the remaining time-to-live of a key in milliseconds
+		 * @param key The key to check
+		 * @returns Remaining milliseconds, -1 if the key never expires, -2 if the key doesn't exist, or false if service is stopped
+		 */
+		pttl(key: string): number | Failure<Strict>;
+
+		/**
+		 * Clear all cached data
+		 * @returns true on success, false if service is stopped
+		 */
+		flushAll(): boolean;
+
+		/**
+		 * Listen for key-space events of one type
+		 * @param event Event type
+		 * @param handler Called synchronously after the change
+		 * @returns true if registered, false for an unknown event or a non-function handler
+		 */
+		on(event: KeyEventType, handler: KeyEventHandler): boolean;
+
+		/**
+		 * Stop listening for key-space events registered with on()
+		 * @param event Event type
+		 * @param handler The handler passed to on()
+		 * @returns true if the handler was registered
+		 */
+		off(event: KeyEventType, handler: KeyEventHandler): boolean;
+
+		/**
+		 * Receive every key-space event for keys matching a glob pattern (flush events are always delivered)
+		 * @param pattern Glob pattern supporting *, ?, [abc], [a-z], [^a] and backslash escapes
+		 * @param handler Called with each event
+		 * @returns Function that removes this subscription, or false for invalid arguments
+		 */
+		subscribeKeys(pattern: string, handler: KeyEventHandler): (() => boolean) | Failure<Strict>;
+
+		/**
+		 * Remove glob subscriptions for a pattern
+		 * @param pattern Pattern passed to subscribeKeys()
+		 * @param handler Only remove this handler (default: every handler of the pattern)
+		 * @returns Number of removed subscriptions
+		 */
+		unsubscribeKeys(pattern: string, handler?: KeyEventHandler): number;
+
+		/**
+		 * Publish a message to a channel
+		 * @param channel Channel name
+		 * @param message Message passed to the handlers as is
+		 * @returns Number of handlers that received the message, or false if service is stopped or channel is invalid
+		 */
+		publish<T = any>(channel: string, message: T): number | Failure<Strict>;
+
+		/**
+		 * Receive messages published to a channel
+		 * @param channel Channel name
+		 * @param handler Called with (message, channel)
+		 * @returns Function that removes this subscription, or false for invalid arguments
+		 */
+		subscribe<T = any>(channel: string, handler: MessageHandler<T>): (() => boolean) | Failure<Strict>;
+
+		/**
+		 * Receive messages published to every channel matching a glob pattern
+		 * @param pattern Glob pattern, e.g. "news.*"
+		 * @param handler Called with (message, channel, pattern)
+		 * @returns Function that removes this subscription, or false for invalid arguments
+		 */
+		psubscribe<T = any>(pattern: string, handler: PatternMessageHandler<T>): (() => boolean) | Failure<Strict>;
+
+		/**
+		 * Remove channel subscriptions
+		 * @param channel Channel name
+		 * @param handler Only remove this handler (default: every handler of the channel)
+		 * @returns Number of removed subscriptions
+		 */
+		unsubscribe(channel: string, handler?: MessageHandler): number;
+
+		/**
+		 * Remove pattern subscriptions
+		 * @param pattern Pattern passed to psubscribe()
+		 * @param handler Only remove this handler (default: every handler of the pattern)
+		 * @returns Number of removed subscriptions
+		 */
+		punsubscribe(pattern: string, handler?: PatternMessageHandler): number;
+
+		/**
+		 * List channels with at least one subscriber (pattern subscriptions are not included)
+		 * @param pattern Only return channels matching this glob pattern
+		 * @returns Channel names
+		 */
+		pubsubChannels(pattern?: string): string[];
+
+		/**
+		 * Count the subscribers of channels (pattern subscriptions are not included)
+		 * @param channels Channel names
+		 * @returns Subscriber count by channel name
+		 */
+		pubsubNumsub(...channels: string[]): Record<string, number>;
+
+		/**
+		 * Set multiple items in a single operation
+		 * @param items Array of items to set
+		 * @returns Array of success status for each item, or false on error
+		 */
+		setItems<T = any>(items: BatchItem<T>[]): boolean[] | Failure<Strict>;
+
+		/**
+		 * Get multiple items at once
+		 * @param keys Array of keys to retrieve
+		 * @returns Object with key-value pairs, non-existent/expired keys return null
+		 * @throws {WrongTypeError} If a key holds a hash, list, set or sorted set
+		 */
+		getItems<T = any>(keys: string[]): Record<string, T | Miss<Strict>> | Failure<Strict>;
+
+		/**
+		 * Delete multiple items in a single operation
+		 * @param keys Array of keys to delete
+		 * @returns true if operation succeeded
+		 */
+		deleteItems(keys: string[]): boolean;
+
+		/**
+		 * List keys matching a glob pattern; patterns starting with a literal prefix such as "user:" or "user" only check keys under it
+		 * @param pattern Glob pattern supporting *, ?, [abc], [a-z] and [^a] (default: "*")
+		 * @returns Matching keys that have not expired, or false if service is stopped or pattern is invalid
+		 */
+		keys(pattern?: string): string[] | Failure<Strict>;
+
+		/**
+		 * Delete keys matching a glob pattern
+		 * @param pattern Glob pattern, as in keys()
+		 * @returns Number of deleted keys, or false if service is stopped or pattern is invalid
+		 */
+		deleteByPattern(pattern: string): number | Failure<Strict>;
+
+		/**
+		 * Delete keys starting with a prefix, using the prefix index for prefixes containing ":" and the
+		 * first segments of the keys (the part before their first ":") for the others
+		 * @param prefix Key prefix, e.g. "session:"
+		 * @returns Number of deleted keys, or false if service is stopped or prefix is invalid
+		 */
+		deleteByPrefix(prefix: string): number | Failure<Strict>;
+
+		/**
+		 * Iterate over keys in batches with a cursor. Start with 0 and pass each returned cursor to the next call until it is 0 again.
+		 * Keys present for the whole iteration are returned exactly once, however the store changes in between.
+		 * @param cursor Cursor returned by the previous call, 0 to start
+		 * @param options Pattern, batch size and type filter
+		 * @returns [nextCursor, keys], or false if service is stopped or arguments are invalid
+		 */
+		scan(cursor?: number, options?: ScanOptions): [number, string[]] | Failure<Strict>;
+
+		/**
+		 * Iterate over every key with scan(), yielding to the event loop between batches
+		 * @param options scan() options
+		 * @returns Async iterator of keys, for use with for await
+		 */
+		scanIterator(options?: ScanOptions): AsyncIterableIterator<string>;
+
+		/**
+		 * Start a transaction. Queue commands on it and apply them all at once with exec():
+		 * if any queued command has invalid arguments or would fail, none is applied.
+		 * @returns Transaction builder
+		 */
+		multi(): Transaction<Strict>;
+
+		/**
+		 * Start a transaction that only executes if the keys are left unchanged: exec() returns null
+		 * when a watched key was written, deleted, expired or evicted after this call.
+		 * @param keys Key or keys to watch
+		 * @returns Transaction builder, as returned by multi()
+		 */
+		watch(keys: string | string[]): Transaction<Strict>;
+
+		/**
+		 * Get comprehensive cache statistics
+		 * @param options Options for what to include in stats
+		 * @returns Statistics object
+		 */
+		stats(options?: StatsOptions): Stats | false;
+
+		/**
+		 * Get counters and gauges with numeric values
+		 * @returns hits, misses, sets, deletes, expired, evicted by policy, criticalResets, keys, bytes, maxBytes and hitRatio
+		 */
+		metrics(): Metrics;
+
+		/**
+		 * Render metrics() in the Prometheus text exposition format, ready to serve on a /metrics route
+		 * @param options Metric name prefix and labels added to every sample
+		 * @returns The metrics text, or false for an invalid prefix or label name
+		 */
+		metricsText(options?: MetricsTextOptions): string | Failure<Strict>;
+
+		/**
+		 * Get latency percentiles of get, set, delete, eviction and killer operations timed while latencyTracking is on
+		 * @returns Count, mean, p50, p95, p99 and max in milliseconds per operation
+		 */
+		latency(): Record<LatencyOperation, LatencyStats>;
+
+		/**
+		 * Clear the latency histograms
+		 * @returns true
+		 */
+		latencyReset(): true;
+
+		/**
+		 * Get the slowest recent operations, like Redis SLOWLOG GET
+		 * @param count Entries to return, negative for all (default: 10)
+		 * @returns Entries newest first, or false for a non-integer count
+		 */
+		slowlogGet(count?: number): SlowlogEntry[] | Failure<Strict>;
+
+		/**
+		 * Remove every slowlog entry
+		 * @returns true
+		 */
+		slowlogReset(): true;
+
+		/**
+		 * Get memory history samples, taken every historyInterval seconds while isMemoryStatsEnabled is on
+		 * @param options Time range (default: all samples)
+		 * @returns Samples oldest first, or false for an invalid range
+		 */
+		history(options?: HistoryOptions): MemorySample[] | Failure<Strict>;
+
+		/**
+		 * Write every live entry to a snapshot file
+		 * @param path Destination file (defaults to the configured snapshotPath)
+		 * @returns Promise that resolves to true if written, false if service is stopped, no path is given or an error occurs
+		 */
+		saveSnapshot(path?: string): Promise<boolean>;
+
+		/**
+		 * Load entries from a snapshot file, skipping expired ones
+		 * @param path Snapshot file to read (defaults to the configured snapshotPath)
+		 * @returns Promise that resolves to the number of restored keys, or false on error
+		 */
+		loadSnapshot(path?: string): Promise<number | Failure<Strict>>;
+
+		/**
+		 * Compact the append-only log down to the current live keys
+		 * @returns true if rewritten, false if service is stopped, logging is disabled or an error occurs
+		 */
+		rewriteLog(): boolean;
+
+		/**
+		 * Stop the background cleanup service and clear all data
+		 * @returns Promise that resolves to true when service is killed
+		 */
+		SERVICE_KILL(): Promise<true>;
+
+		/**
+		 * Start the service after it has been killed
+		 * @returns Promise that resolves to true if started successfully, false if already running
+		 */
+		SERVICE_START(): Promise<boolean>;
+	}
 
 	/**
-	 * Start the service after it has been killed
-	 * @returns Promise that resolves to true if started successfully, false if already running
+	 * The default instance exported by the module
 	 */
-	export function SERVICE_START(): Promise<boolean>;
+	export interface DefaultCache extends Cache {
+		/**
+		 * Create an isolated cache instance with its own store, memory limit,
+		 * eviction policy, statistics and cleanup timer
+		 * @param options Initial configuration, same shape as config()
+		 * @returns A new, already running cache instance
+		 */
+		createCache(options: Config & { strict: true }): Cache<true>;
+		createCache(options?: Config): Cache;
+
+		/** Base class for errors thrown by nope-redis */
+		NopeRedisError: typeof NopeRedisErrorClass;
+
+		/** Thrown when a command is used on a key holding a value it cannot operate on */
+		WrongTypeError: typeof WrongTypeErrorClass;
+
+		/** Thrown in strict mode when a command is used while the service is stopped */
+		ServiceStoppedError: typeof ServiceStoppedErrorClass;
+
+		/** Thrown in strict mode when a command gets an invalid argument */
+		InvalidArgumentError: typeof InvalidArgumentErrorClass;
+
+		/** Thrown in strict mode when a key is not a string */
+		InvalidKeyError: typeof InvalidKeyErrorClass;
+
+		/** Thrown in strict mode when a TTL or other duration is invalid */
+		InvalidTtlError: typeof InvalidTtlErrorClass;
+	}
+
+	export type NopeRedisError = NopeRedisErrorClass;
+	export type WrongTypeError = WrongTypeErrorClass;
+	export type ServiceStoppedError = ServiceStoppedErrorClass;
+	export type InvalidArgumentError = InvalidArgumentErrorClass;
+	export type InvalidKeyError = InvalidKeyErrorClass;
+	export type InvalidTtlError = InvalidTtlErrorClass;
 
 	// Type aliases
 	export type NopeRedisConfig = Config;
+	export type NopeRedisLogger = Logger;
 	export type NopeRedisStats = Stats;
 	export type NopeRedisItemStats = ItemStats;
 	export type NopeRedisBatchItem<T = any> = BatchItem<T>;
 	export type NopeRedisStatsOptions = StatsOptions;
+	export type NopeRedisMetrics = Metrics;
+	export type NopeRedisMetricsTextOptions = MetricsTextOptions;
+	export type NopeRedisLatencyStats = LatencyStats;
+	export type NopeRedisSlowlogEntry = SlowlogEntry;
+	export type NopeRedisMemorySample = MemorySample;
+	export type NopeRedisHistoryOptions = HistoryOptions;
+	export type NopeRedisCache<Strict extends boolean = false> = Cache<Strict>;
+	export type NopeRedisZRangeOptions = ZRangeOptions;
+	export type NopeRedisZRangeByScoreOptions = ZRangeByScoreOptions;
+	export type NopeRedisKeyEvent<T = any> = KeyEvent<T>;
+	export type NopeRedisGetExOptions = GetExOptions;
+	export type NopeRedisSetOptions = SetOptions;
+	export type NopeRedisConditionalSetOptions = ConditionalSetOptions;
+	export type NopeRedisSetResult<T = any> = SetResult<T>;
+	export type NopeRedisCompareAndSetOptions = CompareAndSetOptions;
+	export type NopeRedisCompareAndSetResult<T = any> = CompareAndSetResult<T>;
+	export type NopeRedisLoaderOptions = LoaderOptions;
+	export type NopeRedisScanOptions = ScanOptions;
+	export type NopeRedisTransaction<Strict extends boolean = false> = Transaction<Strict>;
+	export type NopeRedisMemoizeOptions<A extends any[] = any[]> = MemoizeOptions<A>;
+	export type NopeRedisMemoizedFunction<F extends (...args: any[]) => any> = MemoizedFunction<F>;
 }
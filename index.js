@@ -1,3 +1,6 @@
+const fs = require('fs');
+const { performance } = require('perf_hooks');
+
 /**
  * Get current Unix timestamp
  */
@@ -5,97 +8,116 @@ function getTimestamp() {
 	return Math.floor(Date.now() / 1000);
 }
 
-let defaultTtl = 30;
-let isMemoryStatsEnabled = false;
-let criticalError = 0;
-let KILL_SERVICE = false;
 const intervalSecond = 5;
-let runnerInterval = null;
-let maxChecksPerCycle = 100000; // Maximum keys to check per cleanup cycle
-
-// Performance optimizations
-let maxMemorySize = 100; // 100MB default (in MB) limit
-let currentMemorySize = 0;
-let evictionPolicy = 'lru'; // 'lru', 'lfu', 'ttl'
-const expiredKeysPool = new Set();
+const SNAPSHOT_FORMAT = 'nope-redis-snapshot';
+const SNAPSHOT_VERSION = 2; // 2: expires_at in milliseconds
+const APPEND_FSYNC_POLICIES = ['always', 'everysec', 'no'];
+const TTL_CONFIG_OPTIONS = ['defaultTtl', 'maxLifetime', 'staleTtl']; // rejected with InvalidTtlError in strict mode
+const KEY_EVENTS = ['set', 'del', 'expired', 'evicted', 'flush'];
+const PREFIX_DELIMITER = ':'; // keys are indexed by every prefix ending in this character
+const LATENCY_OPERATIONS = ['get', 'set', 'delete', 'eviction', 'killer'];
+const LATENCY_BUCKETS = 128; // 4 buckets per power of two microseconds, the last one holds everything above ~70 minutes
 
-function subtractMemorySize(size) {
-	currentMemorySize -= size;
-	if (currentMemorySize < 0 || Number.isNaN(currentMemorySize)) {
-		currentMemorySize = 0;
+/**
+ * Sorted set storage: member scores plus the members ordered by score, then member
+ * Order updates use binary search, so lookups by rank or score range never sort.
+ */
+class SortedSet {
+	constructor() {
+		this.scores = new Map();
+		this.order = [];
 	}
-}
 
-const memory = {
-	config: {
-		status: false,
-		killerIsFinished: true,
-		lastKiller: 0,
-		nextKiller: 0,
-		totalHits: 0,
-		nextMemoryStatsTime: 0,
-		memoryStats: {},
-		evictionCount: 0,
-	},
-	store: new Map(),
-	lru: new Map(), // For LRU tracking
-};
+	get size() {
+		return this.scores.size;
+	}
 
-/**
- * Configure nope-redis settings
- *
- * @param {object} options - Configuration options
- * @param {boolean} [options.isMemoryStatsEnabled=false] - Enable hourly memory statistics collection
- * @param {number} [options.defaultTtl=30] - Default TTL in seconds for keys without explicit TTL
- * @param {number} [options.maxMemorySize=100] - Maximum memory size in MB (default 100MB)
- * @param {'lru'|'lfu'|'ttl'} [options.evictionPolicy='lru'] - Eviction policy when memory limit is reached
- * @param {number} [options.maxChecksPerCycle=100000] - Maximum keys to check per cleanup cycle
- * @returns {boolean} true on success, false on error
- */
-module.exports.config = (options = {}) => {
-	try {
-		// Config can be set anytime
-		if (typeof options === 'object') {
-			if (typeof options.isMemoryStatsEnabled === 'boolean') {
-				isMemoryStatsEnabled = options.isMemoryStatsEnabled;
-				if (isMemoryStatsEnabled && memory.config.nextMemoryStatsTime === 0) {
-					memory.config.nextMemoryStatsTime = getTimestamp() + 3600; // 1 hour
-				}
-			}
-			if (typeof options.defaultTtl === 'number' && options.defaultTtl > 0) {
-				const now_ttl = Number.parseInt(options.defaultTtl, 10);
-				if (Number.isNaN(now_ttl) === false) {
-					defaultTtl = now_ttl;
-				}
-			}
-			if (typeof options.maxMemorySize === 'number' && options.maxMemorySize > 0) {
-				maxMemorySize = options.maxMemorySize;
-				while (currentMemorySize > maxMemorySize && memory.lru.size > 0) {
-					evictKeys();
-				}
-			}
-			if (options.evictionPolicy && ['lru', 'lfu', 'ttl'].includes(options.evictionPolicy)) {
-				evictionPolicy = options.evictionPolicy;
-			}
-			if (typeof options.maxChecksPerCycle === 'number' && options.maxChecksPerCycle > 0) {
-				maxChecksPerCycle = options.maxChecksPerCycle;
+	/**
+	 * Index of the first member ordered at or after (score, member)
+	 */
+	position(score, member) {
+		let low = 0;
+		let high = this.order.length;
+		while (low < high) {
+			const mid = (low + high) >>> 1;
+			const midScore = this.scores.get(this.order[mid]);
+			if (midScore < score || (midScore === score && this.order[mid] < member)) {
+				low = mid + 1;
+			} else {
+				high = mid;
 			}
-			return true;
 		}
-	} catch (error) {
-		console.error('nope-redis -> config error', error);
+		return low;
+	}
+
+	add(member, score) {
+		this.delete(member);
+		this.scores.set(member, score);
+		this.order.splice(this.position(score, member), 0, member);
+	}
+
+	delete(member) {
+		const score = this.scores.get(member);
+		if (score === undefined) return false;
+		this.order.splice(this.position(score, member), 1);
+		this.scores.delete(member);
+		return true;
 	}
-	return false;
-};
+
+	rank(member) {
+		const score = this.scores.get(member);
+		return score === undefined ? null : this.position(score, member);
+	}
+}
 
 /**
- * Set an item in the cache
- *
- * @param {string} key - The key to store the value under (must be a string)
- * @param {*} value - The value to store (can be any JavaScript type)
- * @param {number} [ttl=defaultTtl] - Time-to-live in seconds (optional, defaults to global defaultTtl)
- * @returns {boolean} true if stored successfully, false if service is stopped or error occurs
+ * Fixed-capacity buffer that overwrites its oldest item once full
  */
+class RingBuffer {
+	constructor(capacity) {
+		this.capacity = capacity;
+		this.items = [];
+		this.next = 0; // position the next item is written to
+	}
+
+	push(item) {
+		if (this.items.length < this.capacity) {
+			this.items.push(item);
+		} else {
+			this.items[this.next] = item;
+		}
+		this.next = (this.next + 1) % this.capacity;
+	}
+
+	/**
+	 * Items, oldest first
+	 */
+	toArray() {
+		return this.items.slice(this.next).concat(this.items.slice(0, this.next));
+	}
+
+	/**
+	 * Change the capacity, dropping the oldest items that no longer fit
+	 */
+	resize(capacity) {
+		this.items = this.toArray().slice(-capacity);
+		this.next = this.items.length % capacity;
+		this.capacity = capacity;
+	}
+
+	clear() {
+		this.items = [];
+		this.next = 0;
+	}
+}
+
+// Container class of each structured data type, plain values have no type
+const DATA_TYPES = {
+	hash: Map,
+	list: Array,
+	set: Set,
+	zset: SortedSet,
+};
 
 // Helper function to estimate value size (recursive byte counter, no string allocation)
 function estimateSize(value, depth) {
@@ -136,645 +158,4920 @@ function estimateSize(value, depth) {
 	return bytes;
 }
 
+// Bytes one hash field adds on top of the hash entry itself
+function hashFieldSize(field, value) {
+	return field.length * 2 + 16 + estimateSize(value) + 8;
+}
+
+// Bytes one list element adds on top of the list entry itself
+function listItemSize(value) {
+	return estimateSize(value) + 8;
+}
+
 /**
- * Calculate accurate size asynchronously (browser and Node.js compatible)
- * Uses setTimeout instead of setImmediate for cross-platform compatibility
+ * Parse a zrangebyscore bound: a number, '-inf', '+inf', or a '(' prefix for an exclusive bound
  *
- * @param {string} key - The key to update size for
- * @param {*} value - The value to calculate size for
+ * @returns {{score: number, exclusive: boolean}|null} null when the bound is invalid
  */
-function calculateAccurateSizeAsync(key, value) {
-	const entryRef = memory.store.get(key);
-	if (!entryRef) return;
-	setTimeout(() => {
-		try {
-			if (memory.store.get(key) === entryRef) {
-				const accurateSize = (estimateSize(value) + 20) / (1024 * 1024); // Convert to MB
-				const sizeDiff = accurateSize - entryRef.size;
-				entryRef.size = accurateSize;
-				currentMemorySize += sizeDiff;
-				if (currentMemorySize < 0) currentMemorySize = 0;
-			}
-		} catch (_e) {
-			// Ignore errors in async size calculation
-		}
-	}, 0);
+function parseScoreBound(bound) {
+	if (typeof bound === 'number') {
+		return Number.isNaN(bound) ? null : { score: bound, exclusive: false };
+	}
+	if (typeof bound !== 'string') return null;
+	const exclusive = bound.startsWith('(');
+	const text = (exclusive ? bound.slice(1) : bound).toLowerCase();
+	let score;
+	if (text === '-inf') score = -Infinity;
+	else if (text === '+inf' || text === 'inf') score = Infinity;
+	else score = text.trim() === '' ? Number.NaN : Number(text);
+	return Number.isNaN(score) ? null : { score, exclusive };
 }
 
-// Eviction function - optimized for performance
-function evictKeys() {
-	if (evictionPolicy === 'lru') {
-		// Evict least recently used - O(1) operation
-		const lruKey = memory.lru.keys().next().value;
-		if (lruKey) {
-			const item = memory.store.get(lruKey);
-			if (item) {
-				subtractMemorySize(item.size || (estimateSize(item.value) + 20) / (1024 * 1024));
-			}
-			memory.store.delete(lruKey);
-			memory.lru.delete(lruKey);
-			memory.config.evictionCount++;
-		}
-	} else if (evictionPolicy === 'lfu' || evictionPolicy === 'ttl') {
-		// For LFU and TTL, use LRU map to get candidates without Object.keys()
-		// This avoids creating a huge array and provides O(1) access
-		let keyToEvict = null;
-		let compareValue = Infinity;
+// Bytes one set member adds on top of the set entry itself
+function setMemberSize(member) {
+	return estimateSize(member) + 16;
+}
 
-		// Check first 20 items from LRU map (oldest accessed items)
-		let checked = 0;
-		for (const key of memory.lru.keys()) {
-			if (checked >= 20) break; // Limit sampling for performance
+// Bytes one sorted set member adds: the member, its score and its slot in the order array
+function zsetMemberSize(member) {
+	return member.length * 2 + 8 + 32;
+}
 
-			const item = memory.store.get(key);
-			if (!item) continue;
+// Append-only log records holding one change to a data type entry, by the type they apply to
+const CHANGE_RECORD_TYPES = {
+	hset: 'hash',
+	hdel: 'hash',
+	lpush: 'list',
+	rpush: 'list',
+	lpop: 'list',
+	rpop: 'list',
+	ltrim: 'list',
+	lrem: 'list',
+	sadd: 'set',
+	srem: 'set',
+	zadd: 'zset',
+	zrem: 'zset',
+};
 
-			if (evictionPolicy === 'lfu') {
-				// Find item with lowest hit count
-				if (item.hit < compareValue) {
-					compareValue = item.hit;
-					keyToEvict = key;
-				}
-			} else {
-				// TTL policy
-				// Find item expiring soonest
-				if (item.expires_at < compareValue) {
-					compareValue = item.expires_at;
-					keyToEvict = key;
-				}
-			}
-			checked++;
+/**
+ * Size of a stored entry in MB, including metadata
+ * Data types that track their size incrementally are measured field by field.
+ *
+ * @param {string|undefined} type - Entry type, undefined for plain values
+ * @param {*} value - The stored value
+ * @returns {number} Size in MB
+ */
+function entrySize(type, value) {
+	let bytes = 20;
+	if (type === 'hash') {
+		bytes += 32;
+		for (const [field, fieldValue] of value) {
+			bytes += hashFieldSize(field, fieldValue);
 		}
-
-		// If no good candidate from sampling, just evict the oldest from LRU
-		if (!keyToEvict) {
-			keyToEvict = memory.lru.keys().next().value;
+	} else if (type === 'list') {
+		bytes += 32;
+		for (let i = 0; i < value.length; i++) {
+			bytes += listItemSize(value[i]);
 		}
-
-		if (keyToEvict) {
-			const item = memory.store.get(keyToEvict);
-			if (item) {
-				subtractMemorySize(item.size || (estimateSize(item.value) + 20) / (1024 * 1024));
-			}
-			memory.store.delete(keyToEvict);
-			memory.lru.delete(keyToEvict);
-			memory.config.evictionCount++;
+	} else if (type === 'set') {
+		bytes += 32;
+		for (const member of value) {
+			bytes += setMemberSize(member);
+		}
+	} else if (type === 'zset') {
+		bytes += 64;
+		for (const member of value.order) {
+			bytes += zsetMemberSize(member);
 		}
+	} else {
+		bytes += estimateSize(value);
 	}
+	return bytes / (1024 * 1024);
 }
 
-module.exports.setItem = (key, value, ttl = defaultTtl) => {
-	try {
-		if (!memory.config.status || typeof key !== 'string' || !Number.isFinite(ttl) || ttl < 0) {
-			return false;
-		}
-
-		// Quick size estimate for eviction check (in bytes then convert to MB)
-		let quickSizeEstimateBytes = 20; // metadata
-		if (typeof value === 'string') quickSizeEstimateBytes += value.length * 2;
-		else if (typeof value === 'number') quickSizeEstimateBytes += 8;
-		else if (typeof value === 'boolean') quickSizeEstimateBytes += 4;
-		else if (typeof Buffer !== 'undefined' && Buffer.isBuffer(value)) quickSizeEstimateBytes += value.length;
-		else if (ArrayBuffer.isView(value)) quickSizeEstimateBytes += value.byteLength;
-		else quickSizeEstimateBytes += 100; // Default estimate for objects
+// Move formatSizeUnits outside of roughSizeOfObject
+function formatSizeUnits(mb) {
+	// Input is now in MB
+	if (mb >= 1024) {
+		return `${(mb / 1024).toFixed(2)} GB`;
+	}
+	if (mb >= 1) {
+		return `${mb.toFixed(2)} MB`;
+	}
+	if (mb > 0) {
+		return `${(mb * 1024).toFixed(2)} KB`;
+	}
+	return '0 MB';
+}
 
-		const quickSizeEstimate = quickSizeEstimateBytes / (1024 * 1024); // Convert to MB
+/**
+ * Convert a cached value into a JSON-safe structure for snapshots
+ * Types JSON cannot represent are tagged with `$t` so decodeValue() can restore them.
+ * Throws on functions, symbols and circular references.
+ *
+ * @param {*} value - The value to encode
+ * @param {Set<object>} [seen] - Objects on the current path, for cycle detection
+ * @returns {*} JSON-safe representation
+ */
+function encodeValue(value, seen) {
+	const t = typeof value;
+	if (t === 'string' || t === 'boolean' || value === null) return value;
+	if (t === 'number') return Number.isFinite(value) ? value : { $t: 'number', v: String(value) };
+	if (t === 'undefined') return { $t: 'undefined' };
+	if (t === 'bigint') return { $t: 'bigint', v: value.toString() };
+	if (t === 'function' || t === 'symbol') throw new TypeError(`Cannot snapshot a ${t} value`);
+	if (seen === undefined) seen = new Set();
+	if (seen.has(value)) throw new TypeError('Cannot snapshot a circular structure');
+	seen.add(value);
+	let encoded;
+	if (value instanceof Date) {
+		encoded = { $t: 'date', v: value.getTime() };
+	} else if (typeof Buffer !== 'undefined' && Buffer.isBuffer(value)) {
+		encoded = { $t: 'buffer', v: value.toString('base64') };
+	} else if (value instanceof SortedSet) {
+		encoded = { $t: 'zset', v: Array.from(value.scores, ([member, score]) => [member, encodeValue(score, seen)]) };
+	} else if (value instanceof Map) {
+		encoded = { $t: 'map', v: Array.from(value, ([k, v]) => [encodeValue(k, seen), encodeValue(v, seen)]) };
+	} else if (value instanceof Set) {
+		encoded = { $t: 'set', v: Array.from(value, (v) => encodeValue(v, seen)) };
+	} else if (Array.isArray(value)) {
+		encoded = value.map((v) => encodeValue(v, seen));
+	} else {
+		const obj = {};
+		for (const k of Object.keys(value)) {
+			obj[k] = encodeValue(value[k], seen);
+		}
+		// Plain objects that look like a tag are wrapped so they round-trip unchanged
+		encoded = '$t' in obj ? { $t: 'object', v: obj } : obj;
+	}
+	seen.delete(value);
+	return encoded;
+}
 
-		// Check if we need to evict (using quick estimate)
-		const existingItem = memory.store.get(key);
-		if (existingItem) {
-			// Updating existing key - remove old size immediately
-			if (existingItem.size) {
-				subtractMemorySize(existingItem.size);
+/**
+ * Restore a value produced by encodeValue()
+ *
+ * @param {*} value - JSON-safe representation
+ * @returns {*} The original value
+ */
+function decodeValue(value) {
+	if (value === null || typeof value !== 'object') return value;
+	if (Array.isArray(value)) return value.map(decodeValue);
+	switch (value.$t) {
+		case 'number':
+			return Number(value.v);
+		case 'undefined':
+			return undefined;
+		case 'bigint':
+			return BigInt(value.v);
+		case 'date':
+			return new Date(value.v);
+		case 'buffer':
+			return Buffer.from(value.v, 'base64');
+		case 'map':
+			return new Map(value.v.map(([k, v]) => [decodeValue(k), decodeValue(v)]));
+		case 'set':
+			return new Set(value.v.map(decodeValue));
+		case 'zset': {
+			const sortedSet = new SortedSet();
+			for (const [member, score] of value.v) {
+				sortedSet.add(member, decodeValue(score));
 			}
+			return sortedSet;
 		}
+		case 'object':
+			value = value.v;
+			break;
+	}
+	const obj = {};
+	for (const k of Object.keys(value)) {
+		obj[k] = decodeValue(value[k]);
+	}
+	return obj;
+}
 
-		// Quick eviction check - use memory.lru.size instead of Object.keys()
-		let evictionLimit = 1000;
-		while (currentMemorySize + quickSizeEstimate > maxMemorySize && memory.lru.size > 0 && evictionLimit > 0) {
-			evictKeys();
-			evictionLimit--;
+/**
+ * Serialize a value into a string that is equal for equal values
+ * Object keys are sorted, so { a: 1, b: 2 } and { b: 2, a: 1 } give the same string.
+ * Throws on the values encodeValue() rejects.
+ *
+ * @param {*} value - The value to serialize
+ * @returns {string}
+ */
+function stableSerialize(value) {
+	return JSON.stringify(encodeValue(value), (_key, v) => {
+		if (v === null || typeof v !== 'object' || Array.isArray(v)) return v;
+		const sorted = {};
+		for (const k of Object.keys(v).sort()) {
+			sorted[k] = v[k];
 		}
+		return sorted;
+	});
+}
 
-		const expiresAt = getTimestamp() + Math.floor(ttl);
-
-		// Store with initial size estimate
-		memory.store.set(key, {
-			value: value,
-			hit: 0,
-			expires_at: expiresAt,
-			size: quickSizeEstimate,
-		});
-
-		// Add quick estimate to current size
-		currentMemorySize += quickSizeEstimate;
-
-		// Update LRU
-		if (memory.lru.has(key)) {
-			memory.lru.delete(key);
+/**
+ * Compare two values structurally
+ * Plain objects, arrays, Maps, Sets, sorted sets, Dates and binary data are compared by content;
+ * Set members and Map keys by identity, as the collections themselves do.
+ *
+ * @returns {boolean}
+ */
+function isDeepEqual(a, b) {
+	if (a === b || (Number.isNaN(a) && Number.isNaN(b))) return true;
+	if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+	if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+	if (a instanceof Date) return a.getTime() === b.getTime();
+	if (a instanceof SortedSet) return isDeepEqual(a.scores, b.scores);
+	if (a instanceof Map) {
+		if (a.size !== b.size) return false;
+		for (const [k, v] of a) {
+			if (!b.has(k) || !isDeepEqual(v, b.get(k))) return false;
 		}
-		memory.lru.set(key, true);
-
-		// Calculate accurate size asynchronously
-		calculateAccurateSizeAsync(key, value);
-
 		return true;
-	} catch (error) {
-		console.error('nope-redis -> Cant Set Error! ', error);
-		return false;
 	}
-};
+	if (a instanceof Set) {
+		if (a.size !== b.size) return false;
+		for (const member of a) {
+			if (!b.has(member)) return false;
+		}
+		return true;
+	}
+	if (ArrayBuffer.isView(a)) {
+		if (a.byteLength !== b.byteLength) return false;
+		const bytesA = new Uint8Array(a.buffer, a.byteOffset, a.byteLength);
+		const bytesB = new Uint8Array(b.buffer, b.byteOffset, b.byteLength);
+		return bytesA.every((byte, i) => byte === bytesB[i]);
+	}
+	const keys = Object.keys(a);
+	const keysB = new Set(Object.keys(b));
+	if (keys.length !== keysB.size) return false;
+	return keys.every((k) => keysB.has(k) && isDeepEqual(a[k], b[k]));
+}
 
 /**
- * Get statistics for a specific key
- *
- * @param {string} key - The key to get statistics for
- * @returns {object|null} Object with expires_at, remaining_seconds, and hit count, or null if key doesn't exist
+ * Base class for errors thrown by nope-redis
  */
-module.exports.itemStats = (key) => {
-	try {
-		if (!memory.config.status) {
-			return false;
-		}
-		const item = memory.store.get(key);
-		if (!item) return null;
-		const now = getTimestamp();
-		if (item.expires_at <= now) {
-			expiredKeysPool.add(key);
-			return null;
-		}
-		return {
-			expires_at: item.expires_at,
-			remaining_seconds: item.expires_at - now,
-			hit: item.hit,
-		};
-	} catch (error) {
-		console.error('nope-redis -> Cant get item stats Error! ', error);
-		return false;
+class NopeRedisError extends Error {
+	constructor(message) {
+		super(message);
+		this.name = this.constructor.name;
 	}
-};
+}
 
 /**
- * Get an item from the cache
- *
- * @param {string} key - The key to retrieve
- * @returns {*|null} The stored value, or null if key doesn't exist or has expired
+ * Thrown when a command is used on a key holding a value it cannot operate on
  */
-module.exports.getItem = (key) => {
-	try {
-		if (!memory.config.status || typeof key !== 'string') {
-			return false;
-		}
+class WrongTypeError extends NopeRedisError {
+	constructor(key, message) {
+		super(message || `nope-redis -> key "${key}" holds a value of the wrong type`);
+		this.key = key;
+	}
+}
 
-		const item = memory.store.get(key);
-		if (!item) {
-			return null;
-		}
+/**
+ * Thrown in strict mode when a command is called while the service is stopped
+ */
+class ServiceStoppedError extends NopeRedisError {
+	constructor(command) {
+		super(`nope-redis -> service is stopped, cant ${command}`);
+		this.command = command;
+	}
+}
 
-		const now = getTimestamp();
+/**
+ * Thrown in strict mode when a command gets an argument it cannot use
+ */
+class InvalidArgumentError extends NopeRedisError {}
 
-		if (item.expires_at > now) {
-			item.hit++;
-			memory.config.totalHits++;
+/**
+ * Thrown in strict mode when a key is not a string
+ */
+class InvalidKeyError extends InvalidArgumentError {
+	constructor(key) {
+		super(`nope-redis -> key must be a string, got ${key === null ? 'null' : typeof key}`);
+		this.key = key;
+	}
+}
 
-			// Update LRU
-			if (evictionPolicy === 'lru') {
-				memory.lru.delete(key);
-				memory.lru.set(key, true);
-			}
+/**
+ * Thrown in strict mode when a TTL, lifetime or expiry time is not a valid number
+ */
+class InvalidTtlError extends InvalidArgumentError {
+	constructor(ttl, name = 'ttl') {
+		super(`nope-redis -> invalid ${name}: ${typeof ttl === 'number' ? ttl : typeof ttl}`);
+		this.ttl = ttl;
+	}
+}
 
-			return item.value;
+/**
+ * Compile a Redis style glob pattern into an anchored regular expression
+ * Supports *, ?, [abc], [a-z], [^a] or [!a] and backslash escapes.
+ *
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+	let source = '';
+	for (let i = 0; i < pattern.length; i++) {
+		const char = pattern[i];
+		if (char === '*') {
+			source += '.*';
+		} else if (char === '?') {
+			source += '.';
+		} else if (char === '\\' && i + 1 < pattern.length) {
+			i++;
+			source += pattern[i].replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
+		} else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+			const end = pattern.indexOf(']', i + 2);
+			let body = pattern.slice(i + 1, end);
+			let negate = '';
+			if (body[0] === '^' || body[0] === '!') {
+				negate = '^';
+				body = body.slice(1);
+			}
+			source += `[${negate}${body.replace(/[\\\]^]/g, '\\$&')}]`;
+			i = end;
+		} else {
+			source += char.replace(/[.*+?^${}()|[\]\\/-]/g, '\\$&');
 		}
-
-		// Mark for deletion in next cycle
-		expiredKeysPool.add(key);
-		return null;
-	} catch (error) {
-		console.error('nope-redis -> Critical error! ', error);
-		return false;
 	}
-};
+	return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Empty latency histogram: sample count, sum and maximum in milliseconds, plus bucket counts
+ */
+function createHistogram() {
+	return { count: 0, sum: 0, max: 0, buckets: new Array(LATENCY_BUCKETS).fill(0) };
+}
+
+/**
+ * Add a duration in milliseconds to a histogram
+ * Buckets grow by a factor of 2^(1/4), so percentiles are within about 19% of the real value.
+ */
+function recordHistogram(histogram, ms) {
+	const index = Math.min(LATENCY_BUCKETS - 1, Math.floor(Math.log2(1 + ms * 1000) * 4));
+	histogram.buckets[index]++;
+	histogram.count++;
+	histogram.sum += ms;
+	if (ms > histogram.max) histogram.max = ms;
+}
 
 /**
- * Delete an item from the cache
+ * Duration in milliseconds below which the given share of the samples falls
  *
- * @param {string} key - The key to delete
- * @returns {boolean} true if deleted successfully, false if service is stopped or key doesn't exist
+ * @param {object} histogram - Histogram from createHistogram()
+ * @param {number} share - 0.5 for the median, 0.99 for p99
+ * @returns {number} Upper bound of the bucket holding that sample, capped at the maximum; 0 without samples
  */
-module.exports.deleteItem = (key) => {
-	try {
-		if (!memory.config.status) {
-			return false;
-		}
-		const item = memory.store.get(key);
-		if (item) {
-			subtractMemorySize(item.size || (estimateSize(item.value) + 20) / (1024 * 1024));
-			memory.store.delete(key);
-			memory.lru.delete(key);
-			expiredKeysPool.delete(key);
+function histogramPercentile(histogram, share) {
+	const rank = Math.ceil(share * histogram.count);
+	let seen = 0;
+	for (let i = 0; i < LATENCY_BUCKETS; i++) {
+		seen += histogram.buckets[i];
+		if (seen >= rank && seen > 0) {
+			return Math.min((2 ** ((i + 1) / 4) - 1) / 1000, histogram.max);
 		}
-		return true;
-	} catch (error) {
-		console.error('nope-redis -> Cant delete item', error);
-		return false;
 	}
-};
+	return 0;
+}
+
+// Metrics rendered by metricsText(): name without prefix, type, help text and the metrics() field
+const PROMETHEUS_METRICS = [
+	['hits_total', 'counter', 'Reads of getItem, getItems, getEx, wrap and memoized functions that found a value', 'hits'],
+	['misses_total', 'counter', 'Reads of getItem, getItems, getEx, wrap and memoized functions that found nothing', 'misses'],
+	['sets_total', 'counter', 'Writes, one per set key-space event', 'sets'],
+	['deletes_total', 'counter', 'Keys deleted by commands', 'deletes'],
+	['expired_total', 'counter', 'Keys removed after their TTL passed', 'expired'],
+	['evicted_total', 'counter', 'Keys evicted to stay under maxMemorySize, by eviction policy', 'evicted'],
+	['critical_resets_total', 'counter', 'Critical errors that flushed all data', 'criticalResets'],
+	['keys', 'gauge', 'Keys in the store', 'keys'],
+	['memory_bytes', 'gauge', 'Estimated memory used by the store in bytes', 'bytes'],
+	['max_memory_bytes', 'gauge', 'Memory limit in bytes', 'maxBytes'],
+	['hit_ratio', 'gauge', 'Hits divided by hits plus misses, 0 before the first read', 'hitRatio'],
+];
+const PROMETHEUS_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const PROMETHEUS_LABEL = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
 
 /**
- * flush all data
+ * Render label pairs in the Prometheus text format, e.g. {cache="sessions",policy="lru"}
  *
- * @returns {Boolean}
+ * @param {Array<[string, *]>} pairs - Label names and values
+ * @returns {string} The label set, or an empty string without labels
  */
-// Batch operations
+function formatPrometheusLabels(pairs) {
+	if (pairs.length === 0) return '';
+	const escaped = pairs.map(([name, value]) => `${name}="${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+	return `{${escaped.join(',')}}`;
+}
+
 /**
- * Set multiple items in a single operation
+ * Read a history() time bound, a Date or milliseconds since the epoch
  *
- * @param {Array<{key: string, value: *, ttl?: number}>} items - Array of items to set
- * @returns {Array<boolean>|false} Array of success status for each item, or false on error
+ * @param {string} name - Option name, for the error message
+ * @param {number|Date|undefined} value - Option value
+ * @param {number} fallback - Bound used when the value is undefined
+ * @returns {number} Milliseconds since the epoch
+ * @throws {InvalidArgumentError} If the value is neither
  */
-module.exports.setItems = (items) => {
-	try {
-		if (!memory.config.status || !Array.isArray(items)) {
-			return false;
-		}
-
-		const results = [];
-		for (const item of items) {
-			const { key, value, ttl } = item;
-			results.push(module.exports.setItem(key, value, ttl));
-		}
-		return results;
-	} catch (error) {
-		console.error('nope-redis -> Batch set error!', error);
-		return false;
+function parseTimeBound(name, value, fallback) {
+	if (value === undefined) return fallback;
+	const time = value instanceof Date ? value.getTime() : value;
+	if (typeof time !== 'number' || Number.isNaN(time)) {
+		throw new InvalidArgumentError(`nope-redis -> history ${name} must be a Date or milliseconds since the epoch`);
 	}
-};
+	return time;
+}
 
 /**
- * Get multiple items in a single operation
+ * Create an isolated cache instance
  *
- * @param {Array<string>} keys - Array of keys to retrieve
- * @returns {object|false} Object with key-value pairs, expired/missing keys return null, or false on error
+ * Every instance owns its store, LRU map, memory accounting, eviction policy,
+ * statistics and cleanup timer, so instances never affect each other.
+ *
+ * @param {object} [options={}] - Initial configuration, see config()
+ * @returns {object} Cache instance exposing the full nope-redis API
  */
-module.exports.getItems = (keys) => {
-	try {
-		if (!memory.config.status || !Array.isArray(keys)) {
-			return false;
-		}
+function createCache(options = {}) {
+	let defaultTtl = 30;
+	let isMemoryStatsEnabled = false;
+	let criticalError = 0;
+	let KILL_SERVICE = false;
+	let runnerInterval = null;
+	let maxChecksPerCycle = 100000; // Maximum keys to check per cleanup cycle
 
-		const results = {};
-		const now = getTimestamp();
+	// Performance optimizations
+	let maxMemorySize = 100; // 100MB default (in MB) limit
+	let currentMemorySize = 0;
+	let evictionPolicy = 'lru'; // 'lru', 'lfu', 'ttl'
+	const expiredKeysPool = new Set();
 
-		for (const key of keys) {
-			if (typeof key !== 'string') continue;
+	// Sliding expiration defaults for keys stored without explicit options
+	let slidingExpiration = false;
+	let maxLifetime = 0; // seconds, 0 means sliding keys have no cap
 
-			const item = memory.store.get(key);
-			if (item && item.expires_at > now) {
-				item.hit++;
-				memory.config.totalHits++;
+	// Seconds expired keys stay readable while they are refreshed, 0 disables
+	let staleTtl = 0;
 
-				// Update LRU
-				if (evictionPolicy === 'lru') {
-					memory.lru.delete(key);
-					memory.lru.set(key, true);
-				}
+	// Strict mode throws typed errors instead of returning false, and returns undefined for misses
+	let strict = false;
 
-				results[key] = item.value;
-			} else {
-				results[key] = null;
-				if (item) {
-					expiredKeysPool.add(key);
-				}
-			}
+	// Monotonic counters for metrics(), kept across flushes and restarts; set, del and
+	// expired count key-space events, evicted counts them by eviction policy
+	const counters = {
+		hits: 0,
+		misses: 0,
+		set: 0,
+		del: 0,
+		expired: 0,
+		evicted: { lru: 0, lfu: 0, ttl: 0 },
+		criticalResets: 0,
+	};
+
+	// Per-operation latency histograms and the slow-operation ring buffer, only fed while latencyTracking is on
+	let latencyTracking = false;
+	let slowlogThreshold = 10; // milliseconds
+	const latencies = {};
+	for (const operation of LATENCY_OPERATIONS) {
+		latencies[operation] = createHistogram();
+	}
+	const slowlog = new RingBuffer(128);
+	let slowlogId = 0;
+
+	// Memory history, sampled every historyInterval seconds while isMemoryStatsEnabled is on
+	let historyInterval = 3600;
+	const memoryHistory = new RingBuffer(24);
+	// Counter totals at the previous sample, so each sample holds the activity of its own interval
+	let historyBaseline = null;
+
+	// Receives every log line; any object with error and warn methods, e.g. console, pino or winston
+	let logger = console;
+
+	// onError() handlers, called with (operation, key, error), and onCriticalReset() handlers
+	const errorHandlers = new Set();
+	const criticalResetHandlers = new Set();
+
+	// Snapshot auto-save
+	let snapshotPath = null;
+	let snapshotInterval = 60; // seconds
+	let snapshotInProgress = false;
+	let snapshotWrites = 0;
+
+	// Append-only log
+	let appendOnlyPath = null;
+	let appendFsync = 'everysec'; // 'always', 'everysec', 'no'
+	let appendFd = null;
+	let appendDirty = false;
+	let appendFsyncInterval = null;
+	let appendReplaying = false;
+
+	// Last version handed out; every write stamps its entry with the next one, for watch() and compareAndSet()
+	let writeVersion = 0;
+	// Open transactions watching each key, and the version each of those keys got when it was deleted,
+	// so that a watched key deleted again after a write does not look unchanged
+	const watchCounts = new Map();
+	const deletedVersions = new Map();
+
+	// Pending blpop/brpop calls by key, oldest first
+	const listWaiters = new Map();
+
+	// Loader promises of wrap() calls and background refreshes in flight, by key
+	const pendingLoads = new Map();
+
+	// Loaders used for background refreshes, by glob pattern
+	const loaders = new Map();
+
+	// Numbers the default namespaces of memoized functions
+	let memoizeCount = 0;
+
+	// Keys carrying each tag, updated on every write and removal so it never holds dead keys
+	const tagIndex = new Map();
+
+	// Keys by each of their prefixes ending in PREFIX_DELIMITER, e.g. "user:" and "user:1:" for "user:1:name"
+	const prefixIndex = new Map();
+
+	// Number of keys by their first segment, the part before the first PREFIX_DELIMITER or the whole key,
+	// so prefixes without the delimiter look at the segments instead of every key
+	const segmentCounts = new Map();
+
+	// Keys in the order they entered the store for scan(), with the sequence number of each
+	// position; removed keys leave a null hole until the arrays are compacted
+	let scanKeys = [];
+	let scanSeqs = [];
+	let scanHoles = 0;
+	let nextScanSeq = 1;
+
+	// Key-space event handlers by event type, and glob subscriptions
+	const keyListeners = new Map();
+	const keySubscriptions = new Set();
+
+	// Pub/sub handlers by channel, and by pattern with its compiled matcher
+	const channelSubscribers = new Map();
+	const patternSubscribers = new Map();
+
+	function subtractMemorySize(size) {
+		currentMemorySize -= size;
+		if (currentMemorySize < 0 || Number.isNaN(currentMemorySize)) {
+			currentMemorySize = 0;
+		}
+	}
+
+	const memory = {
+		config: {
+			status: false,
+			killerIsFinished: true,
+			lastKiller: 0,
+			nextKiller: 0,
+			totalHits: 0,
+			nextMemoryStatsTime: 0,
+			evictionCount: 0,
+			lastSnapshot: 0,
+			nextSnapshotTime: 0,
+		},
+		store: new Map(),
+		lru: new Map(), // For LRU tracking
+	};
+
+	const cache = {};
+
+	// Valid values of each config() option
+	const configChecks = {
+		// Samples are taken by the cleanup cycle, so it cannot sample more often than that runs
+		historyInterval: (value) => typeof value === 'number' && Number.isFinite(value) && value >= intervalSecond,
+		historySize: (value) => Number.isInteger(value) && value > 0,
+		isMemoryStatsEnabled: (value) => typeof value === 'boolean',
+		defaultTtl: (value) => typeof value === 'number' && Number.isFinite(value) && value > 0,
+		maxMemorySize: (value) => typeof value === 'number' && value > 0,
+		evictionPolicy: (value) => ['lru', 'lfu', 'ttl'].includes(value),
+		maxChecksPerCycle: (value) => typeof value === 'number' && value > 0,
+		slidingExpiration: (value) => typeof value === 'boolean',
+		maxLifetime: (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+		staleTtl: (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+		strict: (value) => typeof value === 'boolean',
+		latencyTracking: (value) => typeof value === 'boolean',
+		slowlogThreshold: (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0,
+		slowlogMaxLen: (value) => Number.isInteger(value) && value > 0,
+		logger: (value) => value === null || isLogger(value),
+		snapshotInterval: (value) => typeof value === 'number' && value > 0,
+		snapshotPath: (value) => value === null || (typeof value === 'string' && value.length > 0),
+		appendFsync: (value) => APPEND_FSYNC_POLICIES.includes(value),
+		appendOnlyPath: (value) => value === null || (typeof value === 'string' && value.length > 0),
+	};
+
+	/**
+	 * Configure nope-redis settings
+	 *
+	 * @param {object} options - Configuration options
+	 * @param {boolean} [options.isMemoryStatsEnabled=false] - Sample the memory history every historyInterval seconds
+	 * @param {number} [options.defaultTtl=30] - Default TTL in seconds for keys without explicit TTL
+	 * @param {number} [options.maxMemorySize=100] - Maximum memory size in MB (default 100MB)
+	 * @param {'lru'|'lfu'|'ttl'} [options.evictionPolicy='lru'] - Eviction policy when memory limit is reached
+	 * @param {number} [options.maxChecksPerCycle=100000] - Maximum keys to check per cleanup cycle
+	 * @param {string|null} [options.snapshotPath=null] - File to auto-save snapshots to, null disables auto-save
+	 * @param {number} [options.snapshotInterval=60] - Seconds between automatic snapshots
+	 * @param {string|null} [options.appendOnlyPath=null] - Append-only log file, replayed when set, null disables logging
+	 * @param {'always'|'everysec'|'no'} [options.appendFsync='everysec'] - When the append-only log is flushed to disk
+	 * @param {boolean} [options.slidingExpiration=false] - Restart the TTL of keys stored from now on whenever they are read
+	 * @param {number} [options.maxLifetime=0] - Seconds a sliding key can live in total, 0 removes the cap
+	 * @param {number} [options.staleTtl=0] - Seconds keys stored from now on stay readable after expiring, 0 disables
+	 * @param {boolean} [options.strict=false] - Throw typed errors instead of returning false, and return undefined instead of null for misses
+	 * @param {object|null} [options.logger=console] - Logger with error and warn methods, e.g. pino or winston; null restores console
+	 * @param {boolean} [options.latencyTracking=false] - Time get, set, delete, eviction and killer operations for latency() and the slowlog
+	 * @param {number} [options.slowlogThreshold=10] - Milliseconds an operation must take to enter the slowlog
+	 * @param {number} [options.slowlogMaxLen=128] - Entries the slowlog keeps, dropping the oldest
+	 * @param {number} [options.historyInterval=3600] - Seconds between memory history samples, at least the 5 second cleanup cycle
+	 * @param {number} [options.historySize=24] - Memory history samples kept, dropping the oldest
+	 * @returns {boolean} true on success, false on error
+	 * @throws {InvalidTtlError} In strict mode, for an invalid defaultTtl, maxLifetime or staleTtl
+	 * @throws {InvalidArgumentError} In strict mode, for any other invalid option value
+	 */
+	cache.config = (options = {}) => {
+		if (typeof options !== 'object' || options === null) {
+			return commandFailed('config', new InvalidArgumentError('nope-redis -> config needs an options object'));
+		}
+		// Strict mode rejects the whole call before anything changes, otherwise invalid values are ignored
+		if (typeof options.strict === 'boolean' ? options.strict : strict) {
+			for (const name of Object.keys(configChecks)) {
+				if (options[name] !== undefined && !configChecks[name](options[name])) {
+					throw TTL_CONFIG_OPTIONS.includes(name)
+						? new InvalidTtlError(options[name], name)
+						: new InvalidArgumentError(`nope-redis -> invalid ${name}: ${typeof options[name] === 'string' ? options[name] : typeof options[name]}`);
+				}
+			}
+		}
+		const isValid = (name) => options[name] !== undefined && configChecks[name](options[name]);
+		try {
+			// Config can be set anytime
+			if (isValid('historyInterval')) {
+				historyInterval = options.historyInterval;
+				if (isMemoryStatsEnabled) {
+					memory.config.nextMemoryStatsTime = getTimestamp() + historyInterval;
+				}
+			}
+			if (isValid('historySize')) {
+				memoryHistory.resize(options.historySize);
+			}
+			if (isValid('isMemoryStatsEnabled')) {
+				if (options.isMemoryStatsEnabled && !isMemoryStatsEnabled) {
+					historyBaseline = historyTotals();
+				}
+				isMemoryStatsEnabled = options.isMemoryStatsEnabled;
+				if (isMemoryStatsEnabled && memory.config.nextMemoryStatsTime === 0) {
+					memory.config.nextMemoryStatsTime = getTimestamp() + historyInterval;
+				}
+			}
+			if (isValid('defaultTtl')) {
+				defaultTtl = Number.parseInt(options.defaultTtl, 10);
+			}
+			if (isValid('maxMemorySize')) {
+				maxMemorySize = options.maxMemorySize;
+				while (currentMemorySize > maxMemorySize && memory.lru.size > 0) {
+					evictKeys();
+				}
+			}
+			if (isValid('evictionPolicy')) {
+				evictionPolicy = options.evictionPolicy;
+			}
+			if (isValid('maxChecksPerCycle')) {
+				maxChecksPerCycle = options.maxChecksPerCycle;
+			}
+			if (isValid('slidingExpiration')) {
+				slidingExpiration = options.slidingExpiration;
+			}
+			if (isValid('maxLifetime')) {
+				maxLifetime = options.maxLifetime;
+			}
+			if (isValid('staleTtl')) {
+				staleTtl = options.staleTtl;
+			}
+			if (isValid('strict')) {
+				strict = options.strict;
+			}
+			if (isValid('latencyTracking')) {
+				latencyTracking = options.latencyTracking;
+			}
+			if (isValid('slowlogThreshold')) {
+				slowlogThreshold = options.slowlogThreshold;
+			}
+			if (isValid('slowlogMaxLen')) {
+				slowlog.resize(options.slowlogMaxLen);
+			}
+			if (isValid('logger')) {
+				logger = options.logger === null ? console : options.logger;
+			}
+			if (isValid('snapshotInterval')) {
+				snapshotInterval = options.snapshotInterval;
+				if (snapshotPath) {
+					memory.config.nextSnapshotTime = getTimestamp() + snapshotInterval;
+				}
+			}
+			if (isValid('snapshotPath')) {
+				snapshotPath = options.snapshotPath;
+				memory.config.nextSnapshotTime = snapshotPath === null ? 0 : getTimestamp() + snapshotInterval;
+			}
+			if (isValid('appendFsync')) {
+				appendFsync = options.appendFsync;
+				if (appendFd !== null) {
+					startAppendFsync();
+				}
+			}
+			if (isValid('appendOnlyPath')) {
+				if (options.appendOnlyPath === null) {
+					closeAppendOnly();
+					appendOnlyPath = null;
+				} else if (options.appendOnlyPath !== appendOnlyPath) {
+					closeAppendOnly();
+					appendOnlyPath = options.appendOnlyPath;
+					if (memory.config.status) {
+						openAppendOnly();
+					}
+				}
+			}
+			return true;
+		} catch (error) {
+			reportError('config', undefined, error, 'nope-redis -> config error');
+		}
+		return false;
+	};
+
+	/**
+	 * Receive unexpected errors, such as failing commands, event handlers, background refreshes
+	 * and append-only log writes, in addition to the logger
+	 * Typed errors reported to the caller, like invalid arguments, are not passed on.
+	 *
+	 * @param {Function} handler - Called with (operation, key, error); key is undefined when the error is not about one key
+	 * @returns {Function|false} Function that removes the handler, or false for a non-function handler
+	 */
+	cache.onError = (handler) => {
+		if (typeof handler !== 'function') {
+			return commandFailed('onError', new InvalidArgumentError('nope-redis -> onError needs a handler function'));
+		}
+		errorHandlers.add(handler);
+		return () => errorHandlers.delete(handler);
+	};
+
+	/**
+	 * Be told when a critical error made the runner flush all data
+	 * The service restarts after the first 3 critical errors and stays stopped after that.
+	 *
+	 * @param {Function} handler - Called with (error, { attempt, restarting })
+	 * @returns {Function|false} Function that removes the handler, or false for a non-function handler
+	 */
+	cache.onCriticalReset = (handler) => {
+		if (typeof handler !== 'function') {
+			return commandFailed('onCriticalReset', new InvalidArgumentError('nope-redis -> onCriticalReset needs a handler function'));
+		}
+		criticalResetHandlers.add(handler);
+		return () => criticalResetHandlers.delete(handler);
+	};
+
+	/**
+	 * Calculate accurate size asynchronously (browser and Node.js compatible)
+	 * Uses setTimeout instead of setImmediate for cross-platform compatibility
+	 *
+	 * @param {string} key - The key to update size for
+	 * @param {*} value - The value to calculate size for
+	 */
+	function calculateAccurateSizeAsync(key, value) {
+		const entryRef = memory.store.get(key);
+		if (!entryRef) return;
+		setTimeout(() => {
+			try {
+				if (memory.store.get(key) === entryRef) {
+					const accurateSize = (estimateSize(value) + 20) / (1024 * 1024); // Convert to MB
+					const sizeDiff = accurateSize - entryRef.size;
+					entryRef.size = accurateSize;
+					currentMemorySize += sizeDiff;
+					if (currentMemorySize < 0) currentMemorySize = 0;
+				}
+			} catch (_e) {
+				// Ignore errors in async size calculation
+			}
+		}, 0);
+	}
+
+	// Eviction function - optimized for performance
+	function evictKeys() {
+		if (evictionPolicy === 'lru') {
+			// Evict least recently used - O(1) operation
+			const lruKey = memory.lru.keys().next().value;
+			if (lruKey) {
+				const item = removeEntry(lruKey);
+				memory.lru.delete(lruKey);
+				memory.config.evictionCount++;
+				if (item) {
+					emitKeyEvent('evicted', lruKey, evictionPolicy, undefined, eventValue(item));
+				}
+			}
+		} else if (evictionPolicy === 'lfu' || evictionPolicy === 'ttl') {
+			// For LFU and TTL, use LRU map to get candidates without Object.keys()
+			// This avoids creating a huge array and provides O(1) access
+			let keyToEvict = null;
+			let compareValue = Infinity;
+
+			// Check first 20 items from LRU map (oldest accessed items)
+			let checked = 0;
+			for (const key of memory.lru.keys()) {
+				if (checked >= 20) break; // Limit sampling for performance
+
+				const item = memory.store.get(key);
+				if (!item) continue;
+
+				if (evictionPolicy === 'lfu') {
+					// Find item with lowest hit count
+					if (item.hit < compareValue) {
+						compareValue = item.hit;
+						keyToEvict = key;
+					}
+				} else {
+					// TTL policy
+					// Find item expiring soonest
+					if (item.expires_at < compareValue) {
+						compareValue = item.expires_at;
+						keyToEvict = key;
+					}
+				}
+				checked++;
+			}
+
+			// If no good candidate from sampling, just evict the oldest from LRU
+			if (!keyToEvict) {
+				keyToEvict = memory.lru.keys().next().value;
+			}
+
+			if (keyToEvict) {
+				const item = removeEntry(keyToEvict);
+				memory.lru.delete(keyToEvict);
+				memory.config.evictionCount++;
+				if (item) {
+					emitKeyEvent('evicted', keyToEvict, evictionPolicy, undefined, eventValue(item));
+				}
+			}
+		}
+	}
+
+	/**
+	 * Remove an entry and its bookkeeping without logging or notifying
+	 *
+	 * @returns {object|undefined} The removed entry
+	 */
+	function removeEntry(key) {
+		const item = memory.store.get(key);
+		if (item) {
+			subtractMemorySize(item.size || (estimateSize(item.value) + 20) / (1024 * 1024));
+			unindexTags(key, item);
+			unindexKey(key, item);
+			memory.store.delete(key);
+			memory.lru.delete(key);
+			expiredKeysPool.delete(key);
+			if (watchCounts.has(key)) {
+				deletedVersions.set(key, removedVersion(item));
+			}
+		}
+		return item;
+	}
+
+	/**
+	 * Add a key new to the store to the prefix index and the end of the scan order
+	 * Entries replacing an existing one take over its seq instead, keeping its scan position.
+	 */
+	function indexKey(key, item) {
+		item.seq = nextScanSeq++;
+		scanKeys.push(key);
+		scanSeqs.push(item.seq);
+
+		let end = key.indexOf(PREFIX_DELIMITER);
+		const segment = end === -1 ? key : key.slice(0, end);
+		segmentCounts.set(segment, (segmentCounts.get(segment) || 0) + 1);
+		while (end !== -1) {
+			const prefix = key.slice(0, end + 1);
+			let keys = prefixIndex.get(prefix);
+			if (!keys) {
+				keys = new Set();
+				prefixIndex.set(prefix, keys);
+			}
+			keys.add(key);
+			end = key.indexOf(PREFIX_DELIMITER, end + 1);
+		}
+	}
+
+	/**
+	 * Remove a key from the prefix index and the scan order, dropping prefixes left without keys
+	 */
+	function unindexKey(key, item) {
+		const position = scanPosition(item.seq);
+		if (scanSeqs[position] === item.seq) {
+			scanKeys[position] = null;
+			scanHoles++;
+			// Compacting keeps the order, so cursors stay valid
+			if (scanHoles > 1000 && scanHoles * 2 > scanKeys.length) {
+				const keys = [];
+				const seqs = [];
+				for (let i = 0; i < scanKeys.length; i++) {
+					if (scanKeys[i] !== null) {
+						keys.push(scanKeys[i]);
+						seqs.push(scanSeqs[i]);
+					}
+				}
+				scanKeys = keys;
+				scanSeqs = seqs;
+				scanHoles = 0;
+			}
+		}
+
+		let end = key.indexOf(PREFIX_DELIMITER);
+		const segment = end === -1 ? key : key.slice(0, end);
+		const count = segmentCounts.get(segment);
+		if (count === 1) {
+			segmentCounts.delete(segment);
+		} else if (count !== undefined) {
+			segmentCounts.set(segment, count - 1);
+		}
+		while (end !== -1) {
+			const prefix = key.slice(0, end + 1);
+			const keys = prefixIndex.get(prefix);
+			if (keys) {
+				keys.delete(key);
+				if (keys.size === 0) {
+					prefixIndex.delete(prefix);
+				}
+			}
+			end = key.indexOf(PREFIX_DELIMITER, end + 1);
+		}
+	}
+
+	/**
+	 * First position in the scan order with a seq of at least the given one
+	 */
+	function scanPosition(seq) {
+		let low = 0;
+		let high = scanSeqs.length;
+		while (low < high) {
+			const middle = (low + high) >>> 1;
+			if (scanSeqs[middle] < seq) {
+				low = middle + 1;
+			} else {
+				high = middle;
+			}
+		}
+		return low;
+	}
+
+	/**
+	 * Keys that may start with a prefix, from the longest indexed prefix it extends
+	 * Prefixes without PREFIX_DELIMITER collect the keys of every first segment starting with them;
+	 * the empty prefix returns every key in the store.
+	 *
+	 * @returns {Iterable<string>} Candidates, still to be checked with startsWith
+	 */
+	function keysWithPrefix(prefix) {
+		if (prefix.length === 0) {
+			return memory.store.keys();
+		}
+		const end = prefix.lastIndexOf(PREFIX_DELIMITER);
+		if (end !== -1) {
+			return prefixIndex.get(prefix.slice(0, end + 1)) || [];
+		}
+		const keys = [];
+		for (const segment of segmentCounts.keys()) {
+			if (!segment.startsWith(prefix)) continue;
+			if (memory.store.has(segment)) {
+				keys.push(segment);
+			}
+			for (const key of prefixIndex.get(segment + PREFIX_DELIMITER) || []) {
+				keys.push(key);
+			}
+		}
+		return keys;
+	}
+
+	/**
+	 * Add an entry's tags to the tag index
+	 */
+	function indexTags(key, item) {
+		if (!item.tags) return;
+		for (const tag of item.tags) {
+			let keys = tagIndex.get(tag);
+			if (!keys) {
+				keys = new Set();
+				tagIndex.set(tag, keys);
+			}
+			keys.add(key);
+		}
+	}
+
+	/**
+	 * Remove an entry's tags from the tag index, dropping tags left without keys
+	 */
+	function unindexTags(key, item) {
+		if (!item || !item.tags) return;
+		for (const tag of item.tags) {
+			const keys = tagIndex.get(tag);
+			if (keys) {
+				keys.delete(key);
+				if (keys.size === 0) {
+					tagIndex.delete(tag);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Remove a key as a write: log the delete and emit a del event
+	 *
+	 * @param {string} reason - Command name reported in the del event
+	 */
+	function deleteKey(key, reason) {
+		const item = removeEntry(key);
+		if (item) {
+			if (appendFd !== null) {
+				appendRecord({ op: 'del', keys: [key] });
+			}
+			emitKeyEvent('del', key, reason, undefined, eventValue(item));
+		}
+		return item;
+	}
+
+	/**
+	 * Stamp a changed entry with a new version, log it and emit a set event
+	 * Data type commands pass the change they made, so the log does not grow with the size of the entry;
+	 * an entry the command created is logged whole, as that record also carries its expiry.
+	 *
+	 * @param {string} reason - Command name reported in the set event
+	 * @param {*} [oldValue] - Value before the write, for commands that replace it
+	 * @param {object} [change] - Change record without the key, one of CHANGE_RECORD_TYPES
+	 */
+	function recordWrite(reason, key, item, oldValue, change) {
+		const created = item.version === undefined;
+		item.version = ++writeVersion;
+		if (appendFd !== null) {
+			if (change && !created) {
+				logChange(key, item, change);
+			} else {
+				logSet(key, item);
+			}
+		}
+		emitKeyEvent('set', key, reason, eventValue(item), oldValue);
+	}
+
+	/**
+	 * Value of an entry as events carry it: data type entries carry none, as handlers could change
+	 * the live collection without the size accounting, versions and append-only log seeing it
+	 */
+	function eventValue(item) {
+		return item.type ? undefined : item.value;
+	}
+
+	/**
+	 * Deliver a key-space event to the on() handlers of its type and to matching subscribeKeys() handlers
+	 * Handler errors are logged and never fail the command that caused the event.
+	 */
+	function emitKeyEvent(type, key, reason, value, oldValue) {
+		if (type === 'evicted') {
+			counters.evicted[reason]++;
+		} else if (type !== 'flush') {
+			counters[type]++;
+		}
+		const handlers = keyListeners.get(type);
+		if (!handlers && keySubscriptions.size === 0) return;
+
+		const event = { type, key, reason };
+		if (value !== undefined) event.value = value;
+		if (oldValue !== undefined) event.oldValue = oldValue;
+
+		const targets = handlers ? [...handlers] : [];
+		for (const subscription of keySubscriptions) {
+			if (key === null || subscription.regex.test(key)) {
+				targets.push(subscription.handler);
+			}
+		}
+		for (const handler of targets) {
+			try {
+				handler(event);
+			} catch (error) {
+				reportError('keyEvent', key, error, `nope-redis -> ${type} event handler error!`);
+			}
+		}
+	}
+
+	/**
+	 * Store a plain value, shared by setItem and the commands that create plain keys
+	 *
+	 * @param {string} reason - Command name reported in the set event
+	 * @param {number} ttlMs - Time-to-live in milliseconds
+	 * @param {object} [options={}] - sliding, maxLifetime and staleTtl overrides, defaulting to the config, and tags
+	 */
+	function storeValue(reason, key, value, ttlMs, options = {}) {
+		// Quick size estimate for eviction check (in bytes then convert to MB)
+		let quickSizeEstimateBytes = 20; // metadata
+		if (typeof value === 'string') quickSizeEstimateBytes += value.length * 2;
+		else if (typeof value === 'number') quickSizeEstimateBytes += 8;
+		else if (typeof value === 'boolean') quickSizeEstimateBytes += 4;
+		else if (typeof Buffer !== 'undefined' && Buffer.isBuffer(value)) quickSizeEstimateBytes += value.length;
+		else if (ArrayBuffer.isView(value)) quickSizeEstimateBytes += value.byteLength;
+		else quickSizeEstimateBytes += 100; // Default estimate for objects
+
+		const quickSizeEstimate = quickSizeEstimateBytes / (1024 * 1024); // Convert to MB
+
+		// Check if we need to evict (using quick estimate)
+		const existingItem = memory.store.get(key);
+		const oldValue = existingItem && existingItem.expires_at > Date.now() ? eventValue(existingItem) : undefined;
+		if (existingItem) {
+			// Updating existing key - remove old size immediately
+			if (existingItem.size) {
+				subtractMemorySize(existingItem.size);
+			}
+			unindexTags(key, existingItem);
+		}
+
+		// Quick eviction check - use memory.lru.size instead of Object.keys()
+		if (currentMemorySize + quickSizeEstimate > maxMemorySize) {
+			const evictionStarted = startTiming();
+			let evictionLimit = 1000;
+			while (currentMemorySize + quickSizeEstimate > maxMemorySize && memory.lru.size > 0 && evictionLimit > 0) {
+				evictKeys();
+				evictionLimit--;
+			}
+			endTiming('eviction', key, evictionStarted);
+		}
+
+		const now = Date.now();
+		const expiresAt = now + Math.floor(ttlMs);
+
+		// Store with initial size estimate
+		const item = {
+			value: value,
+			hit: 0,
+			expires_at: expiresAt,
+			size: quickSizeEstimate,
+		};
+		if (options.sliding === undefined ? slidingExpiration : options.sliding) {
+			item.sliding = Math.floor(ttlMs);
+			const lifetime = options.maxLifetime === undefined ? maxLifetime : options.maxLifetime;
+			if (lifetime > 0) {
+				item.max_expires_at = now + Math.floor(lifetime * 1000);
+				item.expires_at = Math.min(expiresAt, item.max_expires_at);
+			}
+		}
+		const grace = options.staleTtl === undefined ? staleTtl : options.staleTtl;
+		if (grace > 0) {
+			item.stale = Math.floor(grace * 1000);
+		}
+		if (options.tags && options.tags.length > 0) {
+			item.tags = options.tags;
+		}
+		// Looked up again, as eviction above may have removed the key itself
+		const replaced = memory.store.get(key);
+		if (replaced) {
+			item.seq = replaced.seq;
+		} else {
+			indexKey(key, item);
+		}
+		memory.store.set(key, item);
+		indexTags(key, item);
+
+		// Add quick estimate to current size
+		currentMemorySize += quickSizeEstimate;
+
+		// Update LRU
+		if (memory.lru.has(key)) {
+			memory.lru.delete(key);
+		}
+		memory.lru.set(key, true);
+
+		// Calculate accurate size asynchronously
+		calculateAccurateSizeAsync(key, value);
+
+		recordWrite(reason, key, item, oldValue);
+
+		return true;
+	}
+
+	/**
+	 * Validate setItem options and apply the ttl default
+	 *
+	 * @param {number|object} options - Time-to-live in seconds, or an options object
+	 * @returns {object} { ttl, nx, xx, get, storeOptions }, storeOptions being for storeValue()
+	 * @throws {InvalidTtlError|InvalidArgumentError} If the options are invalid
+	 */
+	function parseSetOptions(options) {
+		const {
+			ttl = defaultTtl,
+			sliding,
+			maxLifetime,
+			staleTtl,
+			tags,
+			nx = false,
+			xx = false,
+			get = false,
+		} = typeof options === 'object' && options !== null ? options : { ttl: options };
+		if (!Number.isFinite(ttl) || ttl < 0) {
+			throw new InvalidTtlError(ttl);
+		}
+		if (typeof nx !== 'boolean' || typeof xx !== 'boolean' || typeof get !== 'boolean' || (nx && xx)) {
+			throw new InvalidArgumentError('nope-redis -> nx, xx and get must be booleans, and nx and xx cannot be combined');
+		}
+		if (sliding !== undefined && typeof sliding !== 'boolean') {
+			throw new InvalidArgumentError('nope-redis -> sliding must be a boolean');
+		}
+		if (maxLifetime !== undefined && !(Number.isFinite(maxLifetime) && maxLifetime >= 0)) {
+			throw new InvalidTtlError(maxLifetime, 'maxLifetime');
+		}
+		if (staleTtl !== undefined && !(Number.isFinite(staleTtl) && staleTtl >= 0)) {
+			throw new InvalidTtlError(staleTtl, 'staleTtl');
+		}
+		if (tags !== undefined && !(Array.isArray(tags) && tags.every((tag) => typeof tag === 'string'))) {
+			throw new InvalidArgumentError('nope-redis -> tags must be an array of strings');
+		}
+		return { ttl, nx, xx, get, storeOptions: { sliding, maxLifetime, staleTtl, tags: tags && [...new Set(tags)] } };
+	}
+
+	/**
+	 * Set an item in the cache
+	 *
+	 * @param {string} key - The key to store the value under (must be a string)
+	 * @param {*} value - The value to store (can be any JavaScript type)
+	 * @param {number|object} [options=defaultTtl] - Time-to-live in seconds, or an options object
+	 * @param {number} [options.ttl=defaultTtl] - Time-to-live in seconds
+	 * @param {boolean} [options.sliding] - Restart the TTL on every read, defaults to the slidingExpiration config
+	 * @param {number} [options.maxLifetime] - Seconds a sliding key can live in total, defaults to the maxLifetime config
+	 * @param {number} [options.staleTtl] - Seconds the key stays readable after expiring, defaults to the staleTtl config
+	 * @param {Array<string>} [options.tags] - Tags to invalidate the key by with invalidateTags()
+	 * @param {boolean} [options.nx] - Only write if the key does not exist
+	 * @param {boolean} [options.xx] - Only write if the key exists
+	 * @param {boolean} [options.get] - Report the value the key held before
+	 * @returns {boolean|object} true if stored successfully, false if service is stopped or arguments are invalid;
+	 * with nx, xx or get: { written, previous? }, previous being the old value or a miss, present with get only
+	 * @throws {WrongTypeError} With get, if the key holds a hash, list, set or sorted set
+	 */
+	cache.setItem = (key, value, options = defaultTtl) => {
+		const started = startTiming();
+		try {
+			requireService('setItem');
+			checkKey(key);
+			const { ttl, nx, xx, get, storeOptions } = parseSetOptions(options);
+			if (!nx && !xx && !get) {
+				return storeValue('setItem', key, value, ttl * 1000, storeOptions);
+			}
+			const current = getLiveEntry(key);
+			const result = { written: false };
+			if (get) {
+				requirePlain(key, current);
+				result.previous = current ? current.value : miss();
+			}
+			if (!(nx && current) && !(xx && !current)) {
+				result.written = storeValue('setItem', key, value, ttl * 1000, storeOptions);
+			}
+			return result;
+		} catch (error) {
+			return commandFailed('setItem', error, key);
+		} finally {
+			endTiming('set', key, started);
+		}
+	};
+
+	/**
+	 * Replace a value only if it still is what the caller last saw
+	 * A missing or expired key matches a miss (null, or undefined in strict mode), or version 0 when comparing versions.
+	 *
+	 * @param {string} key - The key to update
+	 * @param {*} expected - Value the key must deep-equal, or with compare "version" the version it must have (see itemStats)
+	 * @param {*} next - Value to store when the comparison succeeds
+	 * @param {number|object} [options=defaultTtl] - TTL in seconds or setItem options for the new value, plus:
+	 * @param {'value'|'version'} [options.compare='value'] - Compare values by deep equality or entry versions
+	 * @returns {object|false} { written, value, version } describing the key after the call, value a miss and version 0 if it doesn't exist,
+	 * or false if service is stopped or arguments are invalid
+	 * @throws {WrongTypeError} If the key holds a hash, list, set or sorted set
+	 */
+	cache.compareAndSet = (key, expected, next, options = defaultTtl) =>
+		runCommand('compareAndSet', key, () => {
+			checkKey(key);
+			const compare = typeof options === 'object' && options !== null && options.compare !== undefined ? options.compare : 'value';
+			const parsed = parseSetOptions(options);
+			if (parsed.nx || parsed.xx || parsed.get || (compare !== 'value' && compare !== 'version')) {
+				throw new InvalidArgumentError('nope-redis -> compareAndSet takes compare "value" or "version", and no nx, xx or get');
+			}
+			let item = getLiveEntry(key);
+			requirePlain(key, item);
+			const matches = compare === 'version' ? (item ? item.version : 0) === expected : isDeepEqual(item ? item.value : miss(), expected);
+			let written = false;
+			if (matches) {
+				written = storeValue('compareAndSet', key, next, parsed.ttl * 1000, parsed.storeOptions);
+				item = getLiveEntry(key);
+			}
+			return { written, value: item ? item.value : miss(), version: item ? item.version : 0 };
+		});
+
+	/**
+	 * Add a delta to a numeric value in place
+	 * Missing or expired keys start from 0 with defaultTtl, existing keys keep their TTL and hit count.
+	 *
+	 * @returns {number} The new value
+	 * @throws {InvalidArgumentError} If the result is out of range
+	 */
+	function incrementBy(name, key, delta, allowFloat) {
+		const item = memory.store.get(key);
+		if (!item || item.expires_at <= Date.now()) {
+			return storeValue(name, key, delta, defaultTtl * 1000) ? delta : false;
+		}
+		if (typeof item.value !== 'number' || (allowFloat ? !Number.isFinite(item.value) : !Number.isInteger(item.value))) {
+			throw new WrongTypeError(key, `nope-redis -> key "${key}" does not hold ${allowFloat ? 'a number' : 'an integer'}`);
+		}
+		const previous = item.value;
+		const result = previous + delta;
+		if (allowFloat ? !Number.isFinite(result) : !Number.isSafeInteger(result)) {
+			throw new InvalidArgumentError(`nope-redis -> ${name} of key "${key}" would overflow`);
+		}
+		item.value = result;
+
+		// Update LRU
+		memory.lru.delete(key);
+		memory.lru.set(key, true);
+
+		recordWrite(name, key, item, previous);
+		return result;
+	}
+
+	/**
+	 * Run a command with the shared service check and error handling
+	 *
+	 * @param {string} name - Command name
+	 * @param {string|undefined} key - Key passed to onError() handlers if the command fails
+	 * @param {Function} fn - Command body
+	 */
+	function runCommand(name, key, fn) {
+		try {
+			requireService(name);
+			return fn();
+		} catch (error) {
+			return commandFailed(name, error, key);
+		}
+	}
+
+	/**
+	 * Report a failed command
+	 * Strict mode throws every error. Otherwise WrongTypeError is thrown, other typed errors
+	 * are reported as false, and anything unexpected is logged and reported as false.
+	 *
+	 * @param {string} name - Command name
+	 * @param {Error} error - The error
+	 * @param {string} [key] - Key the command was called with
+	 * @returns {false}
+	 * @throws {Error} The error, in strict mode or for WrongTypeError
+	 */
+	function commandFailed(name, error, key) {
+		if (strict || error instanceof WrongTypeError) {
+			throw error;
+		}
+		if (!(error instanceof NopeRedisError)) {
+			reportError(name, key, error);
+		}
+		return false;
+	}
+
+	/**
+	 * Start timing an operation
+	 *
+	 * @returns {number} Start time for endTiming(), -1 while latencyTracking is off
+	 */
+	function startTiming() {
+		return latencyTracking ? performance.now() : -1;
+	}
+
+	/**
+	 * Record the duration of an operation started with startTiming() in its histogram, and in the slowlog if it was slow
+	 *
+	 * @param {string} operation - One of LATENCY_OPERATIONS
+	 * @param {string|null} key - Key the operation worked on, null for killer cycles
+	 * @param {number} started - Value returned by startTiming()
+	 */
+	function endTiming(operation, key, started) {
+		if (started < 0) return;
+		const duration = performance.now() - started;
+		recordHistogram(latencies[operation], duration);
+		if (duration >= slowlogThreshold) {
+			slowlog.push({ id: ++slowlogId, timestamp: Date.now(), duration, operation, key });
+		}
+	}
+
+	/**
+	 * Whether a value can be used as logger
+	 */
+	function isLogger(value) {
+		return typeof value === 'object' && value !== null && typeof value.error === 'function' && typeof value.warn === 'function';
+	}
+
+	/**
+	 * Write a message to the configured logger, with the error or other detail as second argument
+	 * A throwing logger never breaks the caller: the message goes to console instead.
+	 *
+	 * @param {'error'|'warn'} level - Logger method to call
+	 */
+	function log(level, message, detail) {
+		const args = detail === undefined ? [message] : [message, detail];
+		try {
+			logger[level](...args);
+		} catch (loggerError) {
+			if (logger !== console) {
+				console[level](...args);
+				console.error('nope-redis -> logger error!', loggerError);
+			}
+		}
+	}
+
+	/**
+	 * Log an unexpected error and pass it to the onError() handlers
+	 * Handler errors are logged and never passed back to the handlers.
+	 *
+	 * @param {string} operation - Command or internal task that failed
+	 * @param {string|undefined} key - Key the operation was working on
+	 * @param {Error} error - The error
+	 * @param {string} [message] - Log message, defaults to "Cant <operation>!"
+	 * @param {'error'|'warn'} [level='error'] - Log level
+	 */
+	function reportError(operation, key, error, message = `nope-redis -> Cant ${operation}!`, level = 'error') {
+		log(level, message, error);
+		for (const handler of [...errorHandlers]) {
+			try {
+				handler(operation, key, error);
+			} catch (handlerError) {
+				log('error', 'nope-redis -> onError handler error!', handlerError);
+			}
+		}
+	}
+
+	/**
+	 * @throws {ServiceStoppedError} If the service is stopped
+	 */
+	function requireService(name) {
+		if (!memory.config.status) {
+			throw new ServiceStoppedError(name);
+		}
+	}
+
+	/**
+	 * @throws {InvalidKeyError} If the key is not a string
+	 */
+	function checkKey(key) {
+		if (typeof key !== 'string') {
+			throw new InvalidKeyError(key);
+		}
+	}
+
+	/**
+	 * Result of a read that found nothing: null, or undefined in strict mode
+	 */
+	function miss() {
+		return strict ? undefined : null;
+	}
+
+	/**
+	 * Shared validation for the counter commands
+	 */
+	function counterCommand(name, key, delta, allowFloat) {
+		return runCommand(name, key, () => {
+			checkKey(key);
+			if (allowFloat ? !Number.isFinite(delta) : !Number.isSafeInteger(delta)) {
+				throw new InvalidArgumentError(`nope-redis -> ${name} needs ${allowFloat ? 'a finite number' : 'a safe integer'} as increment`);
+			}
+			return incrementBy(name, key, delta, allowFloat);
+		});
+	}
+
+	/**
+	 * Increment an integer value by one
+	 *
+	 * @param {string} key - The key holding the counter
+	 * @returns {number|false} The new value, or false if service is stopped, key is invalid or the result overflows
+	 * @throws {WrongTypeError} If the key holds a value that is not an integer
+	 */
+	cache.incr = (key) => counterCommand('incr', key, 1, false);
+
+	/**
+	 * Decrement an integer value by one
+	 *
+	 * @param {string} key - The key holding the counter
+	 * @returns {number|false} The new value, or false if service is stopped, key is invalid or the result overflows
+	 * @throws {WrongTypeError} If the key holds a value that is not an integer
+	 */
+	cache.decr = (key) => counterCommand('decr', key, -1, false);
+
+	/**
+	 * Increment an integer value by a given amount
+	 *
+	 * @param {string} key - The key holding the counter
+	 * @param {number} increment - Integer to add (may be negative)
+	 * @returns {number|false} The new value, or false if service is stopped, arguments are invalid or the result overflows
+	 * @throws {WrongTypeError} If the key holds a value that is not an integer
+	 */
+	cache.incrBy = (key, increment) => counterCommand('incrBy', key, increment, false);
+
+	/**
+	 * Increment a numeric value by a floating point amount
+	 *
+	 * @param {string} key - The key holding the number
+	 * @param {number} increment - Finite number to add (may be negative)
+	 * @returns {number|false} The new value, or false if service is stopped, arguments are invalid or the result is not finite
+	 * @throws {WrongTypeError} If the key holds a value that is not a number
+	 */
+	cache.incrByFloat = (key, increment) => counterCommand('incrByFloat', key, increment, true);
+
+	/**
+	 * Look up a live entry that must hold the given data type
+	 *
+	 * @returns {object|null} The entry, or null if the key is missing or expired
+	 * @throws {InvalidKeyError} If the key is not a string
+	 * @throws {WrongTypeError} If the key holds a different type
+	 */
+	function getTypedEntry(key, type) {
+		checkKey(key);
+		const item = memory.store.get(key);
+		if (!item) return null;
+		if (item.expires_at <= Date.now()) {
+			expiredKeysPool.add(key);
+			return null;
+		}
+		if (item.type !== type) {
+			throw new WrongTypeError(key, `nope-redis -> key "${key}" does not hold a ${type}`);
+		}
+		return item;
+	}
+
+	/**
+	 * Check that an entry holds a plain value, as the structure of a data type entry must not be handed out:
+	 * changes made through it would bypass size accounting, versions, events and the append-only log
+	 *
+	 * @param {object|null|undefined} item - Live entry, or none
+	 * @throws {WrongTypeError} If the entry holds a hash, list, set or sorted set
+	 */
+	function requirePlain(key, item) {
+		if (item && item.type !== undefined) {
+			throw new WrongTypeError(key, `nope-redis -> key "${key}" holds a ${item.type}, not a plain value`);
+		}
+	}
+
+	/**
+	 * Get the entry a data type command writes to, creating an empty one with defaultTtl if missing
+	 *
+	 * @throws {WrongTypeError} If the key holds a different type
+	 */
+	function getOrCreateTypedEntry(key, type) {
+		const existing = getTypedEntry(key, type);
+		if (existing) return existing;
+		const expiredItem = memory.store.get(key);
+		if (expiredItem) {
+			subtractMemorySize(expiredItem.size || (estimateSize(expiredItem.value) + 20) / (1024 * 1024));
+			unindexTags(key, expiredItem);
+			expiredKeysPool.delete(key);
+		}
+		const value = new DATA_TYPES[type]();
+		const item = {
+			value,
+			hit: 0,
+			expires_at: Date.now() + defaultTtl * 1000,
+			size: entrySize(type, value),
+			type,
+		};
+		if (expiredItem) {
+			item.seq = expiredItem.seq;
+		} else {
+			indexKey(key, item);
+		}
+		memory.store.set(key, item);
+		memory.lru.delete(key);
+		memory.lru.set(key, true);
+		currentMemorySize += item.size;
+		return item;
+	}
+
+	/**
+	 * Account for a change in an entry's size and mark it as most recently used
+	 * Growing entries evict other keys first; the entry itself is kept out of eviction.
+	 */
+	function resizeEntry(key, item, bytes) {
+		const sizeDiff = bytes / (1024 * 1024);
+		memory.lru.delete(key);
+		if (sizeDiff > 0 && currentMemorySize + sizeDiff > maxMemorySize) {
+			const evictionStarted = startTiming();
+			let evictionLimit = 1000;
+			while (currentMemorySize + sizeDiff > maxMemorySize && memory.lru.size > 0 && evictionLimit > 0) {
+				evictKeys();
+				evictionLimit--;
+			}
+			endTiming('eviction', key, evictionStarted);
+		}
+		memory.lru.set(key, true);
+		item.size += sizeDiff;
+		currentMemorySize += sizeDiff;
+		if (currentMemorySize < 0) currentMemorySize = 0;
+	}
+
+	/**
+	 * Restart the TTL of a sliding entry after a read, up to its maximum lifetime
+	 * The new expiry is logged, so a replay keeps the entries reads kept alive.
+	 */
+	function slideExpiry(key, item, now) {
+		if (item.sliding !== undefined) {
+			const expiresAt = Math.min(now + item.sliding, item.max_expires_at === undefined ? Infinity : item.max_expires_at);
+			if (expiresAt !== item.expires_at) {
+				item.expires_at = expiresAt;
+				if (appendFd !== null) {
+					appendRecord({ op: 'slide', key, expires_at: expiresAt });
+				}
+			}
+		}
+	}
+
+	/**
+	 * Count a read of a data type entry like getItem does
+	 */
+	function touchEntry(key, item) {
+		item.hit++;
+		memory.config.totalHits++;
+		if (evictionPolicy === 'lru') {
+			memory.lru.delete(key);
+			memory.lru.set(key, true);
+		}
+	}
+
+	/**
+	 * Set one or more fields of a hash, creating the hash with defaultTtl if missing
+	 *
+	 * @param {string} key - The hash key
+	 * @param {string|object} field - Field name, or an object of field/value pairs
+	 * @param {*} [value] - Field value when a single field name is given
+	 * @returns {number|false} Number of fields that were added (not updated), or false if service is stopped or arguments are invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a hash
+	 */
+	cache.hset = (key, field, value) =>
+		runCommand('hset', key, () => {
+			checkKey(key);
+			let entries;
+			if (typeof field === 'string') {
+				entries = [[field, value]];
+			} else if (field !== null && typeof field === 'object' && !Array.isArray(field)) {
+				entries = Object.entries(field);
+			}
+			if (!entries || entries.length === 0) {
+				throw new InvalidArgumentError('nope-redis -> hset needs a field name or a non-empty object of fields');
+			}
+			const item = getOrCreateTypedEntry(key, 'hash');
+			let bytes = 0;
+			let added = 0;
+			for (const [name, fieldValue] of entries) {
+				if (item.value.has(name)) {
+					bytes -= hashFieldSize(name, item.value.get(name));
+				} else {
+					added++;
+				}
+				bytes += hashFieldSize(name, fieldValue);
+			}
+			resizeEntry(key, item, bytes);
+			for (const [name, fieldValue] of entries) {
+				item.value.set(name, fieldValue);
+			}
+			recordWrite('hset', key, item, undefined, { op: 'hset', fields: entries });
+			return added;
+		});
+
+	/**
+	 * Get the value of a hash field
+	 *
+	 * @param {string} key - The hash key
+	 * @param {string} field - Field name
+	 * @returns {*|null|false} The field value, null if the key or field doesn't exist, or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a hash
+	 */
+	cache.hget = (key, field) =>
+		runCommand('hget', key, () => {
+			const item = getTypedEntry(key, 'hash');
+			if (!item || !item.value.has(field)) {
+				return miss();
+			}
+			touchEntry(key, item);
+			return item.value.get(field);
+		});
+
+	/**
+	 * Get the values of several hash fields
+	 *
+	 * @param {string} key - The hash key
+	 * @param {Array<string>} fields - Field names
+	 * @returns {Array<*>|false} Values in field order (null for missing fields), or false if service is stopped or fields is not an array
+	 * @throws {WrongTypeError} If the key holds a value that is not a hash
+	 */
+	cache.hmget = (key, fields) =>
+		runCommand('hmget', key, () => {
+			if (!Array.isArray(fields)) {
+				throw new InvalidArgumentError('nope-redis -> hmget needs an array of fields');
+			}
+			const item = getTypedEntry(key, 'hash');
+			if (item) {
+				touchEntry(key, item);
+			}
+			return fields.map((field) => (item && item.value.has(field) ? item.value.get(field) : miss()));
+		});
+
+	/**
+	 * Delete fields from a hash, removing the key when no fields are left
+	 *
+	 * @param {string} key - The hash key
+	 * @param {...string} fields - Field names
+	 * @returns {number|false} Number of fields removed, or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a hash
+	 */
+	cache.hdel = (key, ...fields) =>
+		runCommand('hdel', key, () => {
+			const item = getTypedEntry(key, 'hash');
+			if (!item) {
+				return 0;
+			}
+			let bytes = 0;
+			const removed = [];
+			for (const field of fields) {
+				if (item.value.has(field)) {
+					bytes -= hashFieldSize(field, item.value.get(field));
+					item.value.delete(field);
+					removed.push(field);
+				}
+			}
+			if (removed.length === 0) {
+				return 0;
+			}
+			if (item.value.size === 0) {
+				deleteKey(key, 'hdel');
+				return removed.length;
+			}
+			resizeEntry(key, item, bytes);
+			recordWrite('hdel', key, item, undefined, { op: 'hdel', fields: removed });
+			return removed.length;
+		});
+
+	/**
+	 * Get all fields and values of a hash
+	 *
+	 * @param {string} key - The hash key
+	 * @returns {object|false} Plain object of field/value pairs (empty if the key doesn't exist), or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a hash
+	 */
+	cache.hgetall = (key) =>
+		runCommand('hgetall', key, () => {
+			const result = {};
+			const item = getTypedEntry(key, 'hash');
+			if (item) {
+				touchEntry(key, item);
+				for (const [field, value] of item.value) {
+					result[field] = value;
+				}
+			}
+			return result;
+		});
+
+	/**
+	 * Get all field names of a hash
+	 *
+	 * @param {string} key - The hash key
+	 * @returns {Array<string>|false} Field names (empty if the key doesn't exist), or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a hash
+	 */
+	cache.hkeys = (key) =>
+		runCommand('hkeys', key, () => {
+			const item = getTypedEntry(key, 'hash');
+			if (!item) {
+				return [];
+			}
+			touchEntry(key, item);
+			return Array.from(item.value.keys());
+		});
+
+	/**
+	 * Get the number of fields in a hash
+	 *
+	 * @param {string} key - The hash key
+	 * @returns {number|false} Field count (0 if the key doesn't exist), or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a hash
+	 */
+	cache.hlen = (key) =>
+		runCommand('hlen', key, () => {
+			const item = getTypedEntry(key, 'hash');
+			return item ? item.value.size : 0;
+		});
+
+	/**
+	 * Check whether a hash field exists
+	 *
+	 * @param {string} key - The hash key
+	 * @param {string} field - Field name
+	 * @returns {boolean} true if the field exists, false if it doesn't or service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a hash
+	 */
+	cache.hexists = (key, field) =>
+		runCommand('hexists', key, () => {
+			const item = getTypedEntry(key, 'hash');
+			return item ? item.value.has(field) : false;
+		});
+
+	/**
+	 * Increment an integer hash field, creating the hash and field as needed
+	 *
+	 * @param {string} key - The hash key
+	 * @param {string} field - Field name
+	 * @param {number} increment - Integer to add (may be negative)
+	 * @returns {number|false} The new field value, or false if service is stopped, arguments are invalid or the result overflows
+	 * @throws {WrongTypeError} If the key is not a hash or the field does not hold an integer
+	 */
+	cache.hincrby = (key, field, increment) =>
+		runCommand('hincrby', key, () => {
+			checkKey(key);
+			if (typeof field !== 'string' || !Number.isSafeInteger(increment)) {
+				throw new InvalidArgumentError('nope-redis -> hincrby needs a field name and a safe integer increment');
+			}
+			const item = getOrCreateTypedEntry(key, 'hash');
+			const exists = item.value.has(field);
+			const current = exists ? item.value.get(field) : 0;
+			if (!Number.isInteger(current)) {
+				throw new WrongTypeError(key, `nope-redis -> hash field "${field}" of key "${key}" does not hold an integer`);
+			}
+			const result = current + increment;
+			if (!Number.isSafeInteger(result)) {
+				throw new InvalidArgumentError(`nope-redis -> hincrby of field "${field}" of key "${key}" would overflow`);
+			}
+			resizeEntry(key, item, exists ? 0 : hashFieldSize(field, result));
+			item.value.set(field, result);
+			recordWrite('hincrby', key, item, undefined, { op: 'hset', fields: [[field, result]] });
+			return result;
+		});
+
+	/**
+	 * Normalize a Redis-style index (negative counts from the end) into a range-checked offset
+	 */
+	function listIndex(index, length) {
+		return index < 0 ? length + index : index;
+	}
+
+	/**
+	 * Add values to one end of a list, creating it with defaultTtl if missing
+	 */
+	function pushToList(name, key, values, left) {
+		return runCommand(name, key, () => {
+			checkKey(key);
+			if (values.length === 0) {
+				throw new InvalidArgumentError(`nope-redis -> ${name} needs at least one value`);
+			}
+			const item = getOrCreateTypedEntry(key, 'list');
+			let bytes = 0;
+			for (const value of values) {
+				bytes += listItemSize(value);
+			}
+			resizeEntry(key, item, bytes);
+			if (left) {
+				for (const value of values) {
+					item.value.unshift(value);
+				}
+			} else {
+				item.value.push(...values);
+			}
+			const length = item.value.length;
+			recordWrite(name, key, item, undefined, { op: left ? 'lpush' : 'rpush', values });
+			serveListWaiters(key);
+			return length;
+		});
+	}
+
+	/**
+	 * Remove up to count values from one end of a list, removing the key once empty
+	 *
+	 * @returns {Array<*>} The removed values in pop order
+	 */
+	function popFromList(name, key, item, count, left) {
+		const values = left ? item.value.splice(0, count) : item.value.splice(-count, count).reverse();
+		if (item.value.length === 0) {
+			deleteKey(key, name);
+			return values;
+		}
+		let bytes = 0;
+		for (const value of values) {
+			bytes -= listItemSize(value);
+		}
+		resizeEntry(key, item, bytes);
+		recordWrite(name, key, item, undefined, { op: left ? 'lpop' : 'rpop', count: values.length });
+		return values;
+	}
+
+	/**
+	 * Shared implementation of lpop and rpop
+	 */
+	function popCommand(name, key, count, left) {
+		return runCommand(name, key, () => {
+			if (count !== undefined && !(Number.isInteger(count) && count > 0)) {
+				throw new InvalidArgumentError(`nope-redis -> ${name} count must be a positive integer`);
+			}
+			const item = getTypedEntry(key, 'list');
+			if (!item) {
+				return miss();
+			}
+			const values = popFromList(name, key, item, count === undefined ? 1 : count, left);
+			return count === undefined ? values[0] : values;
+		});
+	}
+
+	/**
+	 * Hand values pushed to a list to blocked blpop/brpop callers, oldest first
+	 */
+	function serveListWaiters(key) {
+		const waiters = listWaiters.get(key);
+		while (waiters && waiters.length > 0) {
+			const item = getTypedEntry(key, 'list');
+			if (!item) return;
+			const waiter = waiters[0];
+			const [value] = popFromList(waiter.name, key, item, 1, waiter.left);
+			settleListWaiter(waiter, [key, value]);
+		}
+	}
+
+	/**
+	 * Resolve a blocked pop and unregister it from every key it waits on
+	 *
+	 * @param {Error} [error] - Reject with this error instead of resolving with result
+	 */
+	function settleListWaiter(waiter, result, error) {
+		if (waiter.timer) {
+			clearTimeout(waiter.timer);
+		}
+		for (const key of waiter.keys) {
+			const waiters = listWaiters.get(key);
+			if (!waiters) continue;
+			const index = waiters.indexOf(waiter);
+			if (index !== -1) waiters.splice(index, 1);
+			if (waiters.length === 0) listWaiters.delete(key);
+		}
+		if (error) {
+			waiter.reject(error);
+		} else {
+			waiter.resolve(result);
+		}
+	}
+
+	/**
+	 * Shared implementation of blpop and brpop
+	 */
+	function blockingPop(name, keys, timeout, left) {
+		try {
+			requireService(name);
+			const keyList = Array.isArray(keys) ? keys : [keys];
+			if (keyList.length === 0) {
+				throw new InvalidArgumentError(`nope-redis -> ${name} needs at least one key`);
+			}
+			keyList.forEach(checkKey);
+			if (!Number.isFinite(timeout) || timeout < 0) {
+				throw new InvalidTtlError(timeout, `${name} timeout`);
+			}
+			// Serve immediately from the first non-empty list
+			for (const key of keyList) {
+				const item = getTypedEntry(key, 'list');
+				if (item) {
+					return Promise.resolve([key, popFromList(name, key, item, 1, left)[0]]);
+				}
+			}
+			return new Promise((resolve, reject) => {
+				const waiter = { name, keys: keyList, left, resolve, reject, timer: null };
+				for (const key of keyList) {
+					if (!listWaiters.has(key)) {
+						listWaiters.set(key, []);
+					}
+					listWaiters.get(key).push(waiter);
+				}
+				if (timeout > 0) {
+					waiter.timer = setTimeout(() => settleListWaiter(waiter, miss()), timeout * 1000);
+				}
+			});
+		} catch (error) {
+			// A throw in the executor rejects, so failures always arrive through the promise
+			return new Promise((resolve) => resolve(commandFailed(name, error)));
+		}
+	}
+
+	/**
+	 * Release every blocked pop with false, or a ServiceStoppedError in strict mode, used when the service stops
+	 */
+	function releaseListWaiters() {
+		const waiters = new Set();
+		for (const queue of listWaiters.values()) {
+			for (const waiter of queue) {
+				waiters.add(waiter);
+			}
+		}
+		for (const waiter of waiters) {
+			settleListWaiter(waiter, false, strict ? new ServiceStoppedError(waiter.name) : undefined);
+		}
+	}
+
+	/**
+	 * Prepend values to a list, creating it with defaultTtl if missing
+	 * Values are inserted one after another, so lpush(key, 'a', 'b') leaves 'b' at the head.
+	 *
+	 * @param {string} key - The list key
+	 * @param {...*} values - Values to prepend
+	 * @returns {number|false} Length of the list after the push, or false if service is stopped or arguments are invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a list
+	 */
+	cache.lpush = (key, ...values) => pushToList('lpush', key, values, true);
+
+	/**
+	 * Append values to a list, creating it with defaultTtl if missing
+	 *
+	 * @param {string} key - The list key
+	 * @param {...*} values - Values to append
+	 * @returns {number|false} Length of the list after the push, or false if service is stopped or arguments are invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a list
+	 */
+	cache.rpush = (key, ...values) => pushToList('rpush', key, values, false);
+
+	/**
+	 * Remove and return values from the head of a list
+	 *
+	 * @param {string} key - The list key
+	 * @param {number} [count] - Number of values to pop, returns an array when given
+	 * @returns {*|Array<*>|null|false} The value (or array of values), null if the list doesn't exist, or false if service is stopped or count is invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a list
+	 */
+	cache.lpop = (key, count) => popCommand('lpop', key, count, true);
+
+	/**
+	 * Remove and return values from the tail of a list
+	 *
+	 * @param {string} key - The list key
+	 * @param {number} [count] - Number of values to pop, returns an array when given
+	 * @returns {*|Array<*>|null|false} The value (or array of values), null if the list doesn't exist, or false if service is stopped or count is invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a list
+	 */
+	cache.rpop = (key, count) => popCommand('rpop', key, count, false);
+
+	/**
+	 * Get a range of list values, both ends inclusive
+	 * Negative indexes count from the end, -1 is the last value.
+	 *
+	 * @param {string} key - The list key
+	 * @param {number} start - First index
+	 * @param {number} stop - Last index
+	 * @returns {Array<*>|false} Values in the range (empty if the list doesn't exist), or false if service is stopped or indexes are invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a list
+	 */
+	cache.lrange = (key, start, stop) =>
+		runCommand('lrange', key, () => {
+			if (!Number.isInteger(start) || !Number.isInteger(stop)) {
+				throw new InvalidArgumentError('nope-redis -> lrange indexes must be integers');
+			}
+			const item = getTypedEntry(key, 'list');
+			if (!item) {
+				return [];
+			}
+			touchEntry(key, item);
+			const length = item.value.length;
+			const end = listIndex(stop, length) + 1;
+			if (end <= 0) {
+				return [];
+			}
+			return item.value.slice(Math.max(listIndex(start, length), 0), end);
+		});
+
+	/**
+	 * Get the length of a list
+	 *
+	 * @param {string} key - The list key
+	 * @returns {number|false} List length (0 if the list doesn't exist), or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a list
+	 */
+	cache.llen = (key) =>
+		runCommand('llen', key, () => {
+			const item = getTypedEntry(key, 'list');
+			return item ? item.value.length : 0;
+		});
+
+	/**
+	 * Trim a list to the given range, both ends inclusive, removing the key if nothing is left
+	 *
+	 * @param {string} key - The list key
+	 * @param {number} start - First index to keep
+	 * @param {number} stop - Last index to keep
+	 * @returns {boolean} true on success (even if the list doesn't exist), false if service is stopped or indexes are invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a list
+	 */
+	cache.ltrim = (key, start, stop) =>
+		runCommand('ltrim', key, () => {
+			if (!Number.isInteger(start) || !Number.isInteger(stop)) {
+				throw new InvalidArgumentError('nope-redis -> ltrim indexes must be integers');
+			}
+			const item = getTypedEntry(key, 'list');
+			if (!item) {
+				return true;
+			}
+			const length = item.value.length;
+			const from = Math.max(listIndex(start, length), 0);
+			const to = Math.min(listIndex(stop, length), length - 1);
+			if (from > to) {
+				deleteKey(key, 'ltrim');
+				return true;
+			}
+			let bytes = 0;
+			for (let i = 0; i < length; i++) {
+				if (i < from || i > to) bytes -= listItemSize(item.value[i]);
+			}
+			if (from === 0 && to === length - 1) {
+				return true;
+			}
+			item.value = item.value.slice(from, to + 1);
+			resizeEntry(key, item, bytes);
+			recordWrite('ltrim', key, item, undefined, { op: 'ltrim', start: from, stop: to });
+			return true;
+		});
+
+	/**
+	 * Get a list value by index, negative indexes count from the end
+	 *
+	 * @param {string} key - The list key
+	 * @param {number} index - Index of the value
+	 * @returns {*|null|false} The value, null if the list or index doesn't exist, or false if service is stopped or index is invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a list
+	 */
+	cache.lindex = (key, index) =>
+		runCommand('lindex', key, () => {
+			if (!Number.isInteger(index)) {
+				throw new InvalidArgumentError('nope-redis -> lindex index must be an integer');
+			}
+			const item = getTypedEntry(key, 'list');
+			if (!item) {
+				return miss();
+			}
+			const offset = listIndex(index, item.value.length);
+			if (offset < 0 || offset >= item.value.length) {
+				return miss();
+			}
+			touchEntry(key, item);
+			return item.value[offset];
+		});
+
+	/**
+	 * Remove occurrences of a value from a list, compared with ===
+	 * A positive count removes from head to tail, a negative count from tail to head, 0 removes all.
+	 *
+	 * @param {string} key - The list key
+	 * @param {number} count - Maximum number of occurrences to remove
+	 * @param {*} value - The value to remove
+	 * @returns {number|false} Number of removed values, or false if service is stopped or count is invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a list
+	 */
+	cache.lrem = (key, count, value) =>
+		runCommand('lrem', key, () => {
+			if (!Number.isInteger(count)) {
+				throw new InvalidArgumentError('nope-redis -> lrem count must be an integer');
+			}
+			const item = getTypedEntry(key, 'list');
+			if (!item) {
+				return 0;
+			}
+			const list = item.value;
+			const limit = count === 0 ? list.length : Math.abs(count);
+			// Indexes the removed values had, logged as values compared with === may not survive a replay
+			const indexes = [];
+			if (count >= 0) {
+				for (let i = 0; i < list.length && indexes.length < limit; ) {
+					if (list[i] === value) {
+						list.splice(i, 1);
+						indexes.push(i + indexes.length);
+					} else {
+						i++;
+					}
+				}
+			} else {
+				for (let i = list.length - 1; i >= 0 && indexes.length < limit; i--) {
+					if (list[i] === value) {
+						list.splice(i, 1);
+						indexes.push(i);
+					}
+				}
+			}
+			const removed = indexes.length;
+			if (removed === 0) {
+				return 0;
+			}
+			if (list.length === 0) {
+				deleteKey(key, 'lrem');
+				return removed;
+			}
+			resizeEntry(key, item, -listItemSize(value) * removed);
+			recordWrite('lrem', key, item, undefined, { op: 'lrem', indexes });
+			return removed;
+		});
+
+	/**
+	 * Pop from the head of the first non-empty list, waiting for a push if all are empty
+	 *
+	 * @async
+	 * @param {string|Array<string>} keys - List key, or keys checked in order
+	 * @param {number} [timeout=0] - Seconds to wait, 0 waits until a value arrives
+	 * @returns {Promise<[string, *]|null|false>} [key, value] once a value is popped, null on timeout, or false if service is stopped or arguments are invalid
+	 */
+	cache.blpop = (keys, timeout = 0) => blockingPop('blpop', keys, timeout, true);
+
+	/**
+	 * Pop from the tail of the first non-empty list, waiting for a push if all are empty
+	 *
+	 * @async
+	 * @param {string|Array<string>} keys - List key, or keys checked in order
+	 * @param {number} [timeout=0] - Seconds to wait, 0 waits until a value arrives
+	 * @returns {Promise<[string, *]|null|false>} [key, value] once a value is popped, null on timeout, or false if service is stopped or arguments are invalid
+	 */
+	cache.brpop = (keys, timeout = 0) => blockingPop('brpop', keys, timeout, false);
+
+	/**
+	 * Live members of the sets stored at keys, missing keys count as empty sets
+	 *
+	 * @throws {WrongTypeError} If a key holds a value that is not a set
+	 */
+	function readSets(keys) {
+		return keys.map((key) => {
+			const item = getTypedEntry(key, 'set');
+			if (!item) return new Set();
+			touchEntry(key, item);
+			return item.value;
+		});
+	}
+
+	/**
+	 * Add members to a set, creating it with defaultTtl if missing
+	 *
+	 * @param {string} key - The set key
+	 * @param {...*} members - Members to add
+	 * @returns {number|false} Number of members that were added (not already present), or false if service is stopped or arguments are invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a set
+	 */
+	cache.sadd = (key, ...members) =>
+		runCommand('sadd', key, () => {
+			checkKey(key);
+			if (members.length === 0) {
+				throw new InvalidArgumentError('nope-redis -> sadd needs at least one member');
+			}
+			const item = getOrCreateTypedEntry(key, 'set');
+			const added = new Set();
+			let bytes = 0;
+			for (const member of members) {
+				if (!item.value.has(member) && !added.has(member)) {
+					added.add(member);
+					bytes += setMemberSize(member);
+				}
+			}
+			resizeEntry(key, item, bytes);
+			for (const member of added) {
+				item.value.add(member);
+			}
+			if (added.size > 0) {
+				recordWrite('sadd', key, item, undefined, { op: 'sadd', members: [...added] });
+			}
+			return added.size;
+		});
+
+	/**
+	 * Remove members from a set, removing the key when no members are left
+	 *
+	 * @param {string} key - The set key
+	 * @param {...*} members - Members to remove
+	 * @returns {number|false} Number of members removed, or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a set
+	 */
+	cache.srem = (key, ...members) =>
+		runCommand('srem', key, () => {
+			const item = getTypedEntry(key, 'set');
+			if (!item) {
+				return 0;
+			}
+			let bytes = 0;
+			const removed = [];
+			for (const member of members) {
+				if (item.value.delete(member)) {
+					bytes -= setMemberSize(member);
+					removed.push(member);
+				}
+			}
+			if (removed.length === 0) {
+				return 0;
+			}
+			if (item.value.size === 0) {
+				deleteKey(key, 'srem');
+				return removed.length;
+			}
+			resizeEntry(key, item, bytes);
+			// Object members are matched by identity, which a replayed copy does not have, so the whole set is logged then
+			const byValue = removed.every((member) => typeof member !== 'object' || member === null);
+			recordWrite('srem', key, item, undefined, byValue ? { op: 'srem', members: removed } : undefined);
+			return removed.length;
+		});
+
+	/**
+	 * Get all members of a set
+	 *
+	 * @param {string} key - The set key
+	 * @returns {Array<*>|false} Members (empty if the key doesn't exist), or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a set
+	 */
+	cache.smembers = (key) => runCommand('smembers', key, () => Array.from(readSets([key])[0]));
+
+	/**
+	 * Check whether a value is a member of a set
+	 *
+	 * @param {string} key - The set key
+	 * @param {*} member - The value to look for
+	 * @returns {boolean} true if it is a member, false if it isn't or service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a set
+	 */
+	cache.sismember = (key, member) =>
+		runCommand('sismember', key, () => {
+			const item = getTypedEntry(key, 'set');
+			return item ? item.value.has(member) : false;
+		});
+
+	/**
+	 * Get the number of members in a set
+	 *
+	 * @param {string} key - The set key
+	 * @returns {number|false} Member count (0 if the key doesn't exist), or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a set
+	 */
+	cache.scard = (key) =>
+		runCommand('scard', key, () => {
+			const item = getTypedEntry(key, 'set');
+			return item ? item.value.size : 0;
+		});
+
+	/**
+	 * Get the members present in any of the given sets
+	 *
+	 * @param {...string} keys - Set keys, missing keys count as empty sets
+	 * @returns {Array<*>|false} Members of the union, or false if service is stopped
+	 * @throws {WrongTypeError} If a key holds a value that is not a set
+	 */
+	cache.sunion = (...keys) =>
+		runCommand('sunion', undefined, () => {
+			const result = new Set();
+			for (const members of readSets(keys)) {
+				for (const member of members) {
+					result.add(member);
+				}
+			}
+			return Array.from(result);
+		});
+
+	/**
+	 * Get the members present in every one of the given sets
+	 *
+	 * @param {...string} keys - Set keys, missing keys count as empty sets
+	 * @returns {Array<*>|false} Members of the intersection, or false if service is stopped
+	 * @throws {WrongTypeError} If a key holds a value that is not a set
+	 */
+	cache.sinter = (...keys) =>
+		runCommand('sinter', undefined, () => {
+			if (keys.length === 0) {
+				return [];
+			}
+			const sets = readSets(keys).sort((a, b) => a.size - b.size);
+			return Array.from(sets[0]).filter((member) => sets.every((members) => members.has(member)));
+		});
+
+	/**
+	 * Get the members of the first set that are in none of the other sets
+	 *
+	 * @param {...string} keys - Set keys, missing keys count as empty sets
+	 * @returns {Array<*>|false} Members of the difference, or false if service is stopped
+	 * @throws {WrongTypeError} If a key holds a value that is not a set
+	 */
+	cache.sdiff = (...keys) =>
+		runCommand('sdiff', undefined, () => {
+			if (keys.length === 0) {
+				return [];
+			}
+			const [first, ...others] = readSets(keys);
+			return Array.from(first).filter((member) => others.every((members) => !members.has(member)));
+		});
+
+	/**
+	 * Format sorted set members for zrange and zrangebyscore
+	 */
+	function zsetResult(sortedSet, members, withScores) {
+		return withScores ? members.map((member) => [member, sortedSet.scores.get(member)]) : members;
+	}
+
+	/**
+	 * Add members to a sorted set or update their scores, creating it with defaultTtl if missing
+	 *
+	 * @param {string} key - The sorted set key
+	 * @param {number|object} score - Score for a single member, or an object of member/score pairs
+	 * @param {string} [member] - Member when a single score is given
+	 * @returns {number|false} Number of members that were added (not updated), or false if service is stopped or arguments are invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+	 */
+	cache.zadd = (key, score, member) =>
+		runCommand('zadd', key, () => {
+			checkKey(key);
+			let entries;
+			if (typeof score === 'number') {
+				entries = [[member, score]];
+			} else if (score !== null && typeof score === 'object' && !Array.isArray(score)) {
+				entries = Object.entries(score);
+			}
+			if (
+				!entries ||
+				entries.length === 0 ||
+				entries.some(([name, value]) => typeof name !== 'string' || typeof value !== 'number' || Number.isNaN(value))
+			) {
+				throw new InvalidArgumentError('nope-redis -> zadd needs string members with numeric scores');
+			}
+			const item = getOrCreateTypedEntry(key, 'zset');
+			let bytes = 0;
+			let added = 0;
+			for (const [name] of entries) {
+				if (!item.value.scores.has(name)) {
+					bytes += zsetMemberSize(name);
+					added++;
+				}
+			}
+			resizeEntry(key, item, bytes);
+			for (const [name, value] of entries) {
+				item.value.add(name, value);
+			}
+			recordWrite('zadd', key, item, undefined, { op: 'zadd', members: entries });
+			return added;
+		});
+
+	/**
+	 * Remove members from a sorted set, removing the key when no members are left
+	 *
+	 * @param {string} key - The sorted set key
+	 * @param {...string} members - Members to remove
+	 * @returns {number|false} Number of members removed, or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+	 */
+	cache.zrem = (key, ...members) =>
+		runCommand('zrem', key, () => {
+			const item = getTypedEntry(key, 'zset');
+			if (!item) {
+				return 0;
+			}
+			let bytes = 0;
+			const removed = [];
+			for (const member of members) {
+				if (item.value.delete(member)) {
+					bytes -= zsetMemberSize(member);
+					removed.push(member);
+				}
+			}
+			if (removed.length === 0) {
+				return 0;
+			}
+			if (item.value.size === 0) {
+				deleteKey(key, 'zrem');
+				return removed.length;
+			}
+			resizeEntry(key, item, bytes);
+			recordWrite('zrem', key, item, undefined, { op: 'zrem', members: removed });
+			return removed.length;
+		});
+
+	/**
+	 * Get the score of a sorted set member
+	 *
+	 * @param {string} key - The sorted set key
+	 * @param {string} member - The member
+	 * @returns {number|null|false} The score, null if the key or member doesn't exist, or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+	 */
+	cache.zscore = (key, member) =>
+		runCommand('zscore', key, () => {
+			const item = getTypedEntry(key, 'zset');
+			if (!item || !item.value.scores.has(member)) {
+				return miss();
+			}
+			touchEntry(key, item);
+			return item.value.scores.get(member);
+		});
+
+	/**
+	 * Increment the score of a sorted set member, adding it with the increment as score if missing
+	 *
+	 * @param {string} key - The sorted set key
+	 * @param {number} increment - Amount to add (may be negative)
+	 * @param {string} member - The member
+	 * @returns {number|false} The new score, or false if service is stopped, arguments are invalid or the result is NaN
+	 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+	 */
+	cache.zincrby = (key, increment, member) =>
+		runCommand('zincrby', key, () => {
+			checkKey(key);
+			if (typeof member !== 'string' || typeof increment !== 'number' || Number.isNaN(increment)) {
+				throw new InvalidArgumentError('nope-redis -> zincrby needs a numeric increment and a string member');
+			}
+			const item = getOrCreateTypedEntry(key, 'zset');
+			const exists = item.value.scores.has(member);
+			const score = (exists ? item.value.scores.get(member) : 0) + increment;
+			if (Number.isNaN(score)) {
+				throw new InvalidArgumentError(`nope-redis -> zincrby of member "${member}" of key "${key}" would make the score NaN`);
+			}
+			resizeEntry(key, item, exists ? 0 : zsetMemberSize(member));
+			item.value.add(member, score);
+			recordWrite('zincrby', key, item, undefined, { op: 'zadd', members: [[member, score]] });
+			return score;
+		});
+
+	/**
+	 * Get sorted set members by rank, both ends inclusive, lowest score first
+	 * Negative indexes count from the end, -1 is the highest score.
+	 *
+	 * @param {string} key - The sorted set key
+	 * @param {number} start - First rank
+	 * @param {number} stop - Last rank
+	 * @param {object} [options={}] - Range options
+	 * @param {boolean} [options.withScores=false] - Return [member, score] pairs
+	 * @param {boolean} [options.rev=false] - Rank from the highest score instead
+	 * @returns {Array<string>|Array<[string, number]>|false} Members in the range (empty if the key doesn't exist), or false if service is stopped or indexes are invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+	 */
+	cache.zrange = (key, start, stop, options = {}) =>
+		runCommand('zrange', key, () => {
+			if (!Number.isInteger(start) || !Number.isInteger(stop)) {
+				throw new InvalidArgumentError('nope-redis -> zrange indexes must be integers');
+			}
+			const item = getTypedEntry(key, 'zset');
+			if (!item) {
+				return [];
+			}
+			touchEntry(key, item);
+			const order = options.rev ? item.value.order.slice().reverse() : item.value.order;
+			const length = order.length;
+			const end = listIndex(stop, length) + 1;
+			if (end <= 0) {
+				return [];
+			}
+			return zsetResult(item.value, order.slice(Math.max(listIndex(start, length), 0), end), options.withScores);
+		});
+
+	/**
+	 * Get sorted set members with a score between min and max, lowest score first
+	 * Bounds are inclusive numbers, '-inf', '+inf', or strings starting with '(' for an exclusive bound.
+	 *
+	 * @param {string} key - The sorted set key
+	 * @param {number|string} min - Lowest score
+	 * @param {number|string} max - Highest score
+	 * @param {object} [options={}] - Range options
+	 * @param {boolean} [options.withScores=false] - Return [member, score] pairs
+	 * @param {{offset: number, count: number}} [options.limit] - Skip offset matches and return at most count (negative count returns all)
+	 * @returns {Array<string>|Array<[string, number]>|false} Members in the range (empty if the key doesn't exist), or false if service is stopped or bounds are invalid
+	 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+	 */
+	cache.zrangebyscore = (key, min, max, options = {}) =>
+		runCommand('zrangebyscore', key, () => {
+			const low = parseScoreBound(min);
+			const high = parseScoreBound(max);
+			if (!low || !high) {
+				throw new InvalidArgumentError('nope-redis -> zrangebyscore bounds must be numbers, "-inf", "+inf" or "(" exclusive bounds');
+			}
+			let offset = 0;
+			let count = Infinity;
+			if (options.limit) {
+				if (!Number.isInteger(options.limit.offset) || !Number.isInteger(options.limit.count) || options.limit.offset < 0) {
+					throw new InvalidArgumentError('nope-redis -> zrangebyscore limit needs an integer offset of at least 0 and an integer count');
+				}
+				offset = options.limit.offset;
+				if (options.limit.count >= 0) count = options.limit.count;
+			}
+			const item = getTypedEntry(key, 'zset');
+			if (!item) {
+				return [];
+			}
+			touchEntry(key, item);
+			const { scores, order } = item.value;
+			const members = [];
+			// Binary search to the first candidate instead of scanning from the lowest score
+			let index = item.value.position(low.score, '');
+			for (; index < order.length && members.length < count; index++) {
+				const score = scores.get(order[index]);
+				if (score > high.score || (high.exclusive && score === high.score)) break;
+				if (low.exclusive && score === low.score) continue;
+				if (offset > 0) {
+					offset--;
+					continue;
+				}
+				members.push(order[index]);
+			}
+			return zsetResult(item.value, members, options.withScores);
+		});
+
+	/**
+	 * Get the rank of a sorted set member, 0 being the lowest score
+	 *
+	 * @param {string} key - The sorted set key
+	 * @param {string} member - The member
+	 * @returns {number|null|false} The rank, null if the key or member doesn't exist, or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+	 */
+	cache.zrank = (key, member) =>
+		runCommand('zrank', key, () => {
+			const item = getTypedEntry(key, 'zset');
+			const rank = item ? item.value.rank(member) : null;
+			return rank === null ? miss() : rank;
+		});
+
+	/**
+	 * Get the number of members in a sorted set
+	 *
+	 * @param {string} key - The sorted set key
+	 * @returns {number|false} Member count (0 if the key doesn't exist), or false if service is stopped
+	 * @throws {WrongTypeError} If the key holds a value that is not a sorted set
+	 */
+	cache.zcard = (key) =>
+		runCommand('zcard', key, () => {
+			const item = getTypedEntry(key, 'zset');
+			return item ? item.value.size : 0;
+		});
+
+	/**
+	 * Get statistics for a specific key
+	 * Keys that never expire report a null expires_at and -1 remaining_seconds.
+	 *
+	 * @param {string} key - The key to get statistics for
+	 * @returns {object|null|false} Object with expires_at, remaining_seconds, hit count and version, null if key doesn't exist,
+	 * or false if service is stopped or key is invalid
+	 */
+	cache.itemStats = (key) => {
+		try {
+			requireService('itemStats');
+			checkKey(key);
+			const item = memory.store.get(key);
+			if (!item) return miss();
+			const now = Date.now();
+			if (item.expires_at <= now) {
+				expiredKeysPool.add(key);
+				return miss();
+			}
+			if (item.expires_at === Infinity) {
+				return { expires_at: null, remaining_seconds: -1, hit: item.hit, version: item.version };
+			}
+			return {
+				expires_at: Math.floor(item.expires_at / 1000),
+				remaining_seconds: Math.ceil((item.expires_at - now) / 1000),
+				hit: item.hit,
+				version: item.version,
+			};
+		} catch (error) {
+			return commandFailed('itemStats', error, key);
+		}
+	};
+
+	/**
+	 * Set an item with a time-to-live in milliseconds
+	 *
+	 * @param {string} key - The key to store the value under
+	 * @param {number} milliseconds - Time-to-live in milliseconds
+	 * @param {*} value - The value to store
+	 * @returns {boolean} true if stored successfully, false if service is stopped or arguments are invalid
+	 */
+	cache.psetex = (key, milliseconds, value) =>
+		runCommand('psetex', key, () => {
+			checkKey(key);
+			if (!Number.isFinite(milliseconds) || milliseconds < 0) {
+				throw new InvalidTtlError(milliseconds, 'milliseconds');
+			}
+			return storeValue('psetex', key, value, milliseconds);
+		});
+
+	/**
+	 * Get a live entry of any type, marking expired ones for cleanup
+	 *
+	 * @returns {object|null} The entry, or null if the key is missing or expired
+	 */
+	function getLiveEntry(key) {
+		const item = memory.store.get(key);
+		if (!item) return null;
+		if (item.expires_at <= Date.now()) {
+			expiredKeysPool.add(key);
+			return null;
+		}
+		return item;
+	}
+
+	/**
+	 * Move the expiry of a live entry, deleting the key when the new time has already passed
+	 * The value, hit count and size are left untouched.
+	 */
+	function setExpiry(name, key, item, expiresAt) {
+		if (expiresAt <= Date.now()) {
+			deleteKey(key, name);
+			return;
+		}
+		item.expires_at = expiresAt;
+		item.version = ++writeVersion;
+		if (expiresAt === Infinity) {
+			// Reads must not bring back an expiry
+			delete item.sliding;
+			delete item.max_expires_at;
+		}
+		if (appendFd !== null) {
+			logSet(key, item);
+		}
+	}
+
+	/**
+	 * Shared implementation of expire, pexpire and expireAt
+	 */
+	function expireCommand(name, key, time, toExpiresAt) {
+		return runCommand(name, key, () => {
+			checkKey(key);
+			if (!Number.isFinite(time)) {
+				throw new InvalidTtlError(time, `${name} time`);
+			}
+			const item = getLiveEntry(key);
+			if (!item) {
+				return false;
+			}
+			setExpiry(name, key, item, toExpiresAt(time));
+			return true;
+		});
+	}
+
+	/**
+	 * Change the time-to-live of an existing key
+	 * A zero or negative value deletes the key.
+	 *
+	 * @param {string} key - The key to update
+	 * @param {number} seconds - New time-to-live in seconds
+	 * @returns {boolean} true if the TTL was changed, false if the key doesn't exist, service is stopped or arguments are invalid
+	 */
+	cache.expire = (key, seconds) => expireCommand('expire', key, seconds, (time) => Date.now() + Math.floor(time * 1000));
+
+	/**
+	 * Change the time-to-live of an existing key, in milliseconds
+	 * A zero or negative value deletes the key.
+	 *
+	 * @param {string} key - The key to update
+	 * @param {number} milliseconds - New time-to-live in milliseconds
+	 * @returns {boolean} true if the TTL was changed, false if the key doesn't exist, service is stopped or arguments are invalid
+	 */
+	cache.pexpire = (key, milliseconds) => expireCommand('pexpire', key, milliseconds, (time) => Date.now() + Math.floor(time));
+
+	/**
+	 * Make an existing key expire at a Unix timestamp
+	 * A timestamp in the past deletes the key.
+	 *
+	 * @param {string} key - The key to update
+	 * @param {number} timestamp - Unix timestamp in seconds
+	 * @returns {boolean} true if the expiry was changed, false if the key doesn't exist, service is stopped or arguments are invalid
+	 */
+	cache.expireAt = (key, timestamp) => expireCommand('expireAt', key, timestamp, (time) => Math.floor(time * 1000));
+
+	/**
+	 * Remove the expiry of a key so it never expires
+	 *
+	 * @param {string} key - The key to update
+	 * @returns {boolean} true if the expiry was removed, false if the key doesn't exist, already never expires or service is stopped
+	 */
+	cache.persist = (key) =>
+		runCommand('persist', key, () => {
+			checkKey(key);
+			const item = getLiveEntry(key);
+			if (!item || item.expires_at === Infinity) {
+				return false;
+			}
+			setExpiry('persist', key, item, Infinity);
+			return true;
+		});
+
+	/**
+	 * Get the remaining time-to-live of a key in seconds, rounded up
+	 *
+	 * @param {string} key - The key to check
+	 * @returns {number|false} Remaining seconds, -1 if the key never expires, -2 if the key doesn't exist, or false if service is stopped
+	 */
+	cache.ttl = (key) =>
+		runCommand('ttl', key, () => {
+			checkKey(key);
+			const item = getLiveEntry(key);
+			if (!item) {
+				return -2;
+			}
+			if (item.expires_at === Infinity) {
+				return -1;
+			}
+			return Math.ceil((item.expires_at - Date.now()) / 1000);
+		});
+
+	/**
+	 * Get the remaining time-to-live of a key in milliseconds
+	 *
+	 * @param {string} key - The key to check
+	 * @returns {number|false} Remaining milliseconds, -1 if the key never expires, -2 if the key doesn't exist, or false if service is stopped
+	 */
+	cache.pttl = (key) =>
+		runCommand('pttl', key, () => {
+			checkKey(key);
+			const item = getLiveEntry(key);
+			if (!item) {
+				return -2;
+			}
+			if (item.expires_at === Infinity) {
+				return -1;
+			}
+			return item.expires_at - Date.now();
+		});
+
+	/**
+	 * Run a loader for a key and store its result, sharing the call with concurrent loads of the key
+	 *
+	 * @returns {Promise<*>} The loaded value
+	 */
+	function loadKey(key, loader, options) {
+		let pending = pendingLoads.get(key);
+		if (!pending) {
+			// Deferred so even a synchronous throw settles after the promise is registered
+			pending = Promise.resolve()
+				.then(() => loader(key))
+				.then((value) => {
+					cache.setItem(key, value, options);
+					return value;
+				})
+				.finally(() => pendingLoads.delete(key));
+			pendingLoads.set(key, pending);
+		}
+		return pending;
+	}
+
+	/**
+	 * Reload a key without making the reader wait, keeping the current value if the loader fails
+	 */
+	function refreshInBackground(key, registration) {
+		if (pendingLoads.has(key)) return;
+		loadKey(key, registration.loader, registration.options).catch((error) => {
+			reportError('refresh', key, error, `nope-redis -> Background refresh of "${key}" failed!`);
+		});
+	}
+
+	/**
+	 * First registered loader whose pattern matches the key
+	 */
+	function findLoader(key) {
+		for (const registration of loaders.values()) {
+			if (registration.regex.test(key)) {
+				return registration;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Shared read path of getItem, getItems, wrap and memoized functions
+	 * Counts the hit and slides the expiry of live entries, serves entries inside their
+	 * stale grace window, and starts a background refresh for stale or hot, nearly expired entries.
+	 *
+	 * @param {object|undefined} item - The stored entry, undefined if the key is missing
+	 * @param {object} [registration] - Loader to refresh with, defaults to the registered loader matching the key
+	 * @returns {boolean} false if the key is missing, or expired and past its grace window
+	 * @throws {WrongTypeError} If a live entry holds a hash, list, set or sorted set
+	 */
+	function readEntry(key, item, now, registration) {
+		if (!item) {
+			counters.misses++;
+			return false;
+		}
+		if (item.expires_at > now) {
+			requirePlain(key, item);
+			counters.hits++;
+			touchEntry(key, item);
+			slideExpiry(key, item, now);
+			if (loaders.size > 0 || registration) {
+				const refresher = registration || findLoader(key);
+				if (refresher && refresher.refreshAhead > 0 && item.hit >= refresher.refreshAheadHits && item.expires_at - now <= refresher.refreshAhead) {
+					refreshInBackground(key, refresher);
+				}
+			}
+			return true;
+		}
+		if (item.stale !== undefined && now < item.expires_at + item.stale) {
+			counters.hits++;
+			touchEntry(key, item);
+			const refresher = registration || findLoader(key);
+			if (refresher) {
+				refreshInBackground(key, refresher);
+			}
+			return true;
+		}
+		// Mark for deletion in next cycle
+		expiredKeysPool.add(key);
+		counters.misses++;
+		return false;
+	}
+
+	/**
+	 * Register a loader that refreshes keys matching a glob pattern in the background
+	 * Stale reads always trigger a refresh; with refreshAhead, reads of hot keys close to expiring do too.
+	 *
+	 * @param {string} pattern - Glob pattern, e.g. "user:*"
+	 * @param {Function} loader - Called with the key, may return a value or a promise
+	 * @param {object} [options={}] - setItem options used to store loaded values
+	 * @param {number} [options.refreshAhead=0] - Seconds before expiry in which a read starts a refresh, 0 disables
+	 * @param {number} [options.refreshAheadHits=1] - Hits a key needs before it is refreshed ahead
+	 * @returns {boolean} true if registered, false for invalid arguments
+	 */
+	cache.registerLoader = (pattern, loader, options = {}) => {
+		try {
+			if (typeof pattern !== 'string' || typeof loader !== 'function' || typeof options !== 'object' || options === null) {
+				throw new InvalidArgumentError('nope-redis -> registerLoader needs a pattern, a loader function and an options object');
+			}
+			const { refreshAhead = 0, refreshAheadHits = 1, ...setOptions } = options;
+			if (!(Number.isFinite(refreshAhead) && refreshAhead >= 0) || !Number.isInteger(refreshAheadHits)) {
+				throw new InvalidArgumentError('nope-redis -> refreshAhead must be a non-negative number and refreshAheadHits an integer');
+			}
+			parseSetOptions(setOptions);
+			// Re-registering a pattern replaces its loader but keeps its priority
+			loaders.set(pattern, {
+				regex: globToRegExp(pattern),
+				loader,
+				options: setOptions,
+				refreshAhead: refreshAhead * 1000,
+				refreshAheadHits,
+			});
+			return true;
+		} catch (error) {
+			return commandFailed('registerLoader', error);
+		}
+	};
+
+	/**
+	 * Remove a loader registered with registerLoader()
+	 *
+	 * @param {string} pattern - Pattern passed to registerLoader()
+	 * @returns {boolean} true if a loader was registered for the pattern
+	 */
+	cache.unregisterLoader = (pattern) => loaders.delete(pattern);
+
+	/**
+	 * Get an item from the cache
+	 *
+	 * @param {string} key - The key to retrieve
+	 * @returns {*|null|false} The stored value, null if key doesn't exist or has expired (undefined in strict mode),
+	 * or false if service is stopped or key is invalid
+	 * @throws {WrongTypeError} If the key holds a hash, list, set or sorted set
+	 */
+	cache.getItem = (key) => {
+		const started = startTiming();
+		try {
+			requireService('getItem');
+			checkKey(key);
+
+			const item = memory.store.get(key);
+			return readEntry(key, item, Date.now()) ? item.value : miss();
+		} catch (error) {
+			return commandFailed('getItem', error, key);
+		} finally {
+			endTiming('get', key, started);
+		}
+	};
+
+	/**
+	 * Get an item and change its expiry in one step
+	 *
+	 * @param {string} key - The key to retrieve
+	 * @param {object} [options={}] - Expiry change, without one this behaves like getItem
+	 * @param {number} [options.ttl] - New time-to-live in seconds
+	 * @param {boolean} [options.persist] - Remove the expiry so the key never expires
+	 * @returns {*|null} The stored value, null if key doesn't exist or has expired, or false if service is stopped or options are invalid
+	 * @throws {WrongTypeError} If the key holds a hash, list, set or sorted set
+	 */
+	cache.getEx = (key, options = {}) =>
+		runCommand('getEx', key, () => {
+			checkKey(key);
+			const { ttl, persist } = options;
+			if (ttl !== undefined && !(Number.isFinite(ttl) && ttl > 0)) {
+				throw new InvalidTtlError(ttl);
+			}
+			const item = getLiveEntry(key);
+			requirePlain(key, item);
+			if (!item) {
+				counters.misses++;
+				return miss();
+			}
+			counters.hits++;
+			touchEntry(key, item);
+			slideExpiry(key, item, Date.now());
+			if (persist === true) {
+				setExpiry('getEx', key, item, Infinity);
+			} else if (ttl !== undefined) {
+				setExpiry('getEx', key, item, Date.now() + Math.floor(ttl * 1000));
+			}
+			return item.value;
+		});
+
+	/**
+	 * Get a value, loading and storing it on a miss
+	 * Concurrent misses for the same key share one loader call. When the loader
+	 * rejects, every waiter receives the error and nothing is cached. A value in
+	 * its stale grace window is returned while the loader refreshes it.
+	 *
+	 * @async
+	 * @param {string} key - The key to read
+	 * @param {Function} loader - Called with the key on a miss, may return a value or a promise
+	 * @param {number|object} [options=defaultTtl] - TTL in seconds or setItem options, used to store the loaded value
+	 * @returns {Promise<*>} The cached or loaded value, or false if service is stopped or arguments are invalid
+	 * @throws {WrongTypeError} If the key holds a hash, list, set or sorted set
+	 */
+	cache.wrap = async (key, loader, options) => {
+		try {
+			requireService('wrap');
+			checkKey(key);
+			if (typeof loader !== 'function') {
+				throw new InvalidArgumentError('nope-redis -> wrap needs a loader function');
+			}
+			parseSetOptions(options);
+		} catch (error) {
+			return commandFailed('wrap', error, key);
+		}
+		const item = memory.store.get(key);
+		if (readEntry(key, item, Date.now(), { loader, options, refreshAhead: 0 })) {
+			return item.value;
+		}
+		return loadKey(key, loader, options);
+	};
+
+	/**
+	 * Alias of wrap()
+	 */
+	cache.getOrSet = cache.wrap;
+
+	/**
+	 * Cache the results of a sync or async function
+	 * Results are stored as regular keys under the namespace, so they follow the store's TTL and
+	 * eviction. Concurrent calls of an async function with the same arguments share one call,
+	 * and rejected calls are not cached. While the service is stopped, calls go straight to fn.
+	 *
+	 * @param {Function} fn - The function to memoize
+	 * @param {object} [options={}] - setItem options used to store results, plus:
+	 * @param {Function} [options.keyFn] - Builds the key from the call arguments, defaults to a stable serialization of them
+	 * @param {string} [options.namespace] - Key prefix, defaults to a unique name per memoized function
+	 * @returns {Function|false} The memoized function with clear(), delete(...args) and stats(), or false for invalid arguments
+	 */
+	cache.memoize = (fn, options = {}) => {
+		if (typeof fn !== 'function' || typeof options !== 'object' || options === null) {
+			return commandFailed('memoize', new InvalidArgumentError('nope-redis -> memoize needs a function and an options object'));
+		}
+		memoizeCount++;
+		const { keyFn = (...args) => stableSerialize(args), namespace = `memoize:${fn.name || 'anonymous'}:${memoizeCount}`, ...setOptions } = options;
+		if (typeof keyFn !== 'function' || typeof namespace !== 'string') {
+			return commandFailed('memoize', new InvalidArgumentError('nope-redis -> memoize keyFn must be a function and namespace a string'));
+		}
+		try {
+			parseSetOptions(setOptions);
+		} catch (error) {
+			return commandFailed('memoize', error);
+		}
+		const prefix = `${namespace}:`;
+		// Cached results of async functions are handed out as promises
+		let isAsync = fn.constructor.name === 'AsyncFunction';
+		let hits = 0;
+		let misses = 0;
+		// Arguments that cannot be serialized usually come with every call, so they are reported once
+		let keyErrorReported = false;
+
+		function memoized(...args) {
+			let key;
+			try {
+				key = prefix + keyFn(...args);
+			} catch (error) {
+				if (!keyErrorReported) {
+					keyErrorReported = true;
+					reportError('memoize', undefined, error, `nope-redis -> Cant build memoize key of "${namespace}", calling without cache!`, 'warn');
+				}
+			}
+			if (key === undefined || !memory.config.status) {
+				misses++;
+				return fn.apply(this, args);
+			}
+
+			const item = memory.store.get(key);
+			if (readEntry(key, item, Date.now(), { loader: () => fn.apply(this, args), options: setOptions, refreshAhead: 0 })) {
+				hits++;
+				return isAsync ? Promise.resolve(item.value) : item.value;
+			}
+			// Joining a call in flight does not run fn, so it counts as a hit
+			const pending = pendingLoads.get(key);
+			if (pending) {
+				hits++;
+				return pending;
+			}
+
+			misses++;
+			const result = fn.apply(this, args);
+			if (result !== null && typeof result === 'object' && typeof result.then === 'function') {
+				isAsync = true;
+				return loadKey(key, () => result, setOptions);
+			}
+			cache.setItem(key, result, setOptions);
+			return result;
+		}
+
+		/**
+		 * Delete every cached result of this function
+		 *
+		 * @returns {number} Number of deleted results
+		 */
+		memoized.clear = () => {
+			const keys = [];
+			for (const key of keysWithPrefix(prefix)) {
+				if (key.startsWith(prefix)) {
+					keys.push(key);
+				}
+			}
+			return cache.deleteItems(keys) ? keys.length : 0;
+		};
+
+		/**
+		 * Delete the cached result for one set of arguments
+		 *
+		 * @returns {boolean} true if a result was cached for the arguments
+		 */
+		memoized.delete = (...args) => runCommand('memoize', undefined, () => deleteKey(prefix + keyFn(...args), 'memoize') !== undefined);
+
+		/**
+		 * Hit and miss counts of this function, separate from the global totalHits
+		 *
+		 * @returns {{hits: number, misses: number}}
+		 */
+		memoized.stats = () => ({ hits, misses });
+
+		return memoized;
+	};
+
+	/**
+	 * Delete an item from the cache
+	 *
+	 * @param {string} key - The key to delete
+	 * @returns {boolean} true if deleted successfully, false if service is stopped or key is invalid
+	 */
+	cache.deleteItem = (key) => {
+		const started = startTiming();
+		try {
+			requireService('deleteItem');
+			checkKey(key);
+			deleteKey(key, 'deleteItem');
+			return true;
+		} catch (error) {
+			return commandFailed('deleteItem', error, key);
+		} finally {
+			endTiming('delete', key, started);
+		}
+	};
+
+	/**
+	 * flush all data
+	 *
+	 * @returns {Boolean}
+	 */
+	// Batch operations
+	/**
+	 * Set multiple items in a single operation
+	 *
+	 * @param {Array<{key: string, value: *, ttl?: number, sliding?: boolean, maxLifetime?: number}>} items - Array of items to set, options as in setItem
+	 * @returns {Array<boolean|object>|false} setItem result for each item, or false if service is stopped or items is not an array
+	 */
+	cache.setItems = (items) => {
+		try {
+			requireService('setItems');
+			if (!Array.isArray(items)) {
+				throw new InvalidArgumentError('nope-redis -> setItems needs an array of items');
+			}
+
+			const results = [];
+			for (const item of items) {
+				const { key, value, ...options } = item;
+				results.push(cache.setItem(key, value, options));
+			}
+			return results;
+		} catch (error) {
+			return commandFailed('setItems', error);
+		}
+	};
+
+	/**
+	 * Get multiple items in a single operation
+	 *
+	 * @param {Array<string>} keys - Array of keys to retrieve, non-string keys are skipped (an InvalidKeyError in strict mode)
+	 * @returns {object|false} Object with key-value pairs, expired/missing keys return null, or false on error
+	 * @throws {WrongTypeError} If a key holds a hash, list, set or sorted set
+	 */
+	cache.getItems = (keys) => {
+		try {
+			requireService('getItems');
+			checkKeyList('getItems', keys);
+
+			const results = {};
+			const now = Date.now();
+
+			for (const key of keys) {
+				if (typeof key !== 'string') continue;
+
+				const item = memory.store.get(key);
+				results[key] = readEntry(key, item, now) ? item.value : miss();
+			}
+			return results;
+		} catch (error) {
+			return commandFailed('getItems', error);
+		}
+	};
+
+	/**
+	 * Delete multiple items in a single operation
+	 *
+	 * @param {Array<string>} keys - Array of keys to delete, non-string keys are skipped (an InvalidKeyError in strict mode)
+	 * @returns {boolean} true if operation succeeded, false on error
+	 */
+	cache.deleteItems = (keys) => {
+		try {
+			requireService('deleteItems');
+			checkKeyList('deleteItems', keys);
+
+			deleteKeys(keys, 'deleteItems');
+			return true;
+		} catch (error) {
+			return commandFailed('deleteItems', error);
+		}
+	};
+
+	/**
+	 * Validate the keys of a batch command; only strict mode rejects non-string keys, which are skipped otherwise
+	 *
+	 * @throws {InvalidArgumentError} If keys is not an array
+	 * @throws {InvalidKeyError} In strict mode, if a key is not a string
+	 */
+	function checkKeyList(name, keys) {
+		if (!Array.isArray(keys)) {
+			throw new InvalidArgumentError(`nope-redis -> ${name} needs an array of keys`);
+		}
+		if (strict) {
+			keys.forEach(checkKey);
+		}
+	}
+
+	/**
+	 * Remove several keys as one write: a single log record and a del event per removed key
+	 *
+	 * @param {Iterable<string>} keys - Keys to remove, non-string keys are skipped
+	 * @param {string} reason - Command name reported in the del events
+	 * @returns {number} Number of keys removed
+	 */
+	function deleteKeys(keys, reason) {
+		const deleted = new Map();
+		for (const key of keys) {
+			if (typeof key !== 'string') continue;
+
+			const item = removeEntry(key);
+			if (item) {
+				deleted.set(key, eventValue(item));
+			}
+		}
+		if (appendFd !== null && deleted.size > 0) {
+			appendRecord({ op: 'del', keys: [...deleted.keys()] });
+		}
+		for (const [key, value] of deleted) {
+			emitKeyEvent('del', key, reason, undefined, value);
+		}
+		return deleted.size;
+	}
+
+	/**
+	 * Delete every key carrying any of the given tags
+	 *
+	 * @param {string|Array<string>} tags - Tag or tags to invalidate
+	 * @returns {number|false} Number of deleted keys, or false if service is stopped or tags are invalid
+	 */
+	cache.invalidateTags = (tags) =>
+		runCommand('invalidateTags', undefined, () => {
+			const list = typeof tags === 'string' ? [tags] : tags;
+			if (!Array.isArray(list) || !list.every((tag) => typeof tag === 'string')) {
+				throw new InvalidArgumentError('nope-redis -> invalidateTags needs a tag or an array of tags');
+			}
+			const keys = new Set();
+			for (const tag of list) {
+				const tagged = tagIndex.get(tag);
+				if (tagged) {
+					for (const key of tagged) {
+						keys.add(key);
+					}
+				}
+			}
+			return deleteKeys(keys, 'invalidateTags');
+		});
+
+	/**
+	 * List the keys carrying a tag
+	 *
+	 * @param {string} tag - The tag to look up
+	 * @returns {Array<string>|false} Keys with the tag that have not expired, or false if service is stopped or tag is invalid
+	 */
+	cache.keysByTag = (tag) =>
+		runCommand('keysByTag', undefined, () => {
+			if (typeof tag !== 'string') {
+				throw new InvalidArgumentError('nope-redis -> keysByTag needs a tag');
+			}
+			const tagged = tagIndex.get(tag);
+			if (!tagged) {
+				return [];
+			}
+			const now = Date.now();
+			return [...tagged].filter((key) => memory.store.get(key).expires_at > now);
+		});
+
+	/**
+	 * Live keys starting with a prefix, optionally also matching a regular expression
+	 */
+	function collectKeys(prefix, regex) {
+		const now = Date.now();
+		const keys = [];
+		for (const key of keysWithPrefix(prefix)) {
+			if (key.startsWith(prefix) && (!regex || regex.test(key)) && memory.store.get(key).expires_at > now) {
+				keys.push(key);
+			}
+		}
+		return keys;
+	}
+
+	/**
+	 * Live keys matching a glob pattern, narrowed by the pattern's literal prefix
+	 */
+	function matchKeys(pattern) {
+		const wildcard = pattern.search(/[*?[\\]/);
+		return collectKeys(wildcard === -1 ? pattern : pattern.slice(0, wildcard), globToRegExp(pattern));
+	}
+
+	/**
+	 * List keys matching a glob pattern
+	 * Patterns starting with a literal prefix such as "user:" only check keys under that prefix.
+	 *
+	 * @param {string} [pattern='*'] - Glob pattern supporting *, ?, [abc], [a-z] and [^a]
+	 * @returns {Array<string>|false} Matching keys that have not expired, or false if service is stopped or pattern is invalid
+	 */
+	cache.keys = (pattern = '*') =>
+		runCommand('keys', undefined, () => {
+			if (typeof pattern !== 'string') {
+				throw new InvalidArgumentError('nope-redis -> keys pattern must be a string');
+			}
+			return matchKeys(pattern);
+		});
+
+	/**
+	 * Delete keys matching a glob pattern
+	 *
+	 * @param {string} pattern - Glob pattern, as in keys()
+	 * @returns {number|false} Number of deleted keys, or false if service is stopped or pattern is invalid
+	 */
+	cache.deleteByPattern = (pattern) =>
+		runCommand('deleteByPattern', undefined, () => {
+			if (typeof pattern !== 'string') {
+				throw new InvalidArgumentError('nope-redis -> deleteByPattern pattern must be a string');
+			}
+			return deleteKeys(matchKeys(pattern), 'deleteByPattern');
+		});
+
+	/**
+	 * Delete keys starting with a prefix
+	 * Prefixes containing ":" are looked up in the prefix index, others in the first segments of the keys.
+	 *
+	 * @param {string} prefix - Key prefix, e.g. "session:"
+	 * @returns {number|false} Number of deleted keys, or false if service is stopped or prefix is invalid
+	 */
+	cache.deleteByPrefix = (prefix) =>
+		runCommand('deleteByPrefix', undefined, () => {
+			if (typeof prefix !== 'string') {
+				throw new InvalidArgumentError('nope-redis -> deleteByPrefix prefix must be a string');
+			}
+			return deleteKeys(collectKeys(prefix), 'deleteByPrefix');
+		});
+
+	/**
+	 * Iterate over keys in batches with a cursor
+	 * Start with cursor 0 and pass each returned cursor to the next call until it is 0 again.
+	 * Keys present for the whole iteration are returned exactly once, however the store
+	 * changes in between; keys added or removed meanwhile may or may not be returned.
+	 *
+	 * @param {number} [cursor=0] - Cursor returned by the previous call, 0 to start
+	 * @param {object} [options={}] - Batch options
+	 * @param {string} [options.match] - Glob pattern keys must match
+	 * @param {number} [options.count=10] - Number of keys to look at, the batch can be smaller after filtering
+	 * @param {'string'|'hash'|'list'|'set'|'zset'} [options.type] - Only return keys of this type, "string" being setItem values
+	 * @returns {Array|false} [nextCursor, keys], or false if service is stopped or arguments are invalid
+	 */
+	cache.scan = (cursor = 0, options = {}) =>
+		runCommand('scan', undefined, () => {
+			const { match, count = 10, type } = options;
+			if (!Number.isInteger(cursor) || cursor < 0 || !Number.isInteger(count) || count < 1) {
+				throw new InvalidArgumentError('nope-redis -> scan needs a cursor of at least 0 and a count of at least 1');
+			}
+			if ((match !== undefined && typeof match !== 'string') || (type !== undefined && typeof type !== 'string')) {
+				throw new InvalidArgumentError('nope-redis -> scan match and type must be strings');
+			}
+			const regex = match === undefined ? null : globToRegExp(match);
+			const now = Date.now();
+			const keys = [];
+			let position = scanPosition(cursor);
+			let checked = 0;
+			while (position < scanKeys.length && checked < count) {
+				const key = scanKeys[position];
+				position++;
+				if (key === null) continue;
+				checked++;
+
+				const item = memory.store.get(key);
+				if (item.expires_at <= now || (regex && !regex.test(key)) || (type && (item.type || 'string') !== type)) {
+					continue;
+				}
+				keys.push(key);
+			}
+			return [position < scanSeqs.length ? scanSeqs[position] : 0, keys];
+		});
+
+	/**
+	 * Iterate over every key with scan(), yielding to the event loop between batches
+	 *
+	 * @param {object} [options={}] - scan() options, count defaults to 1000
+	 * @returns {AsyncGenerator<string>} Keys, with the same guarantees as scan()
+	 */
+	cache.scanIterator = async function* (options = {}) {
+		let cursor = 0;
+		do {
+			const result = cache.scan(cursor, { count: 1000, ...options });
+			if (!result) return;
+			yield* result[1];
+			cursor = result[0];
+			await new Promise((resolve) => setTimeout(resolve, 0));
+		} while (cursor !== 0);
+	};
+
+	/**
+	 * Version of a key for watch(): the version of its live entry, minus it once the entry expired,
+	 * the version it got when it was deleted while watched, or 0 if it never existed since
+	 */
+	function keyVersion(key) {
+		const item = memory.store.get(key);
+		if (item) return entryVersion(item);
+		return deletedVersions.get(key) || 0;
+	}
+
+	/**
+	 * Version of an entry for watch(), negative once it expired
+	 */
+	function entryVersion(item) {
+		return item.expires_at > Date.now() ? item.version : -item.version;
+	}
+
+	/**
+	 * Version a watched key gets when its entry is removed: removing an expired entry changes nothing for watch()
+	 */
+	function removedVersion(item) {
+		const version = entryVersion(item);
+		return version < 0 ? version : ++writeVersion;
+	}
+
+	/**
+	 * Check that every command queued in a transaction will succeed, without changing anything
+	 * Commands are replayed against the values earlier commands of the queue would leave behind.
+	 *
+	 * @param {Array<{name: string, args: Array}>} queue - Queued commands
+	 * @throws {InvalidArgumentError} If a command has invalid arguments or would overflow
+	 * @throws {WrongTypeError} If incr is queued for a key holding a non-integer
+	 */
+	function checkTransaction(queue) {
+		const now = Date.now();
+		// Keys written by earlier commands: { value } while live, null once deleted or expired
+		const pending = new Map();
+		const current = (key) => {
+			if (pending.has(key)) return pending.get(key);
+			const item = memory.store.get(key);
+			return item && item.expires_at > now ? item : null;
+		};
+
+		for (const { name, args } of queue) {
+			const [key] = args;
+			checkKey(key);
+			if (name === 'setItem') {
+				const parsed = parseSetOptions(args[2]);
+				// Conditional writes that will be skipped leave the key as it is
+				if ((parsed.nx && current(key)) || (parsed.xx && !current(key))) {
+					continue;
+				}
+				pending.set(key, Math.floor(parsed.ttl * 1000) > 0 ? { value: args[1] } : null);
+			} else if (name === 'deleteItem') {
+				pending.set(key, null);
+			} else if (name === 'incr') {
+				const entry = current(key);
+				if (!entry) {
+					pending.set(key, { value: 1 });
+					continue;
+				}
+				if (typeof entry.value !== 'number' || !Number.isInteger(entry.value)) {
+					throw new WrongTypeError(key, `nope-redis -> key "${key}" does not hold an integer`);
+				}
+				if (!Number.isSafeInteger(entry.value + 1)) {
+					throw new InvalidArgumentError(`nope-redis -> incr of key "${key}" would overflow`);
+				}
+				pending.set(key, { value: entry.value + 1 });
+			} else if (name === 'expire') {
+				const seconds = args[1];
+				if (!Number.isFinite(seconds)) {
+					throw new InvalidTtlError(seconds, 'expire time');
+				}
+				// A TTL that has already passed deletes the key
+				if (Math.floor(seconds * 1000) <= 0 && current(key)) {
+					pending.set(key, null);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Build a transaction: commands are queued on it and applied together by exec()
+	 *
+	 * @returns {object} Transaction with setItem, deleteItem, incr, expire, watch, exec and discard
+	 */
+	function createTransaction() {
+		const queue = [];
+		const watched = new Map();
+		// Error from an invalid watch() call, reported by exec()
+		let invalid = null;
+		let finished = false;
+		const transaction = {};
+
+		const enqueue = (name, args) => {
+			queue.push({ name, args });
+			return transaction;
+		};
+		transaction.setItem = (key, value, options) => enqueue('setItem', [key, value, options]);
+		transaction.deleteItem = (key) => enqueue('deleteItem', [key]);
+		transaction.incr = (key) => enqueue('incr', [key]);
+		transaction.expire = (key, seconds) => enqueue('expire', [key, seconds]);
+
+		transaction.watch = (keys) => {
+			const list = typeof keys === 'string' ? [keys] : keys;
+			if (!Array.isArray(list)) {
+				invalid = new InvalidArgumentError('nope-redis -> watch needs a key or an array of keys');
+				return transaction;
+			}
+			const invalidIndex = list.findIndex((key) => typeof key !== 'string');
+			if (invalidIndex !== -1) {
+				invalid = new InvalidKeyError(list[invalidIndex]);
+				return transaction;
+			}
+			for (const key of list) {
+				// The first watch of a key counts, and exec() would fail anyway once finished
+				if (!finished && !watched.has(key)) {
+					watched.set(key, keyVersion(key));
+					watchCounts.set(key, (watchCounts.get(key) || 0) + 1);
+				}
+			}
+			return transaction;
+		};
+
+		// Stop tracking deletes of the watched keys no other open transaction watches
+		const unwatch = () => {
+			for (const key of watched.keys()) {
+				const count = watchCounts.get(key) - 1;
+				if (count > 0) {
+					watchCounts.set(key, count);
+				} else {
+					watchCounts.delete(key);
+					deletedVersions.delete(key);
+				}
+			}
+		};
+
+		/**
+		 * Apply the queued commands, each with the result it returns outside a transaction
+		 *
+		 * @returns {Array|null|false} Results in queue order, null if a watched key changed, or false if service is stopped, a command would fail or the transaction already finished
+		 * @throws {WrongTypeError} If incr is queued for a key holding a non-integer, nothing is applied then either
+		 */
+		transaction.exec = () =>
+			runCommand('exec', undefined, () => {
+				if (finished) {
+					throw new NopeRedisError('nope-redis -> transaction already executed or discarded');
+				}
+				finished = true;
+				try {
+					if (invalid) {
+						throw invalid;
+					}
+					for (const [key, version] of watched) {
+						if (keyVersion(key) !== version) {
+							return null;
+						}
+					}
+					checkTransaction(queue);
+					return queue.map(({ name, args }) => cache[name](...args));
+				} finally {
+					unwatch();
+				}
+			});
+
+		/**
+		 * Drop the queued commands, the transaction cannot be executed afterwards
+		 *
+		 * @returns {boolean} Always true
+		 */
+		transaction.discard = () => {
+			if (!finished) {
+				finished = true;
+				unwatch();
+			}
+			return true;
+		};
+
+		return transaction;
+	}
+
+	/**
+	 * Start a transaction
+	 * Queue commands on the returned transaction and apply them all at once with exec():
+	 * if any queued command has invalid arguments or would fail, none is applied.
+	 *
+	 * @returns {object} Transaction with chainable setItem, deleteItem, incr, expire and watch, plus exec and discard
+	 */
+	cache.multi = () => createTransaction();
+
+	/**
+	 * Start a transaction that only executes if the given keys are left unchanged
+	 * exec() returns null when a watched key was written, deleted, expired or evicted after this call.
+	 *
+	 * @param {string|Array<string>} keys - Key or keys to watch
+	 * @returns {object} Transaction, as returned by multi()
+	 */
+	cache.watch = (keys) => createTransaction().watch(keys);
+
+	/**
+	 * Clear all cached data
+	 *
+	 * @returns {boolean} true if flushed successfully, false if service is stopped
+	 */
+	cache.flushAll = () => {
+		try {
+			requireService('flushAll');
+			// just store clean
+			defaultMemory(false);
+			if (appendFd !== null) {
+				appendRecord({ op: 'flush' });
+			}
+			emitKeyEvent('flush', null, 'flushAll');
+			return true;
+		} catch (error) {
+			return commandFailed('flushAll', error);
+		}
+	};
+
+	/**
+	 * Listen for key-space events of one type
+	 * Handlers receive { type, key, reason, value?, oldValue? }; flush events have a null key.
+	 *
+	 * @param {'set'|'del'|'expired'|'evicted'|'flush'} event - Event type
+	 * @param {Function} handler - Called synchronously after the change
+	 * @returns {boolean} true if registered, false for an unknown event or a non-function handler
+	 */
+	cache.on = (event, handler) => {
+		if (!KEY_EVENTS.includes(event) || typeof handler !== 'function') {
+			return commandFailed('on', new InvalidArgumentError(`nope-redis -> on needs one of ${KEY_EVENTS.join(', ')} and a handler function`));
+		}
+		let handlers = keyListeners.get(event);
+		if (!handlers) {
+			handlers = new Set();
+			keyListeners.set(event, handlers);
+		}
+		handlers.add(handler);
+		return true;
+	};
+
+	/**
+	 * Stop listening for key-space events registered with on()
+	 *
+	 * @param {'set'|'del'|'expired'|'evicted'|'flush'} event - Event type
+	 * @param {Function} handler - The handler passed to on()
+	 * @returns {boolean} true if the handler was registered
+	 */
+	cache.off = (event, handler) => {
+		const handlers = keyListeners.get(event);
+		if (!handlers || !handlers.delete(handler)) {
+			return false;
+		}
+		if (handlers.size === 0) {
+			keyListeners.delete(event);
+		}
+		return true;
+	};
+
+	/**
+	 * Receive every key-space event for keys matching a glob pattern
+	 * Flush events are delivered to all subscriptions.
+	 *
+	 * @param {string} pattern - Glob pattern, e.g. "user:*" or "session:[0-9]*"
+	 * @param {Function} handler - Called with each event
+	 * @returns {Function|false} Function that removes this subscription, or false for invalid arguments
+	 */
+	cache.subscribeKeys = (pattern, handler) => {
+		if (typeof pattern !== 'string' || typeof handler !== 'function') {
+			return commandFailed('subscribeKeys', new InvalidArgumentError('nope-redis -> subscribeKeys needs a pattern and a handler function'));
+		}
+		const subscription = { pattern, regex: globToRegExp(pattern), handler };
+		keySubscriptions.add(subscription);
+		return () => keySubscriptions.delete(subscription);
+	};
+
+	/**
+	 * Remove glob subscriptions for a pattern
+	 *
+	 * @param {string} pattern - Pattern passed to subscribeKeys()
+	 * @param {Function} [handler] - Only remove this handler, defaults to every handler of the pattern
+	 * @returns {number} Number of removed subscriptions
+	 */
+	cache.unsubscribeKeys = (pattern, handler) => {
+		let removed = 0;
+		for (const subscription of keySubscriptions) {
+			if (subscription.pattern === pattern && (handler === undefined || subscription.handler === handler)) {
+				keySubscriptions.delete(subscription);
+				removed++;
+			}
+		}
+		return removed;
+	};
+
+	/**
+	 * Remove handlers from a subscriber map entry, dropping the entry once empty
+	 *
+	 * @returns {number} Number of removed handlers
+	 */
+	function removeSubscribers(subscribers, name, handler) {
+		const entry = subscribers.get(name);
+		if (!entry) return 0;
+		const handlers = entry.handlers;
+		let removed = 0;
+		if (handler === undefined) {
+			removed = handlers.size;
+			handlers.clear();
+		} else if (handlers.delete(handler)) {
+			removed = 1;
+		}
+		if (handlers.size === 0) {
+			subscribers.delete(name);
+		}
+		return removed;
+	}
+
+	/**
+	 * Publish a message to a channel
+	 * Channel handlers are called with (message, channel), pattern handlers with (message, channel, pattern).
+	 *
+	 * @param {string} channel - Channel name
+	 * @param {*} message - Message passed to the handlers as is
+	 * @returns {number|false} Number of handlers that received the message, or false if service is stopped or channel is invalid
+	 */
+	cache.publish = (channel, message) => {
+		try {
+			requireService('publish');
+			if (typeof channel !== 'string') {
+				throw new InvalidArgumentError('nope-redis -> publish channel must be a string');
+			}
+		} catch (error) {
+			return commandFailed('publish', error);
+		}
+		const receivers = [];
+		const entry = channelSubscribers.get(channel);
+		if (entry) {
+			for (const handler of entry.handlers) {
+				receivers.push([handler, undefined]);
+			}
+		}
+		for (const [pattern, patternEntry] of patternSubscribers) {
+			if (patternEntry.regex.test(channel)) {
+				for (const handler of patternEntry.handlers) {
+					receivers.push([handler, pattern]);
+				}
+			}
+		}
+		for (const [handler, pattern] of receivers) {
+			try {
+				if (pattern === undefined) {
+					handler(message, channel);
+				} else {
+					handler(message, channel, pattern);
+				}
+			} catch (error) {
+				reportError('publish', undefined, error, `nope-redis -> subscriber error on channel "${channel}"!`);
+			}
+		}
+		return receivers.length;
+	};
+
+	/**
+	 * Receive messages published to a channel
+	 *
+	 * @param {string} channel - Channel name
+	 * @param {Function} handler - Called with (message, channel)
+	 * @returns {Function|false} Function that removes this subscription, or false for invalid arguments
+	 */
+	cache.subscribe = (channel, handler) => {
+		if (typeof channel !== 'string' || typeof handler !== 'function') {
+			return commandFailed('subscribe', new InvalidArgumentError('nope-redis -> subscribe needs a channel and a handler function'));
+		}
+		let entry = channelSubscribers.get(channel);
+		if (!entry) {
+			entry = { handlers: new Set() };
+			channelSubscribers.set(channel, entry);
+		}
+		entry.handlers.add(handler);
+		return () => removeSubscribers(channelSubscribers, channel, handler) > 0;
+	};
+
+	/**
+	 * Receive messages published to every channel matching a glob pattern
+	 *
+	 * @param {string} pattern - Glob pattern, e.g. "news.*"
+	 * @param {Function} handler - Called with (message, channel, pattern)
+	 * @returns {Function|false} Function that removes this subscription, or false for invalid arguments
+	 */
+	cache.psubscribe = (pattern, handler) => {
+		if (typeof pattern !== 'string' || typeof handler !== 'function') {
+			return commandFailed('psubscribe', new InvalidArgumentError('nope-redis -> psubscribe needs a pattern and a handler function'));
+		}
+		let entry = patternSubscribers.get(pattern);
+		if (!entry) {
+			entry = { regex: globToRegExp(pattern), handlers: new Set() };
+			patternSubscribers.set(pattern, entry);
+		}
+		entry.handlers.add(handler);
+		return () => removeSubscribers(patternSubscribers, pattern, handler) > 0;
+	};
+
+	/**
+	 * Remove channel subscriptions
+	 *
+	 * @param {string} channel - Channel name
+	 * @param {Function} [handler] - Only remove this handler, defaults to every handler of the channel
+	 * @returns {number} Number of removed subscriptions
+	 */
+	cache.unsubscribe = (channel, handler) => removeSubscribers(channelSubscribers, channel, handler);
+
+	/**
+	 * Remove pattern subscriptions
+	 *
+	 * @param {string} pattern - Pattern passed to psubscribe()
+	 * @param {Function} [handler] - Only remove this handler, defaults to every handler of the pattern
+	 * @returns {number} Number of removed subscriptions
+	 */
+	cache.punsubscribe = (pattern, handler) => removeSubscribers(patternSubscribers, pattern, handler);
+
+	/**
+	 * List channels with at least one subscriber (pattern subscriptions are not included)
+	 *
+	 * @param {string} [pattern] - Only return channels matching this glob pattern
+	 * @returns {Array<string>} Channel names
+	 */
+	cache.pubsubChannels = (pattern) => {
+		const channels = [...channelSubscribers.keys()];
+		if (typeof pattern !== 'string') {
+			return channels;
+		}
+		const regex = globToRegExp(pattern);
+		return channels.filter((channel) => regex.test(channel));
+	};
+
+	/**
+	 * Count the subscribers of channels (pattern subscriptions are not included)
+	 *
+	 * @param {...string} channels - Channel names
+	 * @returns {object} Subscriber count by channel name
+	 */
+	cache.pubsubNumsub = (...channels) => {
+		const counts = {};
+		for (const channel of channels) {
+			const entry = channelSubscribers.get(channel);
+			counts[channel] = entry ? entry.handlers.size : 0;
+		}
+		return counts;
+	};
+
+	/**
+	 * Write every live entry to a snapshot file
+	 * Entries are written in LRU order so loading restores eviction order.
+	 * The file is written to a temporary path and renamed, so a crash never leaves a partial snapshot.
+	 *
+	 * @async
+	 * @param {string} [path=snapshotPath] - Destination file (defaults to the configured snapshotPath)
+	 * @returns {Promise<boolean>} true if written, false if service is stopped, no path is given or an error occurs
+	 */
+	cache.saveSnapshot = async (path = snapshotPath) => {
+		try {
+			requireService('saveSnapshot');
+			if (typeof path !== 'string' || path.length === 0) {
+				throw new InvalidArgumentError('nope-redis -> saveSnapshot needs a path or a configured snapshotPath');
+			}
+			const now = getTimestamp();
+			const nowMs = Date.now();
+			const entries = [];
+			for (const key of memory.lru.keys()) {
+				const item = memory.store.get(key);
+				if (!item || item.expires_at <= nowMs) continue;
+				try {
+					const entry = persistedEntry(key, item);
+					entry.hit = item.hit;
+					entries.push(entry);
+				} catch (error) {
+					reportError('saveSnapshot', key, error, `nope-redis -> Snapshot skipped key "${key}"`, 'warn');
+				}
+			}
+			const snapshot = {
+				format: SNAPSHOT_FORMAT,
+				version: SNAPSHOT_VERSION,
+				created_at: now,
+				entries,
+			};
+			// Unique temp file so concurrent saves never rename each other's output
+			const tmpPath = `${path}.${++snapshotWrites}.tmp`;
+			await fs.promises.writeFile(tmpPath, JSON.stringify(snapshot));
+			await fs.promises.rename(tmpPath, path);
+			memory.config.lastSnapshot = now;
+			return true;
+		} catch (error) {
+			return commandFailed('saveSnapshot', error);
+		}
+	};
+
+	/**
+	 * Load entries from a snapshot file into the cache
+	 * Expired entries are skipped, keys already in the cache are overwritten
+	 * and the memory limit is enforced after loading.
+	 *
+	 * @async
+	 * @param {string} [path=snapshotPath] - Snapshot file to read (defaults to the configured snapshotPath)
+	 * @returns {Promise<number|false>} Number of restored keys, or false if service is stopped, the file is invalid or an error occurs
+	 */
+	cache.loadSnapshot = async (path = snapshotPath) => {
+		try {
+			requireService('loadSnapshot');
+			if (typeof path !== 'string' || path.length === 0) {
+				throw new InvalidArgumentError('nope-redis -> loadSnapshot needs a path or a configured snapshotPath');
+			}
+			const snapshot = JSON.parse(await fs.promises.readFile(path, 'utf8'));
+			if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT || !Array.isArray(snapshot.entries)) {
+				log('error', 'nope-redis -> Invalid snapshot file', path);
+				throw new InvalidArgumentError(`nope-redis -> "${path}" is not a snapshot file`);
+			}
+			// The service may have been stopped while the file was being read
+			requireService('loadSnapshot');
+			const now = Date.now();
+			// Version 1 snapshots stored expires_at in seconds
+			const expiryScale = snapshot.version === 1 ? 1000 : 1;
+			let restored = 0;
+			for (const entry of snapshot.entries) {
+				const expiresAt = entry.expires_at === null ? Infinity : entry.expires_at * expiryScale;
+				if (typeof entry.key !== 'string' || !(expiresAt > now)) continue;
+				if (restoreEntry(entry, expiresAt, entry.hit)) {
+					restored++;
+				}
+			}
+			while (currentMemorySize > maxMemorySize && memory.lru.size > 0) {
+				evictKeys();
+			}
+			if (appendFd !== null && restored > 0) {
+				// Loaded keys must survive a replay of the append-only log
+				rewriteAppendOnly();
+			}
+			return restored;
+		} catch (error) {
+			return commandFailed('loadSnapshot', error);
 		}
-		return results;
-	} catch (error) {
-		console.error('nope-redis -> Batch get error!', error);
-		return false;
+	};
+
+	/**
+	 * JSON-safe form of an entry, shared by snapshots and the append-only log
+	 * Throws when the value cannot be encoded.
+	 */
+	function persistedEntry(key, item) {
+		// JSON has no Infinity, keys that never expire are stored with a null expiry
+		const expiresAt = item.expires_at === Infinity ? null : item.expires_at;
+		const entry = { key, value: encodeValue(item.value), expires_at: expiresAt };
+		if (item.type) {
+			entry.type = item.type;
+		}
+		if (item.sliding !== undefined) {
+			entry.sliding = item.sliding;
+			if (item.max_expires_at !== undefined) {
+				entry.max_expires_at = item.max_expires_at;
+			}
+		}
+		if (item.stale !== undefined) {
+			entry.stale = item.stale;
+		}
+		if (item.tags) {
+			entry.tags = item.tags;
+		}
+		return entry;
 	}
-};
 
-/**
- * Delete multiple items in a single operation
- *
- * @param {Array<string>} keys - Array of keys to delete
- * @returns {boolean} true if operation succeeded, false on error
- */
-module.exports.deleteItems = (keys) => {
-	try {
-		if (!memory.config.status || !Array.isArray(keys)) {
+	/**
+	 * Put a persisted entry back into the store with its original expiry
+	 * Used by snapshot loading and append-only log replay.
+	 *
+	 * @param {object} entry - Persisted entry as written by persistedEntry()
+	 * @returns {boolean} false if the value does not match its declared type
+	 */
+	function restoreEntry(entry, expiresAt, hit) {
+		const { key, type } = entry;
+		const value = decodeValue(entry.value);
+		if (type && !(DATA_TYPES[type] && value instanceof DATA_TYPES[type])) {
 			return false;
 		}
-
-		for (const key of keys) {
-			if (typeof key !== 'string') continue;
-
-			const item = memory.store.get(key);
-			if (item) {
-				subtractMemorySize(item.size || (estimateSize(item.value) + 20) / (1024 * 1024));
-				memory.store.delete(key);
-				memory.lru.delete(key);
-				expiredKeysPool.delete(key);
+		const size = entrySize(type, value);
+		const existingItem = memory.store.get(key);
+		if (existingItem) {
+			subtractMemorySize(existingItem.size || (estimateSize(existingItem.value) + 20) / (1024 * 1024));
+			unindexTags(key, existingItem);
+			memory.lru.delete(key);
+		}
+		const item = {
+			value,
+			hit: Number.isInteger(hit) ? hit : 0,
+			expires_at: expiresAt,
+			size,
+			version: ++writeVersion,
+		};
+		if (type) {
+			item.type = type;
+		}
+		if (Number.isFinite(entry.sliding)) {
+			item.sliding = entry.sliding;
+			if (Number.isFinite(entry.max_expires_at)) {
+				item.max_expires_at = entry.max_expires_at;
 			}
 		}
+		if (Number.isFinite(entry.stale)) {
+			item.stale = entry.stale;
+		}
+		if (Array.isArray(entry.tags) && entry.tags.length > 0 && entry.tags.every((tag) => typeof tag === 'string')) {
+			item.tags = entry.tags;
+		}
+		if (existingItem) {
+			item.seq = existingItem.seq;
+		} else {
+			indexKey(key, item);
+		}
+		memory.store.set(key, item);
+		indexTags(key, item);
+		memory.lru.set(key, true);
+		expiredKeysPool.delete(key);
+		currentMemorySize += size;
 		return true;
-	} catch (error) {
-		console.error('nope-redis -> Batch delete error!', error);
-		return false;
 	}
-};
 
-/**
- * Clear all cached data
- *
- * @returns {boolean} true if flushed successfully, false if service is stopped
- */
-module.exports.flushAll = () => {
-	try {
-		if (!memory.config.status) {
-			return false;
+	/**
+	 * Append one record to the append-only log
+	 * Write failures disable the log instead of failing the cache operation.
+	 */
+	function appendRecord(record) {
+		if (appendFd === null || appendReplaying) return;
+		try {
+			fs.writeSync(appendFd, `${JSON.stringify(record)}\n`);
+			if (appendFsync === 'always') {
+				fs.fsyncSync(appendFd);
+			} else {
+				appendDirty = true;
+			}
+		} catch (error) {
+			reportError('appendOnly', record.key, error, 'nope-redis -> Append-only log write failed, logging disabled!');
+			closeAppendOnly();
 		}
-		// just store clean
-		defaultMemory(false);
-		return true;
-	} catch (error) {
-		console.error('nope-redis -> Cant flush!', error);
-		return false;
 	}
-};
 
-/**
- * Get comprehensive cache statistics
- *
- * @param {object} [options={}] - Statistics options
- * @param {boolean} [options.showKeys=true] - Include array of all keys
- * @param {boolean} [options.showTotal=true] - Include total key count
- * @param {boolean} [options.showSize=false] - Include current memory usage in stats output
- * @returns {object} Statistics object with status, counts, memory usage, and configuration
- */
-module.exports.stats = (options = {}) => {
-	try {
-		// Merge with defaults
-		const config = {
-			showKeys: true,
-			showTotal: true,
-			showSize: false,
-			...options,
-		};
+	/**
+	 * Log a write, or a delete when the value cannot be serialized so replay never restores an older value
+	 */
+	function logSet(key, item) {
+		let record;
+		try {
+			record = { op: 'set', ...persistedEntry(key, item) };
+		} catch (error) {
+			reportError('appendOnly', key, error, `nope-redis -> Append-only log skipped key "${key}"`, 'warn');
+			appendRecord({ op: 'del', keys: [key] });
+			return;
+		}
+		appendRecord(record);
+	}
 
-		const result = {
-			status: memory.config.status,
-			killerIsFinished: memory.config.killerIsFinished,
-			lastKiller: memory.config.lastKiller,
-			nextKiller: memory.config.nextKiller,
-			criticalError,
-			defaultTtl,
-			totalHits: memory.config.totalHits,
-			isMemoryStatsEnabled,
-			evictionCount: memory.config.evictionCount,
-			evictionPolicy,
-			maxMemorySize: formatSizeUnits(maxMemorySize),
-		};
-		if (isMemoryStatsEnabled) {
-			result.nextMemoryStatsTime = memory.config.nextMemoryStatsTime;
-			result.memoryStats = memory.config.memoryStats;
+	/**
+	 * Log the change a data type command made to an existing entry
+	 * Falls back to logSet() when the change cannot be serialized, which then logs a delete.
+	 *
+	 * @param {object} change - Change record without the key, e.g. { op: 'hset', fields }
+	 */
+	function logChange(key, item, change) {
+		let record;
+		try {
+			record = encodeValue({ op: change.op, key, ...change });
+		} catch (_e) {
+			logSet(key, item);
+			return;
+		}
+		appendRecord(record);
+	}
+
+	/**
+	 * Apply a change record of the append-only log to its entry, as the command that logged it did
+	 * Changes to a key that is gone are skipped, the entry expired or was deleted after the change.
+	 *
+	 * @param {object} change - Decoded change record
+	 * @throws {WrongTypeError} If the key holds a different type
+	 */
+	function applyChange(change) {
+		const { op, key } = change;
+		const item = getTypedEntry(key, CHANGE_RECORD_TYPES[op]);
+		if (!item) return;
+		const value = item.value;
+		let bytes = 0;
+		if (op === 'hset') {
+			for (const [field, fieldValue] of change.fields) {
+				if (value.has(field)) {
+					bytes -= hashFieldSize(field, value.get(field));
+				}
+				bytes += hashFieldSize(field, fieldValue);
+				value.set(field, fieldValue);
+			}
+		} else if (op === 'hdel') {
+			for (const field of change.fields) {
+				if (value.has(field)) {
+					bytes -= hashFieldSize(field, value.get(field));
+					value.delete(field);
+				}
+			}
+		} else if (op === 'lpush' || op === 'rpush') {
+			for (const element of change.values) {
+				bytes += listItemSize(element);
+				if (op === 'lpush') {
+					value.unshift(element);
+				} else {
+					value.push(element);
+				}
+			}
+		} else if (op === 'lpop' || op === 'rpop') {
+			const removed = op === 'lpop' ? value.splice(0, change.count) : value.splice(-change.count, change.count);
+			for (const element of removed) {
+				bytes -= listItemSize(element);
+			}
+		} else if (op === 'ltrim') {
+			for (let i = 0; i < value.length; i++) {
+				if (i < change.start || i > change.stop) bytes -= listItemSize(value[i]);
+			}
+			item.value = value.slice(change.start, change.stop + 1);
+		} else if (op === 'lrem') {
+			// Highest index first, so the other indexes stay valid
+			for (const index of [...change.indexes].sort((a, b) => b - a)) {
+				bytes -= listItemSize(value[index]);
+				value.splice(index, 1);
+			}
+		} else if (op === 'sadd') {
+			for (const member of change.members) {
+				if (!value.has(member)) {
+					bytes += setMemberSize(member);
+					value.add(member);
+				}
+			}
+		} else if (op === 'zadd') {
+			for (const [member, score] of change.members) {
+				if (!value.scores.has(member)) bytes += zsetMemberSize(member);
+				value.add(member, score);
+			}
+		} else if (op === 'srem' || op === 'zrem') {
+			for (const member of change.members) {
+				if (value.delete(member)) {
+					bytes -= op === 'srem' ? setMemberSize(member) : zsetMemberSize(member);
+				}
+			}
 		}
-		if (config.showTotal) {
-			result.total = memory.lru.size;
+		if ((Array.isArray(item.value) ? item.value.length : item.value.size) === 0) {
+			removeEntry(key);
+			return;
 		}
-		if (config.showSize) {
-			result.size = formatSizeUnits(currentMemorySize);
+		item.size += bytes / (1024 * 1024);
+		currentMemorySize += bytes / (1024 * 1024);
+		item.version = ++writeVersion;
+	}
+
+	/**
+	 * Apply the records of an append-only log file to the store
+	 *
+	 * @returns {number} Number of applied records
+	 */
+	function replayAppendOnly(path) {
+		let content;
+		try {
+			content = fs.readFileSync(path, 'utf8');
+		} catch (error) {
+			if (error.code === 'ENOENT') return 0;
+			throw error;
 		}
-		if (config.showKeys) {
-			result.keys = Array.from(memory.lru.keys());
+		const now = Date.now();
+		let applied = 0;
+		// Sliding keys whose expiry depends on the slide records after them, checked once all are applied
+		const slidKeys = new Set();
+		appendReplaying = true;
+		try {
+			const lines = content.split('\n');
+			for (let i = 0; i < lines.length; i++) {
+				if (lines[i].length === 0) continue;
+				let record;
+				try {
+					record = JSON.parse(lines[i]);
+				} catch (_e) {
+					// A crash can leave a partial last line behind
+					log('warn', `nope-redis -> Append-only log line ${i + 1} is invalid, skipped`);
+					continue;
+				}
+				if (record.op === 'set' && typeof record.key === 'string') {
+					const expiresAt = record.expires_at === null ? Infinity : record.expires_at;
+					if (expiresAt > now) {
+						restoreEntry(record, expiresAt, 0);
+					} else if (Number.isFinite(record.sliding)) {
+						// A later slide record can still have kept the key alive
+						restoreEntry(record, expiresAt, 0);
+						slidKeys.add(record.key);
+					} else {
+						removeEntry(record.key);
+					}
+				} else if (record.op === 'del' && Array.isArray(record.keys)) {
+					// Like restoreEntry, replay bypasses the public commands, so it emits no events and counts no deletes
+					for (const key of record.keys) {
+						if (typeof key === 'string') removeEntry(key);
+					}
+				} else if (record.op === 'slide' && typeof record.key === 'string') {
+					const item = memory.store.get(record.key);
+					if (!item || !Number.isFinite(record.expires_at)) continue;
+					item.expires_at = record.expires_at;
+					slidKeys.add(record.key);
+				} else if (record.op === 'flush') {
+					defaultMemory(false);
+				} else if (CHANGE_RECORD_TYPES[record.op] && typeof record.key === 'string') {
+					try {
+						applyChange(decodeValue(record));
+					} catch (error) {
+						reportError('appendOnly', record.key, error, `nope-redis -> Append-only log line ${i + 1} could not be applied, skipped`, 'warn');
+						continue;
+					}
+				} else {
+					continue;
+				}
+				applied++;
+			}
+			for (const key of slidKeys) {
+				const item = memory.store.get(key);
+				if (item && item.expires_at <= now) {
+					removeEntry(key);
+				}
+			}
+			while (currentMemorySize > maxMemorySize && memory.lru.size > 0) {
+				evictKeys();
+			}
+		} finally {
+			appendReplaying = false;
 		}
-		return result;
-	} catch (error) {
-		console.error('nope-redis -> stats error!', error);
-		return false;
+		return applied;
 	}
-};
 
-// Move formatSizeUnits outside of roughSizeOfObject
-function formatSizeUnits(mb) {
-	// Input is now in MB
-	if (mb >= 1024) {
-		return `${(mb / 1024).toFixed(2)} GB`;
+	/**
+	 * Replay the configured append-only log and open it for appending
+	 */
+	function openAppendOnly() {
+		try {
+			replayAppendOnly(appendOnlyPath);
+			appendFd = fs.openSync(appendOnlyPath, 'a');
+			appendDirty = false;
+			startAppendFsync();
+		} catch (error) {
+			reportError('appendOnly', undefined, error, 'nope-redis -> Cant open append-only log!');
+			closeAppendOnly();
+		}
 	}
-	if (mb >= 1) {
-		return `${mb.toFixed(2)} MB`;
+
+	/**
+	 * Flush and close the append-only log file
+	 */
+	function closeAppendOnly() {
+		if (appendFsyncInterval) {
+			clearInterval(appendFsyncInterval);
+			appendFsyncInterval = null;
+		}
+		if (appendFd === null) return;
+		try {
+			if (appendDirty && appendFsync !== 'no') {
+				fs.fsyncSync(appendFd);
+			}
+			fs.closeSync(appendFd);
+		} catch (error) {
+			reportError('appendOnly', undefined, error, 'nope-redis -> Cant close append-only log!');
+		}
+		appendFd = null;
+		appendDirty = false;
 	}
-	if (mb > 0) {
-		return `${(mb * 1024).toFixed(2)} KB`;
+
+	/**
+	 * Start the once-per-second fsync timer for the 'everysec' policy
+	 */
+	function startAppendFsync() {
+		if (appendFsyncInterval) {
+			clearInterval(appendFsyncInterval);
+			appendFsyncInterval = null;
+		}
+		if (appendFsync !== 'everysec') return;
+		appendFsyncInterval = setInterval(() => {
+			if (appendFd === null || !appendDirty) return;
+			try {
+				fs.fsyncSync(appendFd);
+				appendDirty = false;
+			} catch (error) {
+				reportError('appendOnly', undefined, error, 'nope-redis -> Append-only log fsync failed!');
+			}
+		}, 1000);
+		// The fsync timer alone should not keep the process alive
+		if (typeof appendFsyncInterval.unref === 'function') {
+			appendFsyncInterval.unref();
+		}
 	}
-	return '0 MB';
-}
 
-/**
- * default memory set
- *
- * @param {Boolean} withConfig
- * @returns {Boolean}
- */
-function defaultMemory(withConfig = false) {
-	try {
-		const defaultState = {
-			config: {
-				killerIsFinished: true,
-				lastKiller: 0,
-				nextKiller: 0,
-				totalHits: 0,
-				nextMemoryStatsTime: 0,
-				status: false,
-				memoryStats: {},
-				evictionCount: 0,
-			},
-		};
-		memory.store = new Map();
-		memory.lru = new Map();
-		expiredKeysPool.clear();
-		currentMemorySize = 0;
-		if (withConfig) {
-			memory.config = JSON.parse(JSON.stringify(defaultState.config));
+	/**
+	 * Replace the append-only log with one set record per live key
+	 */
+	function rewriteAppendOnly() {
+		const now = Date.now();
+		const lines = [];
+		for (const key of memory.lru.keys()) {
+			const item = memory.store.get(key);
+			if (!item || item.expires_at <= now) continue;
+			try {
+				lines.push(JSON.stringify({ op: 'set', ...persistedEntry(key, item) }));
+			} catch (error) {
+				reportError('rewriteLog', key, error, `nope-redis -> Append-only log skipped key "${key}"`, 'warn');
+			}
 		}
-	} catch (error) {
-		console.error('nope-redis -> Cant default memory!', error);
-		return false;
+		const tmpPath = `${appendOnlyPath}.rewrite.tmp`;
+		fs.writeFileSync(tmpPath, lines.length > 0 ? `${lines.join('\n')}\n` : '');
+		const fd = fs.openSync(tmpPath, 'r+');
+		try {
+			fs.fsyncSync(fd);
+		} finally {
+			fs.closeSync(fd);
+		}
+		closeAppendOnly();
+		fs.renameSync(tmpPath, appendOnlyPath);
+		appendFd = fs.openSync(appendOnlyPath, 'a');
+		startAppendFsync();
 	}
-}
 
-/**
- * get object size
- *
- * @param {object} object
- * @returns {string}
- */
+	/**
+	 * Compact the append-only log down to the current live keys
+	 * Runs synchronously so no write can slip in between collecting the keys and swapping the file.
+	 *
+	 * @returns {boolean} true if rewritten, false if service is stopped, logging is disabled or an error occurs
+	 */
+	cache.rewriteLog = () => {
+		try {
+			requireService('rewriteLog');
+			if (appendFd === null) {
+				throw new NopeRedisError('nope-redis -> append-only log is not enabled');
+			}
+			rewriteAppendOnly();
+			return true;
+		} catch (error) {
+			return commandFailed('rewriteLog', error);
+		}
+	};
+
+	/**
+	 * Save a snapshot in the background when auto-save is due
+	 */
+	function autoSnapshot(now) {
+		if (!snapshotPath || snapshotInProgress || now < memory.config.nextSnapshotTime) {
+			return;
+		}
+		snapshotInProgress = true;
+		memory.config.nextSnapshotTime = now + snapshotInterval;
+		cache
+			.saveSnapshot(snapshotPath)
+			// Only strict mode rejects, nothing else would see the error
+			.catch((error) => reportError('saveSnapshot', undefined, error))
+			.finally(() => {
+				snapshotInProgress = false;
+			});
+	}
 
-function memoryStats() {
-	try {
-		// Use native Date for timestamp formatting
-		const timestamp = new Date().toISOString().slice(0, 19);
+	/**
+	 * Get comprehensive cache statistics
+	 *
+	 * @param {object} [options={}] - Statistics options
+	 * @param {boolean} [options.showKeys=true] - Include array of all keys
+	 * @param {boolean} [options.showTotal=true] - Include total key count
+	 * @param {boolean} [options.showSize=false] - Include current memory usage in stats output
+	 * @returns {object} Statistics object with status, counts, memory usage, and configuration
+	 */
+	cache.stats = (options = {}) => {
+		try {
+			// Merge with defaults
+			const config = {
+				showKeys: true,
+				showTotal: true,
+				showSize: false,
+				...options,
+			};
 
-		memory.config.memoryStats[timestamp] = formatSizeUnits(currentMemorySize);
-		const keys = Object.keys(memory.config.memoryStats);
-		if (keys.length > 25) {
-			// Use splice for better performance
-			const keysToDelete = keys.splice(0, 12);
-			for (const key of keysToDelete) {
-				delete memory.config.memoryStats[key];
+			const result = {
+				status: memory.config.status,
+				killerIsFinished: memory.config.killerIsFinished,
+				lastKiller: memory.config.lastKiller,
+				nextKiller: memory.config.nextKiller,
+				criticalError,
+				defaultTtl,
+				slidingExpiration,
+				maxLifetime,
+				staleTtl,
+				strict,
+				latencyTracking,
+				totalHits: memory.config.totalHits,
+				isMemoryStatsEnabled,
+				evictionCount: memory.config.evictionCount,
+				evictionPolicy,
+				maxMemorySize: formatSizeUnits(maxMemorySize),
+				tagCount: tagIndex.size,
+			};
+			if (isMemoryStatsEnabled) {
+				result.nextMemoryStatsTime = memory.config.nextMemoryStatsTime;
+				result.memoryStats = cache.history();
+			}
+			if (snapshotPath) {
+				result.snapshotPath = snapshotPath;
+				result.lastSnapshot = memory.config.lastSnapshot;
+				result.nextSnapshotTime = memory.config.nextSnapshotTime;
 			}
+			if (appendOnlyPath) {
+				result.appendOnlyPath = appendOnlyPath;
+				result.appendFsync = appendFsync;
+				result.appendOnlyEnabled = appendFd !== null;
+			}
+			if (config.showTotal) {
+				result.total = memory.lru.size;
+			}
+			if (config.showSize) {
+				result.size = formatSizeUnits(currentMemorySize);
+			}
+			if (config.showKeys) {
+				result.keys = Array.from(memory.lru.keys());
+			}
+			return result;
+		} catch (error) {
+			reportError('stats', undefined, error, 'nope-redis -> stats error!');
+			return false;
 		}
-	} catch (error) {
-		console.error('nope-redis -> error!', error);
-		return false;
-	}
-}
+	};
 
-/**
- * Optimized deleter for expired keys
- */
-function killer() {
-	const now = getTimestamp();
+	/**
+	 * Get counters and gauges with numeric values
+	 * Counters only grow, across flushAll(), SERVICE_KILL() and critical resets, so rates can be
+	 * computed from them; gauges describe the store right now.
+	 *
+	 * @returns {object} hits, misses, sets, deletes, expired, evicted by policy, criticalResets,
+	 * and the keys, bytes, maxBytes and hitRatio gauges
+	 */
+	cache.metrics = () => {
+		const reads = counters.hits + counters.misses;
+		return {
+			hits: counters.hits,
+			misses: counters.misses,
+			sets: counters.set,
+			deletes: counters.del,
+			expired: counters.expired,
+			evicted: { ...counters.evicted },
+			criticalResets: counters.criticalResets,
+			keys: memory.lru.size,
+			bytes: Math.round(currentMemorySize * 1024 * 1024),
+			maxBytes: Math.round(maxMemorySize * 1024 * 1024),
+			hitRatio: reads === 0 ? 0 : counters.hits / reads,
+		};
+	};
 
-	memory.config.killerIsFinished = false;
+	/**
+	 * Render metrics() in the Prometheus text exposition format, ready to serve on a /metrics route
+	 *
+	 * @param {object} [options={}] - Rendering options
+	 * @param {string} [options.prefix='nope_redis'] - Prefix of every metric name
+	 * @param {object} [options.labels={}] - Labels added to every sample, e.g. { cache: 'sessions' } to tell instances apart
+	 * @returns {string|false} The metrics text, or false for an invalid prefix or label name
+	 */
+	cache.metricsText = (options = {}) => {
+		try {
+			const { prefix = 'nope_redis', labels = {} } = options || {};
+			if (typeof prefix !== 'string' || !PROMETHEUS_NAME.test(prefix)) {
+				throw new InvalidArgumentError('nope-redis -> metricsText prefix must be a valid Prometheus metric name');
+			}
+			if (typeof labels !== 'object' || labels === null) {
+				throw new InvalidArgumentError('nope-redis -> metricsText labels must be an object');
+			}
+			const common = Object.keys(labels).map((name) => [name, labels[name]]);
+			for (const [name] of common) {
+				if (!PROMETHEUS_LABEL.test(name) || name === 'policy') {
+					throw new InvalidArgumentError(`nope-redis -> invalid metricsText label name "${name}"`);
+				}
+			}
 
-	// Process pre-identified expired keys first
-	for (const key of expiredKeysPool) {
-		const item = memory.store.get(key);
-		if (item) {
-			subtractMemorySize(item.size || (estimateSize(item.value) + 20) / (1024 * 1024));
-			memory.store.delete(key);
-			memory.lru.delete(key);
+			const values = cache.metrics();
+			const lines = [];
+			for (const [suffix, type, help, field] of PROMETHEUS_METRICS) {
+				const name = `${prefix}_${suffix}`;
+				lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+				if (field === 'evicted') {
+					for (const policy of Object.keys(values.evicted)) {
+						lines.push(`${name}${formatPrometheusLabels([...common, ['policy', policy]])} ${values.evicted[policy]}`);
+					}
+				} else {
+					lines.push(`${name}${formatPrometheusLabels(common)} ${values[field]}`);
+				}
+			}
+			return `${lines.join('\n')}\n`;
+		} catch (error) {
+			return commandFailed('metricsText', error);
 		}
-	}
-	expiredKeysPool.clear();
+	};
 
-	// Batch process with early termination
-	const keysToDelete = [];
-	let checked = 0;
+	/**
+	 * Get latency percentiles of get, set, delete, eviction and killer operations
+	 * Only operations timed while latencyTracking is on are counted. Percentiles come from
+	 * histogram buckets and are within about 19% of the real value.
+	 *
+	 * @returns {object} Per operation: count, and mean, p50, p95, p99 and max in milliseconds
+	 */
+	cache.latency = () => {
+		const result = {};
+		for (const operation of LATENCY_OPERATIONS) {
+			const histogram = latencies[operation];
+			result[operation] = {
+				count: histogram.count,
+				mean: histogram.count === 0 ? 0 : histogram.sum / histogram.count,
+				p50: histogramPercentile(histogram, 0.5),
+				p95: histogramPercentile(histogram, 0.95),
+				p99: histogramPercentile(histogram, 0.99),
+				max: histogram.max,
+			};
+		}
+		return result;
+	};
 
-	for (const property of memory.lru.keys()) {
-		if (checked >= maxChecksPerCycle) break;
-		checked++;
+	/**
+	 * Clear the latency histograms
+	 *
+	 * @returns {boolean} true
+	 */
+	cache.latencyReset = () => {
+		for (const operation of LATENCY_OPERATIONS) {
+			latencies[operation] = createHistogram();
+		}
+		return true;
+	};
 
-		const item = memory.store.get(property);
-		if (item && item.expires_at <= now) {
-			keysToDelete.push(property);
+	/**
+	 * Get the slowest recent operations, like Redis SLOWLOG GET
+	 * Operations timed while latencyTracking is on enter the slowlog when they take at least slowlogThreshold milliseconds.
+	 *
+	 * @param {number} [count=10] - Entries to return, negative for all
+	 * @returns {Array<object>|false} Entries newest first, each { id, timestamp, duration, operation, key },
+	 * or false for a non-integer count
+	 */
+	cache.slowlogGet = (count = 10) => {
+		if (!Number.isInteger(count)) {
+			return commandFailed('slowlogGet', new InvalidArgumentError('nope-redis -> slowlogGet count must be an integer'));
 		}
-	}
+		const newest = slowlog.toArray().reverse();
+		return (count < 0 ? newest : newest.slice(0, count)).map((entry) => ({ ...entry }));
+	};
 
-	// Batch delete
-	for (const key of keysToDelete) {
-		const item = memory.store.get(key);
-		if (item) {
-			subtractMemorySize(item.size || (estimateSize(item.value) + 20) / (1024 * 1024));
+	/**
+	 * Remove every slowlog entry
+	 *
+	 * @returns {boolean} true
+	 */
+	cache.slowlogReset = () => {
+		slowlog.clear();
+		return true;
+	};
+
+	/**
+	 * Get memory history samples, taken every historyInterval seconds while isMemoryStatsEnabled is on
+	 * Each sample holds the store size when it was taken and the activity since the previous sample.
+	 *
+	 * @param {object} [options={}] - Time range
+	 * @param {number|Date} [options.since] - Only samples taken at or after this time, in milliseconds since the epoch
+	 * @param {number|Date} [options.until] - Only samples taken at or before this time, in milliseconds since the epoch
+	 * @returns {Array<object>|false} Samples oldest first, each { timestamp, bytes, keys, hits, misses, evictions, expirations },
+	 * or false for an invalid range
+	 */
+	cache.history = (options = {}) => {
+		try {
+			if (typeof options !== 'object' || options === null) {
+				throw new InvalidArgumentError('nope-redis -> history needs an options object');
+			}
+			const since = parseTimeBound('since', options.since, -Infinity);
+			const until = parseTimeBound('until', options.until, Infinity);
+			return memoryHistory
+				.toArray()
+				.filter((sample) => sample.timestamp >= since && sample.timestamp <= until)
+				.map((sample) => ({ ...sample }));
+		} catch (error) {
+			return commandFailed('history', error);
+		}
+	};
+
+	/**
+	 * default memory set
+	 *
+	 * @param {Boolean} withConfig
+	 * @returns {Boolean}
+	 */
+	function defaultMemory(withConfig = false) {
+		try {
+			const defaultState = {
+				config: {
+					killerIsFinished: true,
+					lastKiller: 0,
+					nextKiller: 0,
+					totalHits: 0,
+					nextMemoryStatsTime: 0,
+					status: false,
+					evictionCount: 0,
+					lastSnapshot: 0,
+					nextSnapshotTime: 0,
+				},
+			};
+			for (const key of watchCounts.keys()) {
+				const item = memory.store.get(key);
+				if (item) {
+					deletedVersions.set(key, removedVersion(item));
+				}
+			}
+			memory.store = new Map();
+			memory.lru = new Map();
+			expiredKeysPool.clear();
+			tagIndex.clear();
+			prefixIndex.clear();
+			segmentCounts.clear();
+			scanKeys = [];
+			scanSeqs = [];
+			scanHoles = 0;
+			currentMemorySize = 0;
+			if (withConfig) {
+				memory.config = JSON.parse(JSON.stringify(defaultState.config));
+			}
+		} catch (error) {
+			reportError('defaultMemory', undefined, error, 'nope-redis -> Cant default memory!');
+			return false;
 		}
-		memory.store.delete(key);
-		memory.lru.delete(key);
 	}
 
-	memory.config.killerIsFinished = true;
-	memory.config.lastKiller = now;
-	memory.config.nextKiller = now + intervalSecond;
+	/**
+	 * Current totals of the counters a memory history sample reports the change of
+	 */
+	function historyTotals() {
+		const { lru, lfu, ttl } = counters.evicted;
+		return { hits: counters.hits, misses: counters.misses, evictions: lru + lfu + ttl, expirations: counters.expired };
+	}
 
-	if (isMemoryStatsEnabled && now >= memory.config.nextMemoryStatsTime) {
-		memory.config.nextMemoryStatsTime = now + 3600; // 1 hour
-		memoryStats();
+	/**
+	 * Add a memory history sample: the store size now, and the activity since the previous sample
+	 */
+	function sampleHistory() {
+		try {
+			const totals = historyTotals();
+			const baseline = historyBaseline || totals;
+			memoryHistory.push({
+				timestamp: Date.now(),
+				bytes: Math.round(currentMemorySize * 1024 * 1024),
+				keys: memory.lru.size,
+				hits: totals.hits - baseline.hits,
+				misses: totals.misses - baseline.misses,
+				evictions: totals.evictions - baseline.evictions,
+				expirations: totals.expirations - baseline.expirations,
+			});
+			historyBaseline = totals;
+		} catch (error) {
+			reportError('history', undefined, error, 'nope-redis -> Cant sample memory history!');
+			return false;
+		}
 	}
-}
 
-/**
- * Stop the background cleanup service and clear all data
- *
- * @async
- * @returns {Promise<boolean>} Always returns true
- */
-module.exports.SERVICE_KILL = async () => {
-	KILL_SERVICE = true;
-	// Run final cleanup immediately
-	if (memory.config.status) {
-		killer();
-		// Clear interval if exists
-		if (runnerInterval) {
-			clearInterval(runnerInterval);
-			runnerInterval = null;
-		}
-		// Reset memory and status
-		defaultMemory(true);
-	}
-	KILL_SERVICE = false; // Always reset
-	return true;
-};
+	/**
+	 * Whether an expired entry can be removed, i.e. its stale grace window has passed too
+	 */
+	function isPastGrace(item, now) {
+		return item.expires_at + (item.stale || 0) <= now;
+	}
 
-/**
- * Start the background cleanup service
- *
- * @async
- * @returns {Promise<boolean>} true if started successfully, false if already running
- */
-module.exports.SERVICE_START = async () => {
-	if (memory.config.status === false) {
-		KILL_SERVICE = false;
-		criticalError = 0;
-		return runner();
+	/**
+	 * Optimized deleter for expired keys
+	 */
+	function killer() {
+		const started = startTiming();
+		const now = getTimestamp();
+		const nowMs = Date.now();
+
+		memory.config.killerIsFinished = false;
+
+		// Process pre-identified expired keys first
+		for (const key of expiredKeysPool) {
+			const item = memory.store.get(key);
+			// The key may have been written again since it was found expired
+			if (item && isPastGrace(item, nowMs)) {
+				removeEntry(key);
+				emitKeyEvent('expired', key, 'ttl', undefined, eventValue(item));
+			}
+		}
+		expiredKeysPool.clear();
+
+		// Batch process with early termination
+		const keysToDelete = [];
+		let checked = 0;
+
+		for (const property of memory.lru.keys()) {
+			if (checked >= maxChecksPerCycle) break;
+			checked++;
+
+			const item = memory.store.get(property);
+			if (item && isPastGrace(item, nowMs)) {
+				keysToDelete.push(property);
+			}
+		}
+
+		// Batch delete
+		for (const key of keysToDelete) {
+			const item = removeEntry(key);
+			if (item) {
+				emitKeyEvent('expired', key, 'ttl', undefined, eventValue(item));
+			}
+		}
+
+		memory.config.killerIsFinished = true;
+		memory.config.lastKiller = now;
+		memory.config.nextKiller = now + intervalSecond;
+
+		if (isMemoryStatsEnabled && now >= memory.config.nextMemoryStatsTime) {
+			memory.config.nextMemoryStatsTime = now + historyInterval;
+			sampleHistory();
+		}
+		endTiming('killer', null, started);
+
+		if (!KILL_SERVICE) {
+			autoSnapshot(now);
+		}
 	}
-	return false;
-};
 
-/**
- * init runner
- */
-function runner() {
-	try {
-		if (runnerInterval) {
-			clearInterval(runnerInterval);
-			runnerInterval = null;
+	/**
+	 * Stop the background cleanup service and clear all data
+	 *
+	 * @async
+	 * @returns {Promise<boolean>} Always returns true
+	 */
+	cache.SERVICE_KILL = async () => {
+		KILL_SERVICE = true;
+		// Run final cleanup immediately
+		if (memory.config.status) {
+			killer();
+			// Clear interval if exists
+			if (runnerInterval) {
+				clearInterval(runnerInterval);
+				runnerInterval = null;
+			}
+			// Keep the final state when auto-save is configured
+			if (snapshotPath) {
+				await cache.saveSnapshot(snapshotPath).catch((error) => reportError('saveSnapshot', undefined, error));
+			}
+			closeAppendOnly();
+			releaseListWaiters();
+			// Reset memory and status
+			defaultMemory(true);
 		}
+		KILL_SERVICE = false; // Always reset
+		return true;
+	};
+
+	/**
+	 * Start the background cleanup service
+	 *
+	 * @async
+	 * @returns {Promise<boolean>} true if started successfully, false if already running
+	 */
+	cache.SERVICE_START = async () => {
 		if (memory.config.status === false) {
-			if (criticalError <= 3) {
-				memory.config.status = true;
-				// Initialize nextKiller when service starts
-				memory.config.nextKiller = getTimestamp() + intervalSecond;
-			} else {
-				console.error('nope-redis -> critic error, nope-redis not started');
-				return false;
+			KILL_SERVICE = false;
+			criticalError = 0;
+			const started = runner();
+			if (started && appendOnlyPath) {
+				openAppendOnly();
 			}
+			return started;
 		}
-		runnerInterval = setInterval(() => {
+		return false;
+	};
+
+	/**
+	 * Count a critical error after the runner flushed all data, and tell the onCriticalReset() handlers
+	 */
+	function criticalReset(error) {
+		criticalError++;
+		counters.criticalResets++;
+		const info = { attempt: criticalError, restarting: criticalError <= 3 };
+		for (const handler of [...criticalResetHandlers]) {
 			try {
-				if (KILL_SERVICE) {
+				handler(error, info);
+			} catch (handlerError) {
+				log('error', 'nope-redis -> onCriticalReset handler error!', handlerError);
+			}
+		}
+	}
+
+	/**
+	 * init runner
+	 */
+	function runner() {
+		try {
+			if (runnerInterval) {
+				clearInterval(runnerInterval);
+				runnerInterval = null;
+			}
+			if (memory.config.status === false) {
+				if (criticalError <= 3) {
+					memory.config.status = true;
+					// Initialize nextKiller when service starts
+					memory.config.nextKiller = getTimestamp() + intervalSecond;
+					if (snapshotPath) {
+						memory.config.nextSnapshotTime = getTimestamp() + snapshotInterval;
+					}
+				} else {
+					log('error', 'nope-redis -> critic error, nope-redis not started');
+					return false;
+				}
+			}
+			runnerInterval = setInterval(() => {
+				try {
+					if (KILL_SERVICE) {
+						clearInterval(runnerInterval);
+						runnerInterval = null;
+						defaultMemory(true);
+						KILL_SERVICE = false;
+						return true;
+					}
+					if (memory.config.killerIsFinished) {
+						killer();
+					}
+				} catch (error) {
+					log('error', 'nope-redis -> Critical Error flushed all data! > ', error);
 					clearInterval(runnerInterval);
-					runnerInterval = null;
 					defaultMemory(true);
-					KILL_SERVICE = false;
-					return true;
-				}
-				if (memory.config.killerIsFinished) {
-					killer();
+					criticalReset(error);
+					runner();
 				}
-			} catch (error) {
-				console.error('nope-redis -> Critical Error flushed all data! > ', error);
+			}, intervalSecond * 1000);
+			return true; // Success return
+		} catch (error) {
+			log('error', 'nope-redis -> Critical Error flushed all data! > ', error);
+			if (typeof runnerInterval !== 'undefined') {
 				clearInterval(runnerInterval);
-				defaultMemory(true);
-				criticalError++;
+			}
+			defaultMemory(true);
+			criticalReset(error);
+			if (memory.config.status === false) {
 				runner();
 			}
-		}, intervalSecond * 1000);
-		return true; // Success return
-	} catch (error) {
-		console.error('nope-redis -> Critical Error flushed all data! > ', error);
-		if (typeof runnerInterval !== 'undefined') {
-			clearInterval(runnerInterval);
-		}
-		defaultMemory(true);
-		criticalError++;
-		if (memory.config.status === false) {
-			runner();
+			return false;
 		}
-		return false;
 	}
-}
 
-if (memory.config.status === false) {
-	runner();
+	if (memory.config.status === false) {
+		runner();
+	}
+
+	cache.config(options);
+
+	return cache;
 }
+
+// Default instance keeps `require('nope-redis')` working as a shared cache
+const defaultCache = createCache();
+defaultCache.createCache = createCache;
+defaultCache.NopeRedisError = NopeRedisError;
+defaultCache.WrongTypeError = WrongTypeError;
+defaultCache.ServiceStoppedError = ServiceStoppedError;
+defaultCache.InvalidArgumentError = InvalidArgumentError;
+defaultCache.InvalidKeyError = InvalidKeyError;
+defaultCache.InvalidTtlError = InvalidTtlError;
+
+module.exports = defaultCache;
@@ -0,0 +1,341 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const nopeRedis = require('../index');
+
+function readRecords(file) {
+	return fs
+		.readFileSync(file, 'utf8')
+		.split('\n')
+		.filter((line) => line.length > 0)
+		.map((line) => JSON.parse(line));
+}
+
+describe('Append-only log', () => {
+	let dir;
+	let file;
+	let cache;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nope-redis-aof-'));
+		file = path.join(dir, 'cache.aof');
+		cache = nopeRedis.createCache({ appendOnlyPath: file, appendFsync: 'always' });
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	test('should append a record for every write operation', () => {
+		cache.setItem('a', 1, 60);
+		cache.setItems([
+			{ key: 'b', value: 2, ttl: 60 },
+			{ key: 'c', value: 3, ttl: 60 },
+		]);
+		cache.deleteItem('a');
+		cache.deleteItem('missing');
+		cache.deleteItems(['b', 'missing']);
+		cache.flushAll();
+
+		const ops = readRecords(file).map((record) => record.op);
+		expect(ops).toEqual(['set', 'set', 'set', 'del', 'del', 'flush']);
+		expect(readRecords(file)[4].keys).toEqual(['b']);
+	});
+
+	test('should rebuild the store by replaying the log on startup', async () => {
+		cache.setItem('user:1', { name: 'John' }, 60);
+		cache.setItem('user:2', new Map([['role', 'admin']]), 60);
+		cache.setItem('user:3', 'gone', 60);
+		cache.deleteItem('user:3');
+		cache.setItem('user:1', { name: 'Jane' }, 60);
+
+		const replayed = nopeRedis.createCache({ appendOnlyPath: file });
+		try {
+			expect(replayed.getItem('user:1')).toEqual({ name: 'Jane' });
+			expect(replayed.getItem('user:2').get('role')).toBe('admin');
+			expect(replayed.getItem('user:3')).toBeNull();
+			expect(replayed.itemStats('user:1').expires_at).toBe(cache.itemStats('user:1').expires_at);
+		} finally {
+			await replayed.SERVICE_KILL();
+		}
+	});
+
+	test('should replay a flush and keep later writes', async () => {
+		cache.setItem('before', 1, 60);
+		cache.flushAll();
+		cache.setItem('after', 2, 60);
+
+		const replayed = nopeRedis.createCache({ appendOnlyPath: file });
+		try {
+			expect(replayed.getItem('before')).toBeNull();
+			expect(replayed.getItem('after')).toBe(2);
+		} finally {
+			await replayed.SERVICE_KILL();
+		}
+	});
+
+	test('should replay deletes without emitting events or counting them', async () => {
+		cache.setItem('a', 1, 60);
+		cache.setItem('b', 2, 60);
+		cache.deleteItem('a');
+		cache.deleteItems(['b']);
+		await cache.SERVICE_KILL();
+
+		const events = [];
+		cache.on('del', (event) => events.push(event));
+		const { deletes } = cache.metrics();
+		await cache.SERVICE_START();
+
+		expect(cache.stats().total).toBe(0);
+		expect(events).toEqual([]);
+		expect(cache.metrics().deletes).toBe(deletes);
+	});
+
+	test('should replay the expiry a read gave a sliding key', async () => {
+		cache.setItem('session', 'token', { ttl: 1, sliding: true });
+		await new Promise((resolve) => setTimeout(resolve, 600));
+		cache.getItem('session');
+		// Past the expiry of the set record, before the one of the read
+		await new Promise((resolve) => setTimeout(resolve, 600));
+
+		expect(readRecords(file).map((record) => record.op)).toEqual(['set', 'slide']);
+		const replayed = nopeRedis.createCache({ appendOnlyPath: file });
+		try {
+			expect(replayed.itemStats('session').expires_at).toBe(cache.itemStats('session').expires_at);
+			expect(replayed.getItem('session')).toBe('token');
+		} finally {
+			await replayed.SERVICE_KILL();
+		}
+	});
+
+	test('should skip expired records and a truncated last line', async () => {
+		fs.appendFileSync(file, `${JSON.stringify({ op: 'set', key: 'old', value: 1, expires_at: 1 })}\n`);
+		cache.setItem('live', 'value', 60);
+		fs.appendFileSync(file, '{"op":"set","key":"partial"');
+
+		const replayed = nopeRedis.createCache({ appendOnlyPath: file });
+		try {
+			expect(replayed.getItem('old')).toBeNull();
+			expect(replayed.getItem('live')).toBe('value');
+			expect(replayed.stats().total).toBe(1);
+		} finally {
+			await replayed.SERVICE_KILL();
+		}
+	});
+
+	test('should log a delete for values that cannot be serialized', () => {
+		cache.setItem('fn', 'serializable', 60);
+		cache.setItem('fn', () => 1, 60);
+
+		const records = readRecords(file);
+		expect(records[records.length - 1]).toEqual({ op: 'del', keys: ['fn'] });
+	});
+
+	test('rewriteLog should collapse the log to the live keys', async () => {
+		for (let i = 0; i < 10; i++) {
+			cache.setItem('counter', i, 60);
+		}
+		cache.setItem('temp', 'value', 60);
+		cache.deleteItem('temp');
+
+		expect(cache.rewriteLog()).toBe(true);
+		const records = readRecords(file);
+		expect(records).toHaveLength(1);
+		expect(records[0]).toMatchObject({ op: 'set', key: 'counter', value: 9 });
+
+		// Writes after the rewrite go to the new file
+		cache.setItem('next', 'value', 60);
+		expect(readRecords(file)).toHaveLength(2);
+	});
+
+	test('rewriteLog should return false when logging is disabled', () => {
+		cache.config({ appendOnlyPath: null });
+		expect(cache.rewriteLog()).toBe(false);
+
+		cache.setItem('unlogged', 'value', 60);
+		expect(readRecords(file)).toHaveLength(0);
+	});
+
+	test('should stop logging on SERVICE_KILL and replay on SERVICE_START', async () => {
+		cache.setItem('kept', 'value', 60);
+		await cache.SERVICE_KILL();
+
+		expect(await cache.SERVICE_START()).toBe(true);
+		expect(cache.getItem('kept')).toBe('value');
+		expect(cache.stats().appendOnlyEnabled).toBe(true);
+	});
+
+	test('should accept each fsync policy', () => {
+		for (const policy of ['always', 'everysec', 'no']) {
+			expect(cache.config({ appendFsync: policy })).toBe(true);
+			expect(cache.stats().appendFsync).toBe(policy);
+			cache.setItem(`key-${policy}`, policy, 60);
+		}
+		cache.config({ appendFsync: 'sometimes' });
+		expect(cache.stats().appendFsync).toBe('no');
+		expect(readRecords(file)).toHaveLength(3);
+	});
+
+	describe('Data type changes', () => {
+		// Replay the log into a second cache and check it
+		const replay = async (check) => {
+			const replayed = nopeRedis.createCache({ appendOnlyPath: file });
+			try {
+				await check(replayed);
+			} finally {
+				await replayed.SERVICE_KILL();
+			}
+		};
+
+		test('should log hash field changes instead of the whole hash', () => {
+			cache.hset('user:1', 'name', 'John');
+			cache.hset('user:1', { age: 30, role: 'admin' });
+			cache.hincrby('user:1', 'age', 1);
+			cache.hdel('user:1', 'role', 'missing');
+
+			const records = readRecords(file);
+			expect(records.map((record) => record.op)).toEqual(['set', 'hset', 'hset', 'hdel']);
+			expect(records[1]).toEqual({
+				op: 'hset',
+				key: 'user:1',
+				fields: [
+					['age', 30],
+					['role', 'admin'],
+				],
+			});
+			expect(records[2].fields).toEqual([['age', 31]]);
+			expect(records[3]).toEqual({ op: 'hdel', key: 'user:1', fields: ['role'] });
+		});
+
+		test('should keep the log size linear in the number of hash writes', () => {
+			for (let i = 0; i < 1000; i++) {
+				cache.hset('big', `field${i}`, i);
+			}
+
+			expect(fs.statSync(file).size).toBeLessThan(100 * 1000);
+		});
+
+		test('should replay hash changes', async () => {
+			cache.hset('user:1', { name: 'John', age: 30, role: 'admin' });
+			cache.hincrby('user:1', 'age', 1);
+			cache.hset('user:1', 'joined', new Date(0));
+			cache.hdel('user:1', 'role');
+			cache.hset('gone', 'field', 1);
+			cache.hdel('gone', 'field');
+
+			await replay((replayed) => {
+				expect(replayed.hgetall('user:1')).toEqual({ name: 'John', age: 31, joined: new Date(0) });
+				expect(replayed.itemStats('user:1').expires_at).toBe(cache.itemStats('user:1').expires_at);
+				expect(replayed.stats({ showSize: true }).size).toBe(cache.stats({ showSize: true }).size);
+				expect(replayed.getItem('gone')).toBeNull();
+			});
+		});
+
+		test('should log list changes instead of the whole list', () => {
+			cache.rpush('jobs', 'a', 'b');
+			cache.rpush('jobs', 'c', 'd');
+			cache.lpush('jobs', 'z');
+			cache.lpop('jobs');
+			cache.rpop('jobs', 2);
+			cache.ltrim('jobs', 0, -1);
+			cache.ltrim('jobs', -1, 5);
+			cache.rpush('jobs', 'b', 'x', 'b');
+			cache.lrem('jobs', -1, 'b');
+
+			const records = readRecords(file);
+			expect(records.map((record) => record.op)).toEqual(['set', 'rpush', 'lpush', 'lpop', 'rpop', 'ltrim', 'rpush', 'lrem']);
+			expect(records[1]).toEqual({ op: 'rpush', key: 'jobs', values: ['c', 'd'] });
+			expect(records[4]).toEqual({ op: 'rpop', key: 'jobs', count: 2 });
+			expect(records[5]).toEqual({ op: 'ltrim', key: 'jobs', start: 1, stop: 1 });
+			expect(records[7]).toEqual({ op: 'lrem', key: 'jobs', indexes: [3] });
+		});
+
+		test('should keep the log size linear in the number of list writes', () => {
+			for (let i = 0; i < 1000; i++) {
+				cache.rpush('queue', `job${i}`);
+			}
+			for (let i = 0; i < 500; i++) {
+				cache.lpop('queue');
+			}
+
+			expect(fs.statSync(file).size).toBeLessThan(100 * 1000);
+		});
+
+		test('should replay list changes', async () => {
+			const job = { id: 1 };
+			cache.rpush('jobs', 'a', job, 'b', job, 'c');
+			cache.lpush('jobs', 'first', 'second');
+			cache.rpop('jobs');
+			cache.lpop('jobs');
+			cache.lrem('jobs', 0, job);
+			cache.rpush('jobs', 'x', 'y', 'z');
+			cache.ltrim('jobs', 1, -2);
+			const popped = cache.blpop('done', 1);
+			cache.rpush('done', 'only');
+			await popped;
+
+			await replay((replayed) => {
+				expect(replayed.lrange('jobs', 0, -1)).toEqual(cache.lrange('jobs', 0, -1));
+				expect(replayed.lrange('jobs', 0, -1)).toEqual(['a', 'b', 'x', 'y']);
+				expect(replayed.stats({ showSize: true }).size).toBe(cache.stats({ showSize: true }).size);
+				expect(replayed.llen('done')).toBe(0);
+			});
+		});
+
+		test('should log set and sorted set changes instead of the whole key', () => {
+			cache.sadd('tags', 'a', 'b');
+			cache.sadd('tags', 'b', 'c');
+			cache.srem('tags', 'a', 'missing');
+			cache.zadd('board', 10, 'alice');
+			cache.zadd('board', { bob: 5, carol: 7 });
+			cache.zincrby('board', 3, 'bob');
+			cache.zrem('board', 'carol');
+
+			const records = readRecords(file);
+			expect(records.map((record) => record.op)).toEqual(['set', 'sadd', 'srem', 'set', 'zadd', 'zadd', 'zrem']);
+			expect(records[1]).toEqual({ op: 'sadd', key: 'tags', members: ['c'] });
+			expect(records[2]).toEqual({ op: 'srem', key: 'tags', members: ['a'] });
+			expect(records[5]).toEqual({ op: 'zadd', key: 'board', members: [['bob', 8]] });
+			expect(records[6]).toEqual({ op: 'zrem', key: 'board', members: ['carol'] });
+		});
+
+		test('should replay set and sorted set changes', async () => {
+			const member = { id: 1 };
+			cache.sadd('tags', 'a', 'b', 1, member);
+			cache.sadd('tags', 'c', 2);
+			cache.srem('tags', 'b', 1);
+			cache.srem('tags', member);
+			cache.zadd('board', { alice: 10, bob: 5, carol: 7 });
+			cache.zadd('board', -Infinity, 'dave');
+			cache.zincrby('board', 3, 'bob');
+			cache.zrem('board', 'carol');
+
+			await replay((replayed) => {
+				expect(replayed.smembers('tags')).toEqual(['a', 'c', 2]);
+				expect(replayed.zrange('board', 0, -1, { withScores: true })).toEqual([
+					['dave', -Infinity],
+					['bob', 8],
+					['alice', 10],
+				]);
+				expect(replayed.stats({ showSize: true }).size).toBe(cache.stats({ showSize: true }).size);
+			});
+		});
+
+		test('should skip changes to keys that expired before the replay', async () => {
+			fs.appendFileSync(file, `${JSON.stringify({ op: 'set', key: 'old', type: 'hash', value: { $t: 'map', v: [['a', 1]] }, expires_at: 1 })}\n`);
+			fs.appendFileSync(file, `${JSON.stringify({ op: 'hset', key: 'old', fields: [['b', 2]] })}\n`);
+			cache.setItem('plain', 'value', 60);
+			fs.appendFileSync(file, `${JSON.stringify({ op: 'hset', key: 'plain', fields: [['b', 2]] })}\n`);
+
+			await replay((replayed) => {
+				expect(replayed.hgetall('old')).toEqual({});
+				expect(replayed.getItem('plain')).toBe('value');
+			});
+		});
+	});
+});
@@ -0,0 +1,147 @@
+const nopeRedis = require('../index');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Conditional writes and compareAndSet', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('setItem nx, xx and get', () => {
+		test('nx should only write missing keys', () => {
+			expect(cache.setItem('lock', 'worker-1', { ttl: 30, nx: true })).toEqual({ written: true });
+			expect(cache.setItem('lock', 'worker-2', { ttl: 30, nx: true })).toEqual({ written: false });
+			expect(cache.getItem('lock')).toBe('worker-1');
+		});
+
+		test('nx should treat expired keys as missing', async () => {
+			cache.setItem('lock', 'worker-1', 0.05);
+			await sleep(100);
+
+			expect(cache.setItem('lock', 'worker-2', { ttl: 30, nx: true })).toEqual({ written: true });
+			expect(cache.getItem('lock')).toBe('worker-2');
+		});
+
+		test('xx should only write existing keys', () => {
+			expect(cache.setItem('session', 'a', { xx: true })).toEqual({ written: false });
+			expect(cache.getItem('session')).toBeNull();
+
+			cache.setItem('session', 'a', 60);
+			expect(cache.setItem('session', 'b', { ttl: 60, xx: true })).toEqual({ written: true });
+			expect(cache.getItem('session')).toBe('b');
+		});
+
+		test('get should return the previous value', () => {
+			expect(cache.setItem('key', 1, { get: true })).toEqual({ written: true, previous: null });
+			expect(cache.setItem('key', 2, { get: true })).toEqual({ written: true, previous: 1 });
+			expect(cache.setItem('key', 3, { nx: true, get: true })).toEqual({ written: false, previous: 2 });
+			expect(cache.getItem('key')).toBe(2);
+		});
+
+		test('should only emit set events for real writes', () => {
+			const keys = [];
+			cache.on('set', (event) => keys.push(event.key));
+
+			cache.setItem('a', 1, { nx: true });
+			cache.setItem('a', 2, { nx: true });
+			cache.setItem('b', 1, { xx: true });
+			expect(keys).toEqual(['a']);
+		});
+
+		test('should keep returning booleans without conditional options', () => {
+			expect(cache.setItem('key', 1, { ttl: 60, nx: false })).toBe(true);
+		});
+
+		test('should reject invalid options', async () => {
+			expect(cache.setItem('key', 1, { nx: true, xx: true })).toBe(false);
+			expect(cache.setItem('key', 1, { nx: 'yes' })).toBe(false);
+			expect(cache.setItem('key', 1, { get: 1 })).toBe(false);
+
+			await cache.SERVICE_KILL();
+			expect(cache.setItem('key', 1, { nx: true })).toBe(false);
+		});
+
+		test('transactions should skip conditional writes that would not happen', () => {
+			cache.setItem('lock', 'worker-1', 60);
+
+			expect(cache.multi().setItem('lock', 'worker-2', { nx: true }).setItem('job', 1, { nx: true }).incr('job').exec()).toEqual([
+				{ written: false },
+				{ written: true },
+				2,
+			]);
+			expect(cache.getItem('lock')).toBe('worker-1');
+		});
+	});
+
+	describe('compareAndSet', () => {
+		test('should write when the current value deep-equals the expected one', () => {
+			cache.setItem('config', { mode: 'a', limits: [1, 2] }, 60);
+
+			const result = cache.compareAndSet('config', { mode: 'a', limits: [1, 2] }, { mode: 'b' }, 60);
+			expect(result).toEqual({ written: true, value: { mode: 'b' }, version: expect.any(Number) });
+			expect(result.version).toBe(cache.itemStats('config').version);
+		});
+
+		test('should not write when the value differs', () => {
+			cache.setItem('config', { mode: 'a', limits: [1, 2] }, 60);
+			const { version } = cache.itemStats('config');
+
+			expect(cache.compareAndSet('config', { mode: 'a', limits: [2, 1] }, { mode: 'b' })).toEqual({
+				written: false,
+				value: { mode: 'a', limits: [1, 2] },
+				version,
+			});
+			expect(cache.compareAndSet('config', { mode: 'a' }, { mode: 'b' }).written).toBe(false);
+		});
+
+		test('should compare dates, maps, sets and NaN by content', () => {
+			cache.setItem('value', { at: new Date(1000), map: new Map([['a', 1]]), set: new Set([1, 2]), n: Number.NaN }, 60);
+
+			expect(cache.compareAndSet('value', { at: new Date(1000), map: new Map([['a', 1]]), set: new Set([2, 1]), n: Number.NaN }, 1).written).toBe(
+				true,
+			);
+		});
+
+		test('a missing key should match null', () => {
+			expect(cache.compareAndSet('key', 0, 1).written).toBe(false);
+			expect(cache.compareAndSet('key', null, 1)).toEqual({ written: true, value: 1, version: expect.any(Number) });
+		});
+
+		test('should compare write versions', () => {
+			expect(cache.compareAndSet('doc', 0, 'v1', { compare: 'version' }).written).toBe(true);
+			const { version } = cache.itemStats('doc');
+
+			cache.setItem('doc', 'v1');
+			expect(cache.compareAndSet('doc', version, 'v2', { compare: 'version' })).toEqual({
+				written: false,
+				value: 'v1',
+				version: cache.itemStats('doc').version,
+			});
+
+			const current = cache.itemStats('doc').version;
+			expect(cache.compareAndSet('doc', current, 'v2', { ttl: 60, compare: 'version' }).written).toBe(true);
+			expect(cache.getItem('doc')).toBe('v2');
+			expect(cache.ttl('doc')).toBe(60);
+		});
+
+		test('should reject invalid arguments', async () => {
+			expect(cache.compareAndSet(1, null, 1)).toBe(false);
+			expect(cache.compareAndSet('key', null, 1, { compare: 'hash' })).toBe(false);
+			expect(cache.compareAndSet('key', null, 1, { nx: true })).toBe(false);
+			expect(cache.compareAndSet('key', null, 1, -1)).toBe(false);
+
+			await cache.SERVICE_KILL();
+			expect(cache.compareAndSet('key', null, 1)).toBe(false);
+		});
+	});
+});
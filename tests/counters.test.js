@@ -0,0 +1,116 @@
+const nopeRedis = require('../index');
+
+describe('Atomic counters', () => {
+	beforeEach(async () => {
+		await nopeRedis.SERVICE_START();
+		nopeRedis.flushAll();
+	});
+
+	afterEach(() => {
+		nopeRedis.flushAll();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('incr and decr', () => {
+		test('should create a missing key with defaultTtl', () => {
+			expect(nopeRedis.incr('hits')).toBe(1);
+			expect(nopeRedis.getItem('hits')).toBe(1);
+			expect(nopeRedis.itemStats('hits').remaining_seconds).toBe(nopeRedis.stats().defaultTtl);
+
+			expect(nopeRedis.decr('balance')).toBe(-1);
+		});
+
+		test('should change the value in place', () => {
+			nopeRedis.setItem('counter', 10, 60);
+			expect(nopeRedis.incr('counter')).toBe(11);
+			expect(nopeRedis.incr('counter')).toBe(12);
+			expect(nopeRedis.decr('counter')).toBe(11);
+			expect(nopeRedis.getItem('counter')).toBe(11);
+		});
+
+		test('should keep the existing TTL and hit count', () => {
+			nopeRedis.setItem('limit', 0, 120);
+			nopeRedis.getItem('limit');
+			const before = nopeRedis.itemStats('limit');
+
+			nopeRedis.incr('limit');
+			nopeRedis.incr('limit');
+
+			const after = nopeRedis.itemStats('limit');
+			expect(after.expires_at).toBe(before.expires_at);
+			expect(after.hit).toBe(1);
+		});
+
+		test('should restart an expired counter', async () => {
+			nopeRedis.setItem('window', 5, 1);
+			await new Promise((resolve) => setTimeout(resolve, 1100));
+
+			expect(nopeRedis.incr('window')).toBe(1);
+		});
+	});
+
+	describe('incrBy and incrByFloat', () => {
+		test('should add integer amounts', () => {
+			expect(nopeRedis.incrBy('score', 5)).toBe(5);
+			expect(nopeRedis.incrBy('score', -8)).toBe(-3);
+		});
+
+		test('should add floating point amounts', () => {
+			nopeRedis.setItem('price', 10, 60);
+			expect(nopeRedis.incrByFloat('price', 0.5)).toBe(10.5);
+			expect(nopeRedis.incrByFloat('price', -0.25)).toBe(10.25);
+		});
+
+		test('should reject invalid increments', () => {
+			expect(nopeRedis.incrBy('score', 1.5)).toBe(false);
+			expect(nopeRedis.incrBy('score', '1')).toBe(false);
+			expect(nopeRedis.incrByFloat('price', Number.NaN)).toBe(false);
+			expect(nopeRedis.incrByFloat('price', Infinity)).toBe(false);
+			expect(nopeRedis.getItem('score')).toBeNull();
+		});
+
+		test('should return false when the result overflows', () => {
+			nopeRedis.setItem('big', Number.MAX_SAFE_INTEGER, 60);
+			expect(nopeRedis.incr('big')).toBe(false);
+			expect(nopeRedis.getItem('big')).toBe(Number.MAX_SAFE_INTEGER);
+		});
+	});
+
+	describe('Typed errors', () => {
+		test('should throw WrongTypeError for non-numeric values', () => {
+			nopeRedis.setItem('name', 'John', 60);
+			nopeRedis.setItem('obj', { count: 1 }, 60);
+
+			expect(() => nopeRedis.incr('name')).toThrow(nopeRedis.WrongTypeError);
+			expect(() => nopeRedis.incrByFloat('obj', 1)).toThrow(nopeRedis.WrongTypeError);
+			expect(nopeRedis.getItem('name')).toBe('John');
+		});
+
+		test('should throw WrongTypeError when incrementing a float as an integer', () => {
+			nopeRedis.setItem('ratio', 0.5, 60);
+
+			try {
+				nopeRedis.incrBy('ratio', 1);
+				throw new Error('expected incrBy to throw');
+			} catch (error) {
+				expect(error).toBeInstanceOf(nopeRedis.NopeRedisError);
+				expect(error.name).toBe('WrongTypeError');
+				expect(error.key).toBe('ratio');
+			}
+			expect(nopeRedis.incrByFloat('ratio', 1)).toBe(1.5);
+		});
+	});
+
+	describe('Service state', () => {
+		test('should return false for invalid keys or a stopped service', async () => {
+			expect(nopeRedis.incr(123)).toBe(false);
+
+			await nopeRedis.SERVICE_KILL();
+			expect(nopeRedis.incr('counter')).toBe(false);
+			expect(nopeRedis.incrBy('counter', 2)).toBe(false);
+		});
+	});
+});
@@ -0,0 +1,83 @@
+const nopeRedis = require('../index');
+
+describe('createCache', () => {
+	let first;
+	let second;
+
+	beforeEach(() => {
+		first = nopeRedis.createCache();
+		second = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await first.SERVICE_KILL();
+		await second.SERVICE_KILL();
+		nopeRedis.flushAll();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	test('should return a running instance with the full API', () => {
+		expect(typeof first.setItem).toBe('function');
+		expect(typeof first.getItem).toBe('function');
+		expect(typeof first.SERVICE_KILL).toBe('function');
+		expect(first.stats().status).toBe(true);
+	});
+
+	test('should keep stores isolated between instances', () => {
+		first.setItem('shared', 'first');
+		second.setItem('shared', 'second');
+
+		expect(first.getItem('shared')).toBe('first');
+		expect(second.getItem('shared')).toBe('second');
+		expect(nopeRedis.getItem('shared')).toBeNull();
+	});
+
+	test('flushAll should only clear its own instance', () => {
+		first.setItem('key', 'value');
+		nopeRedis.setItem('key', 'default');
+
+		second.flushAll();
+		nopeRedis.flushAll();
+
+		expect(first.getItem('key')).toBe('value');
+		expect(nopeRedis.getItem('key')).toBeNull();
+	});
+
+	test('should apply initial options and keep config per instance', async () => {
+		const custom = nopeRedis.createCache({ defaultTtl: 120, evictionPolicy: 'lfu' });
+		try {
+			expect(custom.stats().defaultTtl).toBe(120);
+			expect(custom.stats().evictionPolicy).toBe('lfu');
+			expect(first.stats().defaultTtl).toBe(30);
+			expect(first.stats().evictionPolicy).toBe('lru');
+		} finally {
+			await custom.SERVICE_KILL();
+		}
+	});
+
+	test('should track memory, hits and evictions per instance', () => {
+		first.config({ maxMemorySize: 0.001 });
+		const largeString = 'x'.repeat(200);
+		for (let i = 0; i < 20; i++) {
+			first.setItem(`key${i}`, largeString);
+		}
+		second.setItem('hot', 1);
+		second.getItem('hot');
+
+		expect(first.stats().evictionCount).toBeGreaterThan(0);
+		expect(second.stats().evictionCount).toBe(0);
+		expect(second.stats().totalHits).toBe(1);
+		expect(first.stats().totalHits).toBe(0);
+	});
+
+	test('SERVICE_KILL should only stop its own instance', async () => {
+		await first.SERVICE_KILL();
+
+		expect(first.setItem('key', 'value')).toBe(false);
+		expect(second.setItem('key', 'value')).toBe(true);
+		expect(nopeRedis.stats().status).toBe(true);
+	});
+});
@@ -0,0 +1,209 @@
+const { performance } = require('node:perf_hooks');
+const nopeRedis = require('../index');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Logger and error hooks', () => {
+	let cache;
+	let lines;
+	let logger;
+
+	// A value whose size cannot be measured, making the command fail unexpectedly
+	const broken = () => ({
+		get field() {
+			throw new Error('unreadable');
+		},
+	});
+
+	beforeEach(() => {
+		lines = [];
+		logger = {
+			error: (message, detail) => lines.push(['error', message, detail]),
+			warn: (message, detail) => lines.push(['warn', message, detail]),
+		};
+		cache = nopeRedis.createCache({ logger });
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('config({ logger })', () => {
+		test('should receive log lines instead of console', () => {
+			cache.on('set', () => {
+				throw new Error('handler failed');
+			});
+			cache.setItem('key', 'value');
+
+			expect(lines).toHaveLength(1);
+			expect(lines[0][0]).toBe('error');
+			expect(lines[0][1]).toBe('nope-redis -> set event handler error!');
+			expect(lines[0][2].message).toBe('handler failed');
+		});
+
+		test('should ignore values without error and warn methods', () => {
+			expect(cache.config({ logger: { info: () => {} } })).toBe(true);
+			cache.hset('hash', 'field', broken());
+
+			expect(lines).toHaveLength(1);
+			expect(lines[0][1]).toBe('nope-redis -> Cant hset!');
+		});
+
+		test('a throwing logger should fall back to console and not fail the command', () => {
+			const original = console.error;
+			const logged = [];
+			console.error = (...args) => logged.push(args);
+			try {
+				cache.config({
+					logger: {
+						error: () => {
+							throw new Error('logger down');
+						},
+						warn: () => {},
+					},
+				});
+				cache.on('set', () => {
+					throw new Error('handler failed');
+				});
+				expect(cache.setItem('key', 'value')).toBe(true);
+			} finally {
+				console.error = original;
+			}
+
+			expect(cache.getItem('key')).toBe('value');
+			expect(logged.map((args) => args[0])).toEqual(['nope-redis -> set event handler error!', 'nope-redis -> logger error!']);
+			expect(logged[1][1].message).toBe('logger down');
+		});
+
+		test('null should restore console', () => {
+			const original = console.error;
+			const logged = [];
+			console.error = (...args) => logged.push(args);
+			try {
+				cache.config({ logger: null });
+				cache.hset('hash', 'field', broken());
+			} finally {
+				console.error = original;
+			}
+
+			expect(lines).toEqual([]);
+			expect(logged).toHaveLength(1);
+		});
+	});
+
+	describe('onError', () => {
+		test('should receive the operation, key and error', () => {
+			const errors = [];
+			cache.onError((operation, key, error) => errors.push([operation, key, error.message]));
+
+			expect(cache.hset('user:1', 'profile', broken())).toBe(false);
+			cache.on('del', () => {
+				throw new Error('handler failed');
+			});
+			cache.setItem('session', 'token');
+			cache.deleteItem('session');
+			cache.subscribe('news', () => {
+				throw new Error('subscriber failed');
+			});
+			cache.publish('news', 'hello');
+
+			expect(errors).toEqual([
+				['hset', 'user:1', 'unreadable'],
+				['keyEvent', 'session', 'handler failed'],
+				['publish', undefined, 'subscriber failed'],
+			]);
+		});
+
+		test('should not receive typed errors', () => {
+			const errors = [];
+			cache.onError((...args) => errors.push(args));
+
+			expect(cache.setItem(42, 'value')).toBe(false);
+			expect(cache.setItem('key', 'value', -5)).toBe(false);
+			expect(() => {
+				cache.setItem('name', 'John');
+				cache.incr('name');
+			}).toThrow(nopeRedis.WrongTypeError);
+			expect(errors).toEqual([]);
+			expect(lines).toEqual([]);
+		});
+
+		test('should report background refresh failures', async () => {
+			const errors = [];
+			cache.onError((operation, key, error) => errors.push([operation, key, error.message]));
+			cache.registerLoader('price:*', async () => {
+				throw new Error('source down');
+			});
+			cache.setItem('price:btc', 1, { ttl: 0.05, staleTtl: 10 });
+			await sleep(100);
+
+			expect(cache.getItem('price:btc')).toBe(1);
+			await sleep(10);
+			expect(errors).toEqual([['refresh', 'price:btc', 'source down']]);
+		});
+
+		test('handler errors should be logged and not stop other handlers', () => {
+			const calls = [];
+			cache.onError(() => {
+				throw new Error('hook failed');
+			});
+			cache.onError((operation) => calls.push(operation));
+
+			cache.hset('hash', 'field', broken());
+			expect(calls).toEqual(['hset']);
+			expect(lines.map((line) => line[1])).toEqual(['nope-redis -> Cant hset!', 'nope-redis -> onError handler error!']);
+		});
+
+		test('should return a function removing the handler', () => {
+			const calls = [];
+			const remove = cache.onError((operation) => calls.push(operation));
+
+			expect(remove()).toBe(true);
+			cache.hset('hash', 'field', broken());
+			expect(calls).toEqual([]);
+		});
+
+		test('should reject a non-function handler', () => {
+			expect(cache.onError('handler')).toBe(false);
+			expect(cache.onCriticalReset(null)).toBe(false);
+			cache.config({ strict: true });
+			expect(() => cache.onError()).toThrow(nopeRedis.InvalidArgumentError);
+		});
+	});
+
+	describe('onCriticalReset', () => {
+		test('should be called when the runner flushes all data', async () => {
+			const resets = [];
+			// The cleanup cycle times itself with performance.now(), so a failing clock makes it throw out of the runner
+			const original = performance.now;
+			cache.config({ latencyTracking: true });
+			cache.on('expired', () => {
+				performance.now = () => {
+					throw new Error('clock failed');
+				};
+			});
+			cache.onCriticalReset((error, info) => {
+				performance.now = original;
+				resets.push([error.message, info]);
+			});
+			cache.setItem('short', 'value', 0.05);
+			cache.setItem('long', 'value', 60);
+
+			try {
+				// The cleanup cycle runs every 5 seconds
+				await sleep(5500);
+			} finally {
+				performance.now = original;
+			}
+			expect(resets).toEqual([['clock failed', { attempt: 1, restarting: true }]]);
+			expect(cache.metrics().criticalResets).toBe(1);
+			expect(lines.map((line) => line[1])).toEqual(['nope-redis -> Critical Error flushed all data! > ']);
+			expect(cache.getItem('long')).toBeNull();
+			expect(cache.stats().status).toBe(true);
+		}, 10000);
+	});
+});
@@ -0,0 +1,179 @@
+const nopeRedis = require('../index');
+
+describe('Key-space events', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('on and off', () => {
+		test('should emit set events with the previous value', () => {
+			const events = [];
+			cache.on('set', (event) => events.push(event));
+
+			cache.setItem('user:1', 'John', 60);
+			cache.setItem('user:1', 'Jane', 60);
+
+			expect(events).toEqual([
+				{ type: 'set', key: 'user:1', reason: 'setItem', value: 'John' },
+				{ type: 'set', key: 'user:1', reason: 'setItem', value: 'Jane', oldValue: 'John' },
+			]);
+		});
+
+		test('should report the command that changed a data type', () => {
+			const reasons = [];
+			cache.on('set', (event) => reasons.push(event.reason));
+
+			cache.incr('hits');
+			cache.incr('hits');
+			cache.hset('user:1', 'name', 'John');
+			cache.rpush('queue', 'job');
+			cache.sadd('tags', 'a');
+			cache.sadd('tags', 'a');
+			cache.zadd('board', 1, 'alice');
+
+			expect(reasons).toEqual(['incr', 'incr', 'hset', 'rpush', 'sadd', 'zadd']);
+		});
+
+		test('should not hand out the collections of data type keys', () => {
+			const events = [];
+			cache.on('set', (event) => events.push(event));
+			cache.on('del', (event) => events.push(event));
+
+			cache.hset('user:1', 'name', 'John');
+			cache.zadd('board', 1, 'alice');
+			cache.setItem('user:1', 'plain');
+			cache.deleteItem('board');
+
+			expect(events).toEqual([
+				{ type: 'set', key: 'user:1', reason: 'hset' },
+				{ type: 'set', key: 'board', reason: 'zadd' },
+				{ type: 'set', key: 'user:1', reason: 'setItem', value: 'plain' },
+				{ type: 'del', key: 'board', reason: 'deleteItem' },
+			]);
+		});
+
+		test('should emit del events for every delete path', () => {
+			const events = [];
+			cache.on('del', (event) => events.push([event.key, event.reason, event.oldValue]));
+
+			cache.setItem('a', 1, 60);
+			cache.setItem('b', 2, 60);
+			cache.rpush('queue', 'job');
+			cache.deleteItem('a');
+			cache.deleteItem('missing');
+			cache.deleteItems(['b', 'missing']);
+			cache.lpop('queue');
+
+			expect(events).toEqual([
+				['a', 'deleteItem', 1],
+				['b', 'deleteItems', 2],
+				['queue', 'lpop', undefined],
+			]);
+		});
+
+		test('should emit flush events with a null key', () => {
+			const handler = (event) => events.push(event);
+			const events = [];
+			cache.on('flush', handler);
+
+			cache.flushAll();
+			expect(events).toEqual([{ type: 'flush', key: null, reason: 'flushAll' }]);
+
+			expect(cache.off('flush', handler)).toBe(true);
+			expect(cache.off('flush', handler)).toBe(false);
+			cache.flushAll();
+			expect(events).toHaveLength(1);
+		});
+
+		test('should emit evicted events with the eviction policy', () => {
+			const events = [];
+			cache.config({ maxMemorySize: 0.0015, evictionPolicy: 'lru' });
+			cache.on('evicted', (event) => events.push(event));
+
+			cache.setItem('old', 'x'.repeat(500), 60);
+			cache.setItem('new', 'y'.repeat(500), 60);
+
+			expect(events).toEqual([{ type: 'evicted', key: 'old', reason: 'lru', oldValue: 'x'.repeat(500) }]);
+		});
+
+		test('should emit expired events from the cleanup cycle', async () => {
+			const events = [];
+			cache.on('expired', (event) => events.push(event));
+			cache.setItem('session', 'token', 1);
+
+			await new Promise((resolve) => setTimeout(resolve, 1100));
+			expect(cache.getItem('session')).toBeNull();
+			await cache.SERVICE_KILL();
+
+			expect(events).toEqual([{ type: 'expired', key: 'session', reason: 'ttl', oldValue: 'token' }]);
+		});
+
+		test('should reject unknown events and keep running when a handler throws', () => {
+			expect(cache.on('change', () => {})).toBe(false);
+			expect(cache.on('set', 'not a function')).toBe(false);
+
+			const seen = [];
+			cache.on('set', () => {
+				throw new Error('handler failed');
+			});
+			cache.on('set', (event) => seen.push(event.key));
+
+			expect(cache.setItem('key', 'value', 60)).toBe(true);
+			expect(seen).toEqual(['key']);
+		});
+	});
+
+	describe('subscribeKeys', () => {
+		test('should deliver events for keys matching the pattern', () => {
+			const events = [];
+			cache.subscribeKeys('user:*', (event) => events.push(`${event.type} ${event.key}`));
+
+			cache.setItem('user:1', 'John', 60);
+			cache.setItem('session:1', 'token', 60);
+			cache.deleteItem('user:1');
+			cache.flushAll();
+
+			expect(events).toEqual(['set user:1', 'del user:1', 'flush null']);
+		});
+
+		test('should support ?, character classes and escapes', () => {
+			const keys = [];
+			cache.subscribeKeys('h?llo', (event) => keys.push(event.key));
+			cache.subscribeKeys('item:[0-9][!a]', (event) => keys.push(event.key));
+			cache.subscribeKeys('literal\\*', (event) => keys.push(event.key));
+
+			for (const key of ['hello', 'hallo', 'hllo', 'item:1b', 'item:1a', 'item:x1', 'literal*', 'literalX']) {
+				cache.setItem(key, 1, 60);
+			}
+
+			expect(keys).toEqual(['hello', 'hallo', 'item:1b', 'literal*']);
+		});
+
+		test('should remove subscriptions with the returned function or unsubscribeKeys', () => {
+			const keys = [];
+			const first = (event) => keys.push(`first ${event.key}`);
+			const second = (event) => keys.push(`second ${event.key}`);
+			const unsubscribe = cache.subscribeKeys('a*', first);
+			cache.subscribeKeys('a*', second);
+
+			cache.setItem('a1', 1, 60);
+			unsubscribe();
+			cache.setItem('a2', 1, 60);
+			expect(cache.unsubscribeKeys('a*')).toBe(1);
+			cache.setItem('a3', 1, 60);
+
+			expect(keys).toEqual(['first a1', 'second a1', 'second a2']);
+			expect(cache.subscribeKeys(123, first)).toBe(false);
+		});
+	});
+});
@@ -0,0 +1,188 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const nopeRedis = require('../index');
+
+function sizeInBytes(cache) {
+	const size = cache.stats({ showSize: true }).size;
+	const [amount, unit] = size.split(' ');
+	return Number(amount) * (unit === 'KB' ? 1024 : 1024 * 1024);
+}
+
+describe('Hash data type', () => {
+	beforeEach(async () => {
+		await nopeRedis.SERVICE_START();
+		nopeRedis.flushAll();
+	});
+
+	afterEach(() => {
+		nopeRedis.flushAll();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('Field commands', () => {
+		test('hset should add fields and report how many were new', () => {
+			expect(nopeRedis.hset('user:1', 'name', 'John')).toBe(1);
+			expect(nopeRedis.hset('user:1', { name: 'Jane', age: 30 })).toBe(1);
+			expect(nopeRedis.hget('user:1', 'name')).toBe('Jane');
+			expect(nopeRedis.hget('user:1', 'age')).toBe(30);
+		});
+
+		test('hget and hmget should return null for missing fields and keys', () => {
+			nopeRedis.hset('user:1', { name: 'John', role: 'admin' });
+
+			expect(nopeRedis.hget('user:1', 'email')).toBeNull();
+			expect(nopeRedis.hget('missing', 'name')).toBeNull();
+			expect(nopeRedis.hmget('user:1', ['name', 'email', 'role'])).toEqual(['John', null, 'admin']);
+			expect(nopeRedis.hmget('missing', ['name'])).toEqual([null]);
+		});
+
+		test('hgetall, hkeys, hlen and hexists should describe the hash', () => {
+			nopeRedis.hset('user:1', { name: 'John', age: 30 });
+
+			expect(nopeRedis.hgetall('user:1')).toEqual({ name: 'John', age: 30 });
+			expect(nopeRedis.hkeys('user:1')).toEqual(['name', 'age']);
+			expect(nopeRedis.hlen('user:1')).toBe(2);
+			expect(nopeRedis.hexists('user:1', 'age')).toBe(true);
+			expect(nopeRedis.hexists('user:1', 'email')).toBe(false);
+
+			expect(nopeRedis.hgetall('missing')).toEqual({});
+			expect(nopeRedis.hkeys('missing')).toEqual([]);
+			expect(nopeRedis.hlen('missing')).toBe(0);
+		});
+
+		test('hdel should remove fields and the key once empty', () => {
+			nopeRedis.hset('user:1', { name: 'John', age: 30 });
+
+			expect(nopeRedis.hdel('user:1', 'age', 'email')).toBe(1);
+			expect(nopeRedis.hlen('user:1')).toBe(1);
+			expect(nopeRedis.hdel('user:1', 'name')).toBe(1);
+			expect(nopeRedis.stats().keys).not.toContain('user:1');
+			expect(nopeRedis.hdel('user:1', 'name')).toBe(0);
+		});
+
+		test('hincrby should increment integer fields', () => {
+			expect(nopeRedis.hincrby('stats', 'views', 1)).toBe(1);
+			expect(nopeRedis.hincrby('stats', 'views', 5)).toBe(6);
+			expect(nopeRedis.hincrby('stats', 'views', -2)).toBe(4);
+			expect(nopeRedis.hincrby('stats', 'views', 1.5)).toBe(false);
+
+			nopeRedis.hset('stats', 'name', 'home');
+			expect(() => nopeRedis.hincrby('stats', 'name', 1)).toThrow(nopeRedis.WrongTypeError);
+		});
+
+		test('should reject invalid arguments', () => {
+			expect(nopeRedis.hset(123, 'field', 'value')).toBe(false);
+			expect(nopeRedis.hset('key', 123, 'value')).toBe(false);
+			expect(nopeRedis.hset('key', {})).toBe(false);
+			expect(nopeRedis.hmget('key', 'field')).toBe(false);
+		});
+	});
+
+	describe('Types', () => {
+		test('should throw WrongTypeError for keys holding other values', () => {
+			nopeRedis.setItem('plain', 'value', 60);
+
+			expect(() => nopeRedis.hset('plain', 'field', 1)).toThrow(nopeRedis.WrongTypeError);
+			expect(() => nopeRedis.hget('plain', 'field')).toThrow(nopeRedis.WrongTypeError);
+			expect(() => nopeRedis.hgetall('plain')).toThrow(nopeRedis.WrongTypeError);
+
+			nopeRedis.hset('hash', 'field', 1);
+			expect(() => nopeRedis.incr('hash')).toThrow(nopeRedis.WrongTypeError);
+		});
+
+		test('value reads should throw WrongTypeError instead of exposing the structure', async () => {
+			nopeRedis.hset('hash', 'field', 1);
+			nopeRedis.rpush('list', 'a');
+			nopeRedis.sadd('set', 'a');
+			nopeRedis.zadd('zset', 1, 'a');
+
+			for (const key of ['hash', 'list', 'set', 'zset']) {
+				expect(() => nopeRedis.getItem(key)).toThrow(nopeRedis.WrongTypeError);
+			}
+			expect(() => nopeRedis.getItems(['hash'])).toThrow(nopeRedis.WrongTypeError);
+			expect(() => nopeRedis.getEx('hash', { ttl: 60 })).toThrow(nopeRedis.WrongTypeError);
+			expect(() => nopeRedis.setItem('hash', 'plain', { get: true })).toThrow(nopeRedis.WrongTypeError);
+			expect(() => nopeRedis.compareAndSet('hash', null, 'plain')).toThrow(nopeRedis.WrongTypeError);
+			await expect(nopeRedis.wrap('hash', () => 'loaded')).rejects.toThrow(nopeRedis.WrongTypeError);
+			expect(nopeRedis.hgetall('hash')).toEqual({ field: 1 });
+		});
+
+		test('setItem should replace a hash', () => {
+			nopeRedis.hset('key', 'field', 1);
+			nopeRedis.setItem('key', 'plain', 60);
+
+			expect(nopeRedis.getItem('key')).toBe('plain');
+		});
+	});
+
+	describe('Size accounting', () => {
+		test('should grow and shrink memory usage with each field', () => {
+			nopeRedis.hset('profile', 'bio', 'x'.repeat(1000));
+			const withBio = sizeInBytes(nopeRedis);
+			expect(withBio).toBeGreaterThan(2000);
+
+			nopeRedis.hset('profile', 'bio', 'short');
+			expect(sizeInBytes(nopeRedis)).toBeLessThan(withBio - 1500);
+
+			nopeRedis.hdel('profile', 'bio');
+			expect(nopeRedis.stats({ showSize: true }).size).toBe('0 MB');
+		});
+
+		test('should evict other keys when a hash grows past the memory limit', () => {
+			nopeRedis.config({ maxMemorySize: 0.005, evictionPolicy: 'lru' });
+			try {
+				nopeRedis.setItem('old', 'x'.repeat(500), 60);
+				for (let i = 0; i < 10; i++) {
+					nopeRedis.hset('big', `field${i}`, 'x'.repeat(500));
+				}
+
+				expect(nopeRedis.getItem('old')).toBeNull();
+				expect(nopeRedis.hlen('big')).toBe(10);
+				expect(nopeRedis.stats().evictionCount).toBeGreaterThan(0);
+			} finally {
+				nopeRedis.config({ maxMemorySize: 100 });
+			}
+		});
+	});
+
+	describe('TTL', () => {
+		test('should create hashes with defaultTtl and keep the TTL on updates', () => {
+			nopeRedis.hset('session', 'user', 'john');
+			const before = nopeRedis.itemStats('session');
+			expect(before.remaining_seconds).toBe(nopeRedis.stats().defaultTtl);
+
+			nopeRedis.hset('session', 'page', 'home');
+			expect(nopeRedis.itemStats('session').expires_at).toBe(before.expires_at);
+		});
+
+		test('should treat expired hashes as missing', async () => {
+			nopeRedis.setItem('session', 'plain', 1);
+			await new Promise((resolve) => setTimeout(resolve, 1100));
+
+			expect(nopeRedis.hset('session', 'user', 'john')).toBe(1);
+			expect(nopeRedis.hgetall('session')).toEqual({ user: 'john' });
+		});
+	});
+
+	describe('Persistence', () => {
+		test('should round-trip hashes through snapshots', async () => {
+			const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nope-redis-hash-'));
+			const file = path.join(dir, 'cache.snapshot');
+			try {
+				nopeRedis.hset('user:1', { name: 'John', age: 30 });
+				await nopeRedis.saveSnapshot(file);
+				nopeRedis.flushAll();
+
+				await nopeRedis.loadSnapshot(file);
+				expect(nopeRedis.hgetall('user:1')).toEqual({ name: 'John', age: 30 });
+				expect(nopeRedis.hincrby('user:1', 'age', 1)).toBe(31);
+			} finally {
+				fs.rmSync(dir, { recursive: true, force: true });
+			}
+		});
+	});
+});
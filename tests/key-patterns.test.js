@@ -0,0 +1,181 @@
+const nopeRedis = require('../index');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Pattern-based key listing and deletion', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache();
+		cache.setItem('user:1', 'John', 60);
+		cache.setItem('user:2', 'Jane', 60);
+		cache.setItem('user:10', 'Bob', 60);
+		cache.setItem('user:1:posts', [], 60);
+		cache.setItem('users', 3, 60);
+		cache.setItem('session:a', 'token', 60);
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('keys', () => {
+		test('should list every key by default', () => {
+			expect(cache.keys().sort()).toEqual(['session:a', 'user:1', 'user:10', 'user:1:posts', 'user:2', 'users']);
+		});
+
+		test('should match glob patterns', () => {
+			expect(cache.keys('user:*').sort()).toEqual(['user:1', 'user:10', 'user:1:posts', 'user:2']);
+			expect(cache.keys('user:?').sort()).toEqual(['user:1', 'user:2']);
+			expect(cache.keys('user:[12]').sort()).toEqual(['user:1', 'user:2']);
+			expect(cache.keys('user:[^1]')).toEqual(['user:2']);
+			expect(cache.keys('*:a')).toEqual(['session:a']);
+			expect(cache.keys('us*s')).toEqual(['user:1:posts', 'users']);
+			expect(cache.keys('users')).toEqual(['users']);
+			expect(cache.keys('order:*')).toEqual([]);
+		});
+
+		test('should treat escaped characters literally', () => {
+			cache.setItem('file:*', 'star', 60);
+
+			expect(cache.keys('file:\\*')).toEqual(['file:*']);
+			expect(cache.keys('file\\:*')).toEqual(['file:*']);
+		});
+
+		test('should skip expired keys', async () => {
+			cache.setItem('user:3', 'Tim', 0.05);
+			await sleep(100);
+
+			expect(cache.keys('user:3')).toEqual([]);
+			expect(cache.keys('user:*')).not.toContain('user:3');
+		});
+
+		test('should include data type keys', () => {
+			cache.hset('user:5:profile', 'name', 'Ann');
+			cache.sadd('tags', 'a');
+
+			expect(cache.keys('user:5:*')).toEqual(['user:5:profile']);
+			expect(cache.keys('tags')).toEqual(['tags']);
+		});
+
+		test('should return false for an invalid pattern or a stopped service', async () => {
+			expect(cache.keys(42)).toBe(false);
+
+			await cache.SERVICE_KILL();
+			expect(cache.keys()).toBe(false);
+		});
+	});
+
+	describe('deleteByPattern', () => {
+		test('should delete matching keys and return the count', () => {
+			expect(cache.deleteByPattern('user:?')).toBe(2);
+			expect(cache.keys().sort()).toEqual(['session:a', 'user:10', 'user:1:posts', 'users']);
+		});
+
+		test('should emit a del event per key', () => {
+			const keys = [];
+			cache.on('del', (event) => keys.push([event.key, event.reason]));
+
+			cache.deleteByPattern('session:*');
+			expect(keys).toEqual([['session:a', 'deleteByPattern']]);
+		});
+
+		test('should return false for an invalid pattern', () => {
+			expect(cache.deleteByPattern()).toBe(false);
+		});
+	});
+
+	describe('deleteByPrefix', () => {
+		test('should delete keys starting with the prefix', () => {
+			expect(cache.deleteByPrefix('user:1')).toBe(3);
+			expect(cache.keys().sort()).toEqual(['session:a', 'user:2', 'users']);
+		});
+
+		test('should work with prefixes without a delimiter', () => {
+			expect(cache.deleteByPrefix('us')).toBe(5);
+			expect(cache.keys()).toEqual(['session:a']);
+		});
+
+		test('should skip expired keys', async () => {
+			cache.setItem('temp:1', 'value', 0.05);
+			cache.setItem('temp:2', 'value', 60);
+			await sleep(100);
+
+			expect(cache.deleteByPrefix('temp:')).toBe(1);
+		});
+
+		test('should return false for an invalid prefix', () => {
+			expect(cache.deleteByPrefix(null)).toBe(false);
+		});
+	});
+
+	describe('Prefix index', () => {
+		test('should follow deletes, overwrites and flushes', () => {
+			cache.deleteItem('user:1');
+			cache.deleteItems(['user:2']);
+			cache.setItem('user:10', 'Bobby', 60);
+
+			expect(cache.keys('user:*').sort()).toEqual(['user:10', 'user:1:posts']);
+
+			cache.flushAll();
+			expect(cache.keys('user:*')).toEqual([]);
+
+			cache.setItem('user:7', 'Sam', 60);
+			expect(cache.keys('user:*')).toEqual(['user:7']);
+		});
+
+		test('should follow writes and deletes for prefixes without a delimiter', () => {
+			cache.setItem('user', 'root', 60);
+			cache.deleteItem('users');
+			cache.deleteByPrefix('user:1');
+			cache.setItem('usage:today', 5, 60);
+
+			expect(cache.keys('us*').sort()).toEqual(['usage:today', 'user', 'user:2']);
+			expect(cache.deleteByPrefix('user')).toBe(2);
+			expect(cache.keys('us*')).toEqual(['usage:today']);
+
+			cache.flushAll();
+			cache.setItem('session', 'new', 60);
+			expect(cache.keys('sess*')).toEqual(['session']);
+		});
+
+		test('should follow evictions', () => {
+			const small = nopeRedis.createCache({ maxMemorySize: 0.0015 });
+			try {
+				for (let i = 0; i < 50; i++) {
+					small.setItem(`item:${i}`, 'x'.repeat(100));
+				}
+
+				expect(small.stats().evictionCount).toBeGreaterThan(0);
+				expect(small.keys('item:*')).toEqual(small.stats().keys);
+			} finally {
+				small.SERVICE_KILL();
+			}
+		});
+
+		test('should follow the cleanup cycle', async () => {
+			cache.setItem('temp:1', 'value', 0.1);
+
+			// The cleanup cycle runs every 5 seconds
+			await sleep(5500);
+			cache.setItem('temp:1', 'again', 0.1);
+			cache.deleteItem('temp:1');
+			expect(cache.keys('temp:*')).toEqual([]);
+			expect(cache.deleteByPrefix('temp:')).toBe(0);
+		}, 10000);
+
+		test('memoized functions should clear through the index', () => {
+			const fn = cache.memoize((n) => n, { namespace: 'double' });
+			fn(1);
+			fn(2);
+
+			expect(cache.keys('double:*').length).toBe(2);
+			expect(fn.clear()).toBe(2);
+			expect(cache.keys('double:*')).toEqual([]);
+		});
+	});
+});
@@ -0,0 +1,167 @@
+const { performance } = require('node:perf_hooks');
+const nopeRedis = require('../index');
+
+// Keep the event loop busy, standing in for a slow operation; Date.now() could stop up to 1ms early
+function busyWait(ms) {
+	const end = performance.now() + ms;
+	while (performance.now() < end) {}
+}
+
+describe('Latency tracking and slowlog', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache({ latencyTracking: true });
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('latency', () => {
+		test('should record nothing while tracking is off', () => {
+			cache.config({ latencyTracking: false, slowlogThreshold: 0 });
+			cache.setItem('a', 1);
+			cache.getItem('a');
+
+			expect(cache.latency().get).toEqual({ count: 0, mean: 0, p50: 0, p95: 0, p99: 0, max: 0 });
+			expect(cache.slowlogGet()).toEqual([]);
+			expect(cache.stats().latencyTracking).toBe(false);
+		});
+
+		test('should time get, set and delete', () => {
+			for (let i = 0; i < 20; i++) {
+				cache.setItem(`key${i}`, i);
+				cache.getItem(`key${i}`);
+			}
+			cache.deleteItem('key0');
+
+			const { get, set, delete: del } = cache.latency();
+			expect(get.count).toBe(20);
+			expect(set.count).toBe(20);
+			expect(del.count).toBe(1);
+			for (const stats of [get, set]) {
+				expect(stats.mean).toBeGreaterThan(0);
+				expect(stats.p50).toBeLessThanOrEqual(stats.p95);
+				expect(stats.p95).toBeLessThanOrEqual(stats.p99);
+				expect(stats.p99).toBeLessThanOrEqual(stats.max);
+			}
+		});
+
+		test('percentiles should follow the durations', () => {
+			cache.on('set', () => busyWait(3));
+			for (let i = 0; i < 5; i++) {
+				cache.setItem(`key${i}`, i);
+			}
+
+			const { set } = cache.latency();
+			expect(set.count).toBe(5);
+			expect(set.p50).toBeGreaterThanOrEqual(3);
+			expect(set.mean).toBeGreaterThanOrEqual(3);
+		});
+
+		test('should time evictions and killer cycles', async () => {
+			cache.config({ maxMemorySize: 0.0015 });
+			for (let i = 0; i < 50; i++) {
+				cache.setItem(`key${i}`, 'x'.repeat(100));
+			}
+			expect(cache.latency().eviction.count).toBeGreaterThan(0);
+
+			// Stopping the service runs a final cleanup cycle
+			await cache.SERVICE_KILL();
+			expect(cache.latency().killer.count).toBe(1);
+		});
+
+		test('latencyReset should clear the histograms', () => {
+			cache.setItem('a', 1);
+
+			expect(cache.latencyReset()).toBe(true);
+			expect(cache.latency().set.count).toBe(0);
+		});
+	});
+
+	describe('slowlog', () => {
+		test('should record operations above the threshold', () => {
+			cache.config({ slowlogThreshold: 20 });
+			cache.setItem('fast', 1);
+			cache.on('set', (event) => {
+				if (event.key === 'slow') busyWait(30);
+			});
+			cache.setItem('slow', 1);
+
+			const entries = cache.slowlogGet();
+			expect(entries).toHaveLength(1);
+			expect(entries[0]).toMatchObject({ operation: 'set', key: 'slow' });
+			expect(entries[0].duration).toBeGreaterThanOrEqual(20);
+			expect(Math.abs(entries[0].timestamp - Date.now())).toBeLessThan(1000);
+		});
+
+		test('should record the written key for evictions and null for killer cycles', async () => {
+			cache.config({ slowlogThreshold: 0, maxMemorySize: 0.0015 });
+			for (let i = 0; i < 50; i++) {
+				cache.setItem(`key${i}`, 'x'.repeat(100));
+			}
+			const eviction = cache.slowlogGet(-1).find((entry) => entry.operation === 'eviction');
+			expect(eviction.key).toMatch(/^key\d+$/);
+
+			await cache.SERVICE_KILL();
+			expect(cache.slowlogGet(1)[0]).toMatchObject({ operation: 'killer', key: null });
+		});
+
+		test('should return entries newest first, limited by count', () => {
+			cache.config({ slowlogThreshold: 0 });
+			cache.setItem('a', 1);
+			cache.getItem('a');
+			cache.deleteItem('a');
+
+			expect(cache.slowlogGet().map((entry) => entry.operation)).toEqual(['delete', 'get', 'set']);
+			expect(cache.slowlogGet(2).map((entry) => entry.operation)).toEqual(['delete', 'get']);
+			expect(cache.slowlogGet(0)).toEqual([]);
+			expect(cache.slowlogGet(-1)).toHaveLength(3);
+			const ids = cache.slowlogGet().map((entry) => entry.id);
+			expect(ids[0]).toBeGreaterThan(ids[1]);
+		});
+
+		test('should keep the newest slowlogMaxLen entries', () => {
+			cache.config({ slowlogThreshold: 0, slowlogMaxLen: 3 });
+			for (let i = 0; i < 5; i++) {
+				cache.getItem(`key${i}`);
+			}
+			expect(cache.slowlogGet(-1).map((entry) => entry.key)).toEqual(['key4', 'key3', 'key2']);
+
+			cache.config({ slowlogMaxLen: 2 });
+			expect(cache.slowlogGet(-1).map((entry) => entry.key)).toEqual(['key4', 'key3']);
+
+			cache.config({ slowlogMaxLen: 4 });
+			cache.getItem('key5');
+			expect(cache.slowlogGet(-1).map((entry) => entry.key)).toEqual(['key5', 'key4', 'key3']);
+		});
+
+		test('returned entries should be copies', () => {
+			cache.config({ slowlogThreshold: 0 });
+			cache.getItem('a');
+			cache.slowlogGet()[0].key = 'changed';
+
+			expect(cache.slowlogGet()[0].key).toBe('a');
+		});
+
+		test('slowlogReset should remove every entry', () => {
+			cache.config({ slowlogThreshold: 0 });
+			cache.getItem('a');
+
+			expect(cache.slowlogReset()).toBe(true);
+			expect(cache.slowlogGet()).toEqual([]);
+			cache.getItem('b');
+			expect(cache.slowlogGet().map((entry) => entry.key)).toEqual(['b']);
+		});
+
+		test('should return false for a non-integer count', () => {
+			expect(cache.slowlogGet(1.5)).toBe(false);
+			expect(cache.slowlogGet('5')).toBe(false);
+		});
+	});
+});
@@ -0,0 +1,179 @@
+const nopeRedis = require('../index');
+
+describe('List data type', () => {
+	beforeEach(async () => {
+		await nopeRedis.SERVICE_START();
+		nopeRedis.flushAll();
+	});
+
+	afterEach(() => {
+		nopeRedis.flushAll();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('Push and pop', () => {
+		test('lpush and rpush should return the new length', () => {
+			expect(nopeRedis.rpush('queue', 'a', 'b')).toBe(2);
+			expect(nopeRedis.lpush('queue', 'y', 'z')).toBe(4);
+			expect(nopeRedis.lrange('queue', 0, -1)).toEqual(['z', 'y', 'a', 'b']);
+		});
+
+		test('lpop and rpop should remove from each end', () => {
+			nopeRedis.rpush('queue', 1, 2, 3, 4, 5);
+
+			expect(nopeRedis.lpop('queue')).toBe(1);
+			expect(nopeRedis.rpop('queue')).toBe(5);
+			expect(nopeRedis.lpop('queue', 2)).toEqual([2, 3]);
+			expect(nopeRedis.rpop('queue', 5)).toEqual([4]);
+			expect(nopeRedis.lpop('queue')).toBeNull();
+		});
+
+		test('should remove the key once the list is empty', () => {
+			nopeRedis.rpush('queue', 'only');
+			nopeRedis.lpop('queue');
+
+			expect(nopeRedis.stats().keys).not.toContain('queue');
+			expect(nopeRedis.stats({ showSize: true }).size).toBe('0 MB');
+		});
+
+		test('should reject invalid arguments', () => {
+			expect(nopeRedis.rpush(123, 'a')).toBe(false);
+			expect(nopeRedis.rpush('queue')).toBe(false);
+			nopeRedis.rpush('queue', 'a');
+			expect(nopeRedis.lpop('queue', 0)).toBe(false);
+			expect(nopeRedis.lrange('queue', 0, 'x')).toBe(false);
+		});
+	});
+
+	describe('Reading and editing', () => {
+		beforeEach(() => {
+			nopeRedis.rpush('list', 'a', 'b', 'c', 'd', 'e');
+		});
+
+		test('lrange should support negative and out of range indexes', () => {
+			expect(nopeRedis.lrange('list', 1, 2)).toEqual(['b', 'c']);
+			expect(nopeRedis.lrange('list', -2, -1)).toEqual(['d', 'e']);
+			expect(nopeRedis.lrange('list', -100, 100)).toEqual(['a', 'b', 'c', 'd', 'e']);
+			expect(nopeRedis.lrange('list', 0, -7)).toEqual([]);
+			expect(nopeRedis.lrange('missing', 0, -1)).toEqual([]);
+		});
+
+		test('llen and lindex should read the list', () => {
+			expect(nopeRedis.llen('list')).toBe(5);
+			expect(nopeRedis.llen('missing')).toBe(0);
+			expect(nopeRedis.lindex('list', 0)).toBe('a');
+			expect(nopeRedis.lindex('list', -1)).toBe('e');
+			expect(nopeRedis.lindex('list', 10)).toBeNull();
+		});
+
+		test('ltrim should keep only the given range', () => {
+			expect(nopeRedis.ltrim('list', 1, -2)).toBe(true);
+			expect(nopeRedis.lrange('list', 0, -1)).toEqual(['b', 'c', 'd']);
+
+			expect(nopeRedis.ltrim('list', 5, 10)).toBe(true);
+			expect(nopeRedis.llen('list')).toBe(0);
+			expect(nopeRedis.stats().keys).not.toContain('list');
+		});
+
+		test('lrem should remove occurrences from the head, tail or everywhere', () => {
+			nopeRedis.rpush('dupes', 'x', 'a', 'x', 'b', 'x');
+
+			expect(nopeRedis.lrem('dupes', 1, 'x')).toBe(1);
+			expect(nopeRedis.lrange('dupes', 0, -1)).toEqual(['a', 'x', 'b', 'x']);
+			expect(nopeRedis.lrem('dupes', -1, 'x')).toBe(1);
+			expect(nopeRedis.lrange('dupes', 0, -1)).toEqual(['a', 'x', 'b']);
+			nopeRedis.rpush('dupes', 'x');
+			expect(nopeRedis.lrem('dupes', 0, 'x')).toBe(2);
+			expect(nopeRedis.lrange('dupes', 0, -1)).toEqual(['a', 'b']);
+			expect(nopeRedis.lrem('dupes', 0, 'missing')).toBe(0);
+		});
+	});
+
+	describe('Blocking pops', () => {
+		test('should resolve immediately when a list has values', async () => {
+			nopeRedis.rpush('jobs', 'job1', 'job2');
+
+			await expect(nopeRedis.blpop('jobs', 1)).resolves.toEqual(['jobs', 'job1']);
+			await expect(nopeRedis.brpop('jobs', 1)).resolves.toEqual(['jobs', 'job2']);
+		});
+
+		test('should resolve when another caller pushes', async () => {
+			const pending = nopeRedis.blpop(['high', 'low'], 5);
+			setTimeout(() => nopeRedis.rpush('low', 'job'), 50);
+
+			await expect(pending).resolves.toEqual(['low', 'job']);
+			expect(nopeRedis.llen('low')).toBe(0);
+		});
+
+		test('should serve waiters in the order they started waiting', async () => {
+			const first = nopeRedis.brpop('jobs', 5);
+			const second = nopeRedis.brpop('jobs', 5);
+
+			expect(nopeRedis.rpush('jobs', 'a', 'b', 'c')).toBe(3);
+
+			await expect(first).resolves.toEqual(['jobs', 'c']);
+			await expect(second).resolves.toEqual(['jobs', 'b']);
+			expect(nopeRedis.lrange('jobs', 0, -1)).toEqual(['a']);
+		});
+
+		test('should resolve null when the timeout passes', async () => {
+			const start = Date.now();
+			await expect(nopeRedis.blpop('empty', 0.2)).resolves.toBeNull();
+			expect(Date.now() - start).toBeGreaterThanOrEqual(190);
+
+			// The timed out waiter must not consume later pushes
+			nopeRedis.rpush('empty', 'value');
+			expect(nopeRedis.llen('empty')).toBe(1);
+		});
+
+		test('should resolve false for waiters when the service stops', async () => {
+			const pending = nopeRedis.blpop('jobs');
+			await nopeRedis.SERVICE_KILL();
+
+			await expect(pending).resolves.toBe(false);
+			await expect(nopeRedis.blpop('jobs', 1)).resolves.toBe(false);
+		});
+
+		test('should reject with WrongTypeError for keys holding other values', async () => {
+			nopeRedis.setItem('plain', 'value', 60);
+
+			await expect(nopeRedis.blpop('plain', 1)).rejects.toThrow(nopeRedis.WrongTypeError);
+		});
+	});
+
+	describe('Memory and TTL', () => {
+		test('should count list values in memory usage and evict other keys', () => {
+			nopeRedis.config({ maxMemorySize: 0.005, evictionPolicy: 'lru' });
+			try {
+				nopeRedis.setItem('old', 'x'.repeat(500), 60);
+				for (let i = 0; i < 10; i++) {
+					nopeRedis.rpush('queue', 'x'.repeat(500));
+				}
+
+				expect(nopeRedis.getItem('old')).toBeNull();
+				expect(nopeRedis.llen('queue')).toBe(10);
+				expect(nopeRedis.stats().evictionCount).toBeGreaterThan(0);
+			} finally {
+				nopeRedis.config({ maxMemorySize: 100 });
+			}
+		});
+
+		test('should create lists with defaultTtl and keep the TTL on updates', () => {
+			nopeRedis.rpush('queue', 'a');
+			const before = nopeRedis.itemStats('queue');
+			expect(before.remaining_seconds).toBe(nopeRedis.stats().defaultTtl);
+
+			nopeRedis.rpush('queue', 'b');
+			nopeRedis.lpop('queue');
+			expect(nopeRedis.itemStats('queue').expires_at).toBe(before.expires_at);
+		});
+
+		test('should throw WrongTypeError for keys holding other values', () => {
+			nopeRedis.hset('hash', 'field', 1);
+			expect(() => nopeRedis.rpush('hash', 'value')).toThrow(nopeRedis.WrongTypeError);
+		});
+	});
+});
@@ -0,0 +1,214 @@
+const nopeRedis = require('../index');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Function memoization', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('Sync functions', () => {
+		test('should cache results by arguments', () => {
+			let calls = 0;
+			const add = cache.memoize((a, b) => {
+				calls++;
+				return a + b;
+			});
+
+			expect(add(1, 2)).toBe(3);
+			expect(add(1, 2)).toBe(3);
+			expect(add(2, 2)).toBe(4);
+			expect(calls).toBe(2);
+			expect(add.stats()).toEqual({ hits: 1, misses: 2 });
+		});
+
+		test('should derive equal keys for objects with keys in a different order', () => {
+			let calls = 0;
+			const fn = cache.memoize(() => ++calls);
+
+			fn({ a: 1, b: { c: 2, d: 3 } });
+			fn({ b: { d: 3, c: 2 }, a: 1 });
+			fn({ a: 1, b: { c: 2, d: 4 } });
+			expect(calls).toBe(2);
+		});
+
+		test('should cache undefined and null results', () => {
+			let calls = 0;
+			const fn = cache.memoize(() => {
+				calls++;
+				return undefined;
+			});
+
+			expect(fn('x')).toBeUndefined();
+			expect(fn('x')).toBeUndefined();
+			expect(calls).toBe(1);
+		});
+
+		test('should not cache thrown errors', () => {
+			let calls = 0;
+			const fn = cache.memoize(() => {
+				calls++;
+				throw new Error('boom');
+			});
+
+			expect(() => fn()).toThrow('boom');
+			expect(() => fn()).toThrow('boom');
+			expect(calls).toBe(2);
+		});
+
+		test('should keep this of the call', () => {
+			const counter = {
+				base: 10,
+				plus: cache.memoize(function (n) {
+					return this.base + n;
+				}),
+			};
+
+			expect(counter.plus(5)).toBe(15);
+		});
+	});
+
+	describe('Async functions', () => {
+		test('should dedupe concurrent calls with the same arguments', async () => {
+			let calls = 0;
+			const load = cache.memoize(async (id) => {
+				calls++;
+				await sleep(30);
+				return { id };
+			});
+
+			const results = await Promise.all([load(1), load(1), load(2)]);
+
+			expect(results).toEqual([{ id: 1 }, { id: 1 }, { id: 2 }]);
+			expect(calls).toBe(2);
+			expect(load.stats()).toEqual({ hits: 1, misses: 2 });
+		});
+
+		test('should return promises for cached results', async () => {
+			const load = cache.memoize(async (id) => id * 2);
+
+			await load(4);
+			const cached = load(4);
+			expect(cached).toBeInstanceOf(Promise);
+			await expect(cached).resolves.toBe(8);
+		});
+
+		test('should not cache rejections', async () => {
+			let calls = 0;
+			const load = cache.memoize(async () => {
+				calls++;
+				if (calls === 1) throw new Error('backend down');
+				return 'ok';
+			});
+
+			await expect(load()).rejects.toThrow('backend down');
+			await expect(load()).resolves.toBe('ok');
+			expect(calls).toBe(2);
+		});
+	});
+
+	describe('Options', () => {
+		test('should store results with the TTL and namespace', async () => {
+			const fn = cache.memoize((id) => `user ${id}`, { ttl: 0.1, namespace: 'users' });
+
+			fn(1);
+			expect(cache.getItem('users:[1]')).toBe('user 1');
+			await sleep(150);
+			expect(cache.getItem('users:[1]')).toBeNull();
+		});
+
+		test('should build keys with keyFn', () => {
+			let calls = 0;
+			const fn = cache.memoize(
+				(user) => {
+					calls++;
+					return user.name;
+				},
+				{ keyFn: (user) => String(user.id), namespace: 'names' },
+			);
+
+			fn({ id: 1, name: 'John' });
+			expect(fn({ id: 1, name: 'Jane' })).toBe('John');
+			expect(calls).toBe(1);
+			expect(cache.stats().keys).toEqual(['names:1']);
+		});
+
+		test('functions without a namespace should not share results', () => {
+			const double = cache.memoize((n) => n * 2);
+			const triple = cache.memoize((n) => n * 3);
+
+			expect(double(3)).toBe(6);
+			expect(triple(3)).toBe(9);
+		});
+
+		test('should reject invalid arguments', () => {
+			expect(cache.memoize('fn')).toBe(false);
+			expect(cache.memoize(() => 1, { keyFn: 'id' })).toBe(false);
+			expect(cache.memoize(() => 1, { namespace: 42 })).toBe(false);
+		});
+
+		test('should call through when the key cannot be built and report it once', () => {
+			const warnings = [];
+			const errors = [];
+			cache.config({ logger: { error: () => {}, warn: (message) => warnings.push(message) } });
+			cache.onError((operation) => errors.push(operation));
+			let calls = 0;
+			const fn = cache.memoize(() => ++calls, { namespace: 'callbacks' });
+
+			fn(() => {});
+			fn(() => {});
+			expect(calls).toBe(2);
+			expect(fn.stats().misses).toBe(2);
+			expect(warnings).toEqual(['nope-redis -> Cant build memoize key of "callbacks", calling without cache!']);
+			expect(errors).toEqual(['memoize']);
+		});
+	});
+
+	describe('Invalidation', () => {
+		test('delete should drop the result for one set of arguments', () => {
+			let calls = 0;
+			const fn = cache.memoize((n) => {
+				calls++;
+				return n;
+			});
+
+			fn(1);
+			fn(2);
+			expect(fn.delete(1)).toBe(true);
+			expect(fn.delete(1)).toBe(false);
+			fn(1);
+			fn(2);
+			expect(calls).toBe(3);
+		});
+
+		test('clear should drop every result of the function only', () => {
+			cache.setItem('other', 'value');
+			const fn = cache.memoize((n) => n, { namespace: 'fn' });
+
+			fn(1);
+			fn(2);
+			expect(fn.clear()).toBe(2);
+			expect(cache.stats().keys).toEqual(['other']);
+		});
+
+		test('should call through while the service is stopped', async () => {
+			let calls = 0;
+			const fn = cache.memoize(() => ++calls);
+
+			await cache.SERVICE_KILL();
+			expect(fn()).toBe(1);
+			expect(fn()).toBe(2);
+			expect(fn.delete()).toBe(false);
+		});
+	});
+});
@@ -0,0 +1,157 @@
+const nopeRedis = require('../index');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Memory history', () => {
+	let cache;
+
+	// Stopping the service runs a final cleanup cycle, which takes a due sample;
+	// after a restart the next sample is due right away
+	const sampleNow = async () => {
+		await cache.SERVICE_KILL();
+		await cache.SERVICE_START();
+	};
+
+	beforeEach(async () => {
+		cache = nopeRedis.createCache({ isMemoryStatsEnabled: true });
+		// The first sample is an hour away, make it due
+		await sampleNow();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	test('should be empty while sampling is off', async () => {
+		const idle = nopeRedis.createCache();
+		try {
+			idle.setItem('a', 1);
+			await idle.SERVICE_KILL();
+
+			expect(idle.history()).toEqual([]);
+			expect(idle.stats().memoryStats).toBeUndefined();
+		} finally {
+			idle.SERVICE_KILL();
+		}
+	});
+
+	test('should sample from the cleanup cycle every historyInterval seconds', async () => {
+		const periodic = nopeRedis.createCache({ isMemoryStatsEnabled: true, historyInterval: 5 });
+		try {
+			periodic.setItem('a', 1);
+			periodic.getItem('a');
+			periodic.getItem('missing');
+
+			// The cleanup cycle runs every 5 seconds
+			await sleep(5500);
+			const samples = periodic.history();
+			expect(samples).toHaveLength(1);
+			expect(samples[0]).toMatchObject({ keys: 1, hits: 1, misses: 1 });
+			expect(periodic.stats().nextMemoryStatsTime).toBeGreaterThan(Date.now() / 1000);
+		} finally {
+			periodic.SERVICE_KILL();
+		}
+	}, 10000);
+
+	test('historyInterval should not go below the cleanup cycle', () => {
+		cache.config({ historyInterval: 1 });
+		const { nextMemoryStatsTime } = cache.stats();
+		cache.config({ historyInterval: 0.05 });
+
+		expect(cache.stats().nextMemoryStatsTime).toBe(nextMemoryStatsTime);
+		expect(cache.config({ historyInterval: 5 })).toBe(true);
+		expect(cache.stats().nextMemoryStatsTime).toBeGreaterThanOrEqual(Math.floor(Date.now() / 1000) + 5);
+	});
+
+	test('should sample the store size and the activity of the interval', async () => {
+		cache.setItem('a', 'x'.repeat(1000));
+		cache.setItem('b', 1);
+		cache.getItem('a');
+		cache.getItem('missing');
+		await cache.SERVICE_KILL();
+
+		const samples = cache.history();
+		expect(samples).toHaveLength(1);
+		expect(samples[0]).toMatchObject({ keys: 2, hits: 1, misses: 1, evictions: 0, expirations: 0 });
+		expect(Number.isInteger(samples[0].bytes)).toBe(true);
+		expect(samples[0].bytes).toBeGreaterThan(1000);
+		expect(Math.abs(samples[0].timestamp - Date.now())).toBeLessThan(1000);
+	});
+
+	test('should count only the activity since the previous sample', async () => {
+		cache.getItem('missing');
+		await sampleNow();
+		cache.getItem('missing');
+		cache.getItem('other');
+		await cache.SERVICE_KILL();
+
+		const samples = cache.history();
+		expect(samples.map((sample) => sample.misses)).toEqual([1, 2]);
+		expect(samples[1].keys).toBe(0);
+		expect(samples[1].timestamp).toBeGreaterThanOrEqual(samples[0].timestamp);
+	});
+
+	test('should count evictions and expirations', async () => {
+		cache.config({ maxMemorySize: 0.0015 });
+		cache.setItem('short', 1, 0.05);
+		for (let i = 0; i < 50; i++) {
+			cache.setItem(`key${i}`, 'x'.repeat(100));
+		}
+		await sleep(100);
+		cache.config({ maxMemorySize: 100 });
+		cache.setItem('late', 1, 0.05);
+		await sleep(100);
+		await cache.SERVICE_KILL();
+
+		const [sample] = cache.history();
+		expect(sample.evictions).toBe(cache.metrics().evicted.lru);
+		expect(sample.evictions).toBeGreaterThan(0);
+		expect(sample.expirations).toBe(cache.metrics().expired);
+		expect(sample.expirations).toBeGreaterThan(0);
+	});
+
+	test('should keep the newest historySize samples', async () => {
+		cache.config({ historySize: 2 });
+		for (let i = 1; i <= 3; i++) {
+			for (let j = 0; j < i; j++) {
+				cache.getItem('missing');
+			}
+			await sampleNow();
+		}
+
+		expect(cache.history().map((sample) => sample.misses)).toEqual([2, 3]);
+	});
+
+	test('should filter by since and until', async () => {
+		await sampleNow();
+		await sleep(20);
+		await sampleNow();
+		const [first, second] = cache.history();
+
+		expect(cache.history({ since: second.timestamp })).toEqual([second]);
+		expect(cache.history({ until: new Date(first.timestamp) })).toEqual([first]);
+		expect(cache.history({ since: first.timestamp, until: second.timestamp })).toEqual([first, second]);
+		expect(cache.history({ since: Date.now() + 1000 })).toEqual([]);
+	});
+
+	test('should return copies, also through stats()', async () => {
+		await sampleNow();
+		cache.history()[0].keys = 99;
+
+		expect(cache.history()[0].keys).toBe(0);
+		expect(cache.stats().memoryStats).toEqual(cache.history());
+	});
+
+	test('should reject an invalid range', () => {
+		expect(cache.history({ since: 'yesterday' })).toBe(false);
+		expect(cache.history({ until: Number.NaN })).toBe(false);
+		expect(cache.history(null)).toBe(false);
+
+		cache.config({ strict: true });
+		expect(() => cache.history({ since: new Date('invalid') })).toThrow(nopeRedis.InvalidArgumentError);
+	});
+});
@@ -0,0 +1,159 @@
+const nopeRedis = require('../index');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Metrics', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('metrics', () => {
+		test('should start at zero', () => {
+			expect(cache.metrics()).toEqual({
+				hits: 0,
+				misses: 0,
+				sets: 0,
+				deletes: 0,
+				expired: 0,
+				evicted: { lru: 0, lfu: 0, ttl: 0 },
+				criticalResets: 0,
+				keys: 0,
+				bytes: 0,
+				maxBytes: 100 * 1024 * 1024,
+				hitRatio: 0,
+			});
+		});
+
+		test('should count hits and misses of value reads', async () => {
+			cache.setItem('a', 1);
+			cache.setItem('short', 1, 0.05);
+			await sleep(100);
+
+			cache.getItem('a');
+			cache.getItem('missing');
+			cache.getItem('short');
+			cache.getItems(['a', 'b']);
+			cache.getEx('a', { ttl: 60 });
+			cache.getEx('missing');
+			await cache.wrap('a', () => 2);
+			await cache.wrap('c', () => 3);
+
+			const { hits, misses, hitRatio } = cache.metrics();
+			expect(hits).toBe(4);
+			expect(misses).toBe(5);
+			expect(hitRatio).toBeCloseTo(4 / 9);
+		});
+
+		test('should count stale reads as hits', async () => {
+			cache.setItem('price', 1, { ttl: 0.05, staleTtl: 10 });
+			await sleep(100);
+
+			expect(cache.getItem('price')).toBe(1);
+			expect(cache.metrics().hits).toBe(1);
+		});
+
+		test('should count sets and deletes', () => {
+			cache.setItem('a', 1);
+			cache.setItem('a', 2);
+			cache.incr('counter');
+			cache.hset('user:1', 'name', 'John');
+			cache.deleteItem('a');
+			cache.deleteItem('missing');
+			cache.deleteItems(['counter', 'user:1']);
+
+			const { sets, deletes } = cache.metrics();
+			expect(sets).toBe(4);
+			expect(deletes).toBe(3);
+		});
+
+		test('should count expired keys', async () => {
+			cache.setItem('short', 1, 0.05);
+			cache.setItem('long', 1, 60);
+
+			// The cleanup cycle runs every 5 seconds
+			await sleep(5500);
+			expect(cache.metrics().expired).toBe(1);
+		}, 10000);
+
+		test('should count evictions by policy', () => {
+			const small = nopeRedis.createCache({ maxMemorySize: 0.0015, evictionPolicy: 'lfu' });
+			try {
+				for (let i = 0; i < 50; i++) {
+					small.setItem(`key${i}`, 'x'.repeat(100));
+				}
+
+				const { evicted } = small.metrics();
+				expect(evicted.lfu).toBe(small.stats().evictionCount);
+				expect(evicted.lfu).toBeGreaterThan(0);
+				expect(evicted.lru).toBe(0);
+			} finally {
+				small.SERVICE_KILL();
+			}
+		});
+
+		test('should report keys and bytes as numbers', () => {
+			cache.setItem('a', 'x'.repeat(1000));
+			cache.sadd('tags', 'a', 'b');
+
+			const { keys, bytes } = cache.metrics();
+			expect(keys).toBe(2);
+			expect(Number.isInteger(bytes)).toBe(true);
+			expect(bytes).toBeGreaterThan(2000);
+		});
+
+		test('counters should survive flushAll and restarts', async () => {
+			cache.setItem('a', 1);
+			cache.getItem('a');
+			cache.flushAll();
+			await cache.SERVICE_KILL();
+			await cache.SERVICE_START();
+
+			expect(cache.metrics()).toMatchObject({ hits: 1, sets: 1, deletes: 0, keys: 0, bytes: 0 });
+		});
+	});
+
+	describe('metricsText', () => {
+		test('should render the Prometheus text format', () => {
+			cache.setItem('a', 1);
+			cache.getItem('a');
+
+			const text = cache.metricsText();
+			expect(text).toContain('# HELP nope_redis_hits_total ');
+			expect(text).toContain('# TYPE nope_redis_hits_total counter\nnope_redis_hits_total 1\n');
+			expect(text).toContain('# TYPE nope_redis_keys gauge\nnope_redis_keys 1\n');
+			expect(text).toContain('nope_redis_evicted_total{policy="lru"} 0\n');
+			expect(text).toContain('nope_redis_hit_ratio 1\n');
+			expect(text.endsWith('\n')).toBe(true);
+			// Every sample line is a name, optional labels and a number
+			for (const line of text.split('\n')) {
+				if (line === '' || line.startsWith('#')) continue;
+				expect(line).toMatch(/^[a-z_]+(\{[^}]*\})? -?[0-9.e+-]+$/);
+			}
+		});
+
+		test('should apply the prefix and escaped labels', () => {
+			const text = cache.metricsText({ prefix: 'app_cache', labels: { cache: 'a "quoted"\\name' } });
+
+			expect(text).toContain('app_cache_sets_total{cache="a \\"quoted\\"\\\\name"} 0\n');
+			expect(text).toContain('app_cache_evicted_total{cache="a \\"quoted\\"\\\\name",policy="ttl"} 0\n');
+			expect(text).not.toContain('nope_redis_');
+		});
+
+		test('should return false for an invalid prefix or label name', () => {
+			expect(cache.metricsText({ prefix: 'bad-prefix' })).toBe(false);
+			expect(cache.metricsText({ labels: { 'bad-name': 'x' } })).toBe(false);
+			expect(cache.metricsText({ labels: { policy: 'x' } })).toBe(false);
+			expect(cache.metricsText({ labels: 'cache' })).toBe(false);
+		});
+	});
+});
@@ -0,0 +1,137 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const nopeRedis = require('../index');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Millisecond TTL', () => {
+	beforeEach(async () => {
+		await nopeRedis.SERVICE_START();
+		nopeRedis.flushAll();
+	});
+
+	afterEach(() => {
+		nopeRedis.flushAll();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('psetex and pttl', () => {
+		test('should expire keys with sub-second lifetimes', async () => {
+			expect(nopeRedis.psetex('dedupe:1', 150, true)).toBe(true);
+			expect(nopeRedis.getItem('dedupe:1')).toBe(true);
+
+			await sleep(200);
+			expect(nopeRedis.getItem('dedupe:1')).toBeNull();
+		});
+
+		test('pttl should report the remaining milliseconds', () => {
+			nopeRedis.psetex('key', 1500, 'value');
+			const remaining = nopeRedis.pttl('key');
+
+			expect(remaining).toBeGreaterThan(1400);
+			expect(remaining).toBeLessThanOrEqual(1500);
+			expect(nopeRedis.pttl('missing')).toBe(-2);
+		});
+
+		test('should reject invalid arguments', () => {
+			expect(nopeRedis.psetex(123, 100, 'value')).toBe(false);
+			expect(nopeRedis.psetex('key', -1, 'value')).toBe(false);
+			expect(nopeRedis.psetex('key', Number.NaN, 'value')).toBe(false);
+		});
+	});
+
+	describe('pexpire', () => {
+		test('should change the TTL of an existing key', async () => {
+			nopeRedis.setItem('session', 'token', 60);
+
+			expect(nopeRedis.pexpire('session', 100)).toBe(true);
+			expect(nopeRedis.pttl('session')).toBeLessThanOrEqual(100);
+
+			await sleep(150);
+			expect(nopeRedis.getItem('session')).toBeNull();
+		});
+
+		test('should delete the key for a zero or negative TTL', () => {
+			nopeRedis.setItem('session', 'token', 60);
+
+			expect(nopeRedis.pexpire('session', 0)).toBe(true);
+			expect(nopeRedis.pttl('session')).toBe(-2);
+		});
+
+		test('should return false for missing keys', () => {
+			expect(nopeRedis.pexpire('missing', 100)).toBe(false);
+			expect(nopeRedis.pexpire('missing', 'soon')).toBe(false);
+		});
+	});
+
+	describe('Second based API', () => {
+		test('itemStats should keep reporting seconds', () => {
+			nopeRedis.setItem('key', 'value', 60);
+			const stats = nopeRedis.itemStats('key');
+
+			expect(stats.remaining_seconds).toBe(60);
+			expect(stats.expires_at).toBe(Math.floor(Date.now() / 1000) + 60);
+		});
+
+		test('setItem should expire after its TTL in seconds', async () => {
+			nopeRedis.setItem('key', 'value', 1);
+			expect(nopeRedis.pttl('key')).toBeGreaterThan(900);
+
+			await sleep(1100);
+			expect(nopeRedis.getItem('key')).toBeNull();
+		});
+
+		test('the cleanup cycle should remove keys expired by milliseconds', async () => {
+			nopeRedis.psetex('short', 50, 'value');
+			await sleep(100);
+			await nopeRedis.SERVICE_KILL();
+			await nopeRedis.SERVICE_START();
+
+			expect(nopeRedis.stats().keys).toEqual([]);
+		});
+	});
+
+	describe('Persistence', () => {
+		test('snapshots should keep millisecond expiry times', async () => {
+			const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nope-redis-pttl-'));
+			const file = path.join(dir, 'cache.snapshot');
+			try {
+				nopeRedis.psetex('key', 5000, 'value');
+				const remaining = nopeRedis.pttl('key');
+				await nopeRedis.saveSnapshot(file);
+				nopeRedis.flushAll();
+
+				await nopeRedis.loadSnapshot(file);
+				expect(nopeRedis.pttl('key')).toBeLessThanOrEqual(remaining);
+				expect(nopeRedis.pttl('key')).toBeGreaterThan(remaining - 1000);
+			} finally {
+				fs.rmSync(dir, { recursive: true, force: true });
+			}
+		});
+
+		test('should load version 1 snapshots with expiry times in seconds', async () => {
+			const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nope-redis-pttl-'));
+			const file = path.join(dir, 'cache.snapshot');
+			try {
+				const expiresAt = Math.floor(Date.now() / 1000) + 60;
+				fs.writeFileSync(
+					file,
+					JSON.stringify({
+						format: 'nope-redis-snapshot',
+						version: 1,
+						entries: [{ key: 'old', value: 'value', expires_at: expiresAt }],
+					}),
+				);
+
+				expect(await nopeRedis.loadSnapshot(file)).toBe(1);
+				expect(nopeRedis.itemStats('old').expires_at).toBe(expiresAt);
+			} finally {
+				fs.rmSync(dir, { recursive: true, force: true });
+			}
+		});
+	});
+});
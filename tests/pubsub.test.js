@@ -0,0 +1,142 @@
+const nopeRedis = require('../index');
+
+describe('Publish and subscribe', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('Channels', () => {
+		test('publish should deliver to channel subscribers and return the receiver count', () => {
+			const received = [];
+			cache.subscribe('news', (message, channel) => received.push([channel, message]));
+			cache.subscribe('news', (message) => received.push(['second', message]));
+
+			expect(cache.publish('news', { id: 1 })).toBe(2);
+			expect(cache.publish('sports', 'goal')).toBe(0);
+			expect(received).toEqual([
+				['news', { id: 1 }],
+				['second', { id: 1 }],
+			]);
+		});
+
+		test('should stop delivering after unsubscribing', () => {
+			const received = [];
+			const first = (message) => received.push(`first ${message}`);
+			const second = (message) => received.push(`second ${message}`);
+			const unsubscribe = cache.subscribe('news', first);
+			cache.subscribe('news', second);
+
+			expect(unsubscribe()).toBe(true);
+			expect(unsubscribe()).toBe(false);
+			cache.publish('news', 'a');
+			expect(cache.unsubscribe('news', second)).toBe(1);
+			expect(cache.publish('news', 'b')).toBe(0);
+
+			expect(received).toEqual(['second a']);
+		});
+
+		test('unsubscribe without a handler should remove every handler of the channel', () => {
+			cache.subscribe('news', () => {});
+			cache.subscribe('news', () => {});
+
+			expect(cache.unsubscribe('news')).toBe(2);
+			expect(cache.unsubscribe('news')).toBe(0);
+			expect(cache.pubsubChannels()).toEqual([]);
+		});
+	});
+
+	describe('Patterns', () => {
+		test('psubscribe should receive messages for matching channels', () => {
+			const received = [];
+			cache.psubscribe('news.*', (message, channel, pattern) => received.push([pattern, channel, message]));
+			cache.subscribe('news.tech', () => {});
+
+			expect(cache.publish('news.tech', 'release')).toBe(2);
+			expect(cache.publish('sports.football', 'goal')).toBe(0);
+			expect(received).toEqual([['news.*', 'news.tech', 'release']]);
+		});
+
+		test('punsubscribe should remove pattern subscriptions', () => {
+			const handler = () => {};
+			const unsubscribe = cache.psubscribe('news.*', handler);
+			cache.psubscribe('news.*', () => {});
+
+			expect(unsubscribe()).toBe(true);
+			expect(cache.publish('news.tech', 'release')).toBe(1);
+			expect(cache.punsubscribe('news.*')).toBe(1);
+			expect(cache.publish('news.tech', 'release')).toBe(0);
+		});
+	});
+
+	describe('Introspection', () => {
+		test('pubsubChannels should list channels with subscribers', () => {
+			cache.subscribe('news.tech', () => {});
+			cache.subscribe('news.world', () => {});
+			cache.subscribe('sports', () => {});
+			cache.psubscribe('weather.*', () => {});
+
+			expect(cache.pubsubChannels()).toEqual(['news.tech', 'news.world', 'sports']);
+			expect(cache.pubsubChannels('news.*')).toEqual(['news.tech', 'news.world']);
+		});
+
+		test('pubsubNumsub should count subscribers per channel', () => {
+			cache.subscribe('news', () => {});
+			cache.subscribe('news', () => {});
+			cache.subscribe('sports', () => {});
+
+			expect(cache.pubsubNumsub('news', 'sports', 'weather')).toEqual({ news: 2, sports: 1, weather: 0 });
+		});
+	});
+
+	describe('Errors and service state', () => {
+		test('a throwing handler should not stop delivery to the others', () => {
+			const received = [];
+			cache.subscribe('news', () => {
+				throw new Error('handler failed');
+			});
+			cache.subscribe('news', (message) => received.push(message));
+
+			expect(cache.publish('news', 'hello')).toBe(2);
+			expect(received).toEqual(['hello']);
+		});
+
+		test('should reject invalid arguments', () => {
+			expect(cache.subscribe(123, () => {})).toBe(false);
+			expect(cache.subscribe('news', 'handler')).toBe(false);
+			expect(cache.psubscribe('news.*')).toBe(false);
+			expect(cache.publish(123, 'message')).toBe(false);
+		});
+
+		test('should keep subscriptions across a restart and not publish while stopped', async () => {
+			const received = [];
+			cache.subscribe('news', (message) => received.push(message));
+
+			await cache.SERVICE_KILL();
+			expect(cache.publish('news', 'while stopped')).toBe(false);
+
+			await cache.SERVICE_START();
+			expect(cache.publish('news', 'after restart')).toBe(1);
+			expect(received).toEqual(['after restart']);
+		});
+
+		test('instances should not share channels', async () => {
+			const other = nopeRedis.createCache();
+			try {
+				other.subscribe('news', () => {});
+				expect(cache.publish('news', 'hello')).toBe(0);
+			} finally {
+				await other.SERVICE_KILL();
+			}
+		});
+	});
+});
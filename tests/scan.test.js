@@ -0,0 +1,198 @@
+const nopeRedis = require('../index');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Cursor-based scan', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	// Run a full scan, calling between(calls) after every batch
+	function scanAll(options, between = () => {}) {
+		const keys = [];
+		let cursor = 0;
+		let calls = 0;
+		do {
+			const [next, batch] = cache.scan(cursor, options);
+			keys.push(...batch);
+			cursor = next;
+			calls++;
+			between(calls);
+		} while (cursor !== 0);
+		return { keys, calls };
+	}
+
+	describe('scan', () => {
+		test('should return every key in batches of count', () => {
+			for (let i = 0; i < 10; i++) {
+				cache.setItem(`key${i}`, i);
+			}
+
+			const [cursor, batch] = cache.scan(0, { count: 3 });
+			expect(batch).toEqual(['key0', 'key1', 'key2']);
+			expect(cursor).toBeGreaterThan(0);
+
+			const { keys, calls } = scanAll({ count: 3 });
+			expect(keys.sort()).toEqual(cache.keys().sort());
+			expect(calls).toBe(4);
+		});
+
+		test('should return cursor 0 for an empty store', () => {
+			expect(cache.scan(0)).toEqual([0, []]);
+		});
+
+		test('should filter by pattern and type', () => {
+			cache.setItem('user:1', 'John');
+			cache.setItem('user:2', 'Jane');
+			cache.hset('user:1:profile', 'age', 30);
+			cache.lpush('queue', 'job');
+			cache.sadd('user:tags', 'a');
+
+			expect(scanAll({ match: 'user:?' }).keys).toEqual(['user:1', 'user:2']);
+			expect(scanAll({ type: 'hash' }).keys).toEqual(['user:1:profile']);
+			expect(scanAll({ type: 'string' }).keys).toEqual(['user:1', 'user:2']);
+			expect(scanAll({ match: 'user:*', type: 'set' }).keys).toEqual(['user:tags']);
+		});
+
+		test('should skip expired keys', async () => {
+			cache.setItem('short', 1, 0.05);
+			cache.setItem('long', 2, 60);
+			await sleep(100);
+
+			expect(scanAll({}).keys).toEqual(['long']);
+		});
+
+		test('should reject invalid arguments', async () => {
+			expect(cache.scan(-1)).toBe(false);
+			expect(cache.scan('0')).toBe(false);
+			expect(cache.scan(0, { count: 0 })).toBe(false);
+			expect(cache.scan(0, { match: 1 })).toBe(false);
+			expect(cache.scan(0, { type: 1 })).toBe(false);
+
+			await cache.SERVICE_KILL();
+			expect(cache.scan(0)).toBe(false);
+		});
+	});
+
+	describe('Guarantees under writes', () => {
+		test('should return keys present for the whole scan exactly once', () => {
+			for (let i = 0; i < 100; i++) {
+				cache.setItem(`stable${i}`, i);
+				cache.setItem(`volatile${i}`, i);
+			}
+
+			const { keys } = scanAll({ count: 7 }, (call) => {
+				// Delete, re-create, overwrite and add keys between batches
+				cache.deleteItem(`volatile${call}`);
+				cache.setItem(`volatile${call + 50}`, 'again');
+				cache.setItem(`stable${call * 3}`, 'overwritten');
+				cache.hset(`new${call}`, 'field', call);
+				cache.deleteItem(`stable${call * 5}`);
+				cache.setItem(`stable${call * 5}`, 'back');
+			});
+
+			const stable = keys.filter((key) => key.startsWith('stable'));
+			const expected = [];
+			for (let i = 0; i < 100; i++) {
+				// Keys deleted and stored again were not present for the whole scan
+				if (i % 5 !== 0) expected.push(`stable${i}`);
+			}
+			for (const key of expected) {
+				expect(stable.filter((k) => k === key)).toHaveLength(1);
+			}
+			expect(new Set(keys).size).toBe(keys.length);
+		});
+
+		test('cursors should survive compaction of removed keys', () => {
+			for (let i = 0; i < 3000; i++) {
+				cache.setItem(`key${i}`, i);
+			}
+
+			const [cursor, first] = cache.scan(0, { count: 500 });
+			for (let i = 0; i < 3000; i += 3) {
+				cache.deleteItem(`key${i}`);
+				cache.deleteItem(`key${i + 1}`);
+			}
+
+			const rest = [];
+			let next = cursor;
+			do {
+				const [following, batch] = cache.scan(next, { count: 500 });
+				rest.push(...batch);
+				next = following;
+			} while (next !== 0);
+
+			const survivors = [];
+			for (let i = 2; i < 3000; i += 3) {
+				survivors.push(`key${i}`);
+			}
+			const seen = [...first, ...rest];
+			for (const key of survivors) {
+				expect(seen).toContain(key);
+			}
+			expect(rest.filter((key) => first.includes(key))).toEqual([]);
+		});
+
+		test('should stay consistent after flushAll', () => {
+			cache.setItem('a', 1);
+			cache.flushAll();
+			cache.setItem('b', 2);
+			cache.hset('c', 'field', 1);
+
+			expect(scanAll({}).keys).toEqual(['b', 'c']);
+		});
+
+		test('should stay consistent after evictions', () => {
+			const small = nopeRedis.createCache({ maxMemorySize: 0.0015 });
+			try {
+				for (let i = 0; i < 50; i++) {
+					small.setItem(`key${i}`, 'x'.repeat(100));
+				}
+
+				const keys = [];
+				let cursor = 0;
+				do {
+					const [next, batch] = small.scan(cursor, { count: 4 });
+					keys.push(...batch);
+					cursor = next;
+				} while (cursor !== 0);
+				expect(keys).toEqual(small.stats().keys);
+			} finally {
+				small.SERVICE_KILL();
+			}
+		});
+	});
+
+	describe('scanIterator', () => {
+		test('should yield every matching key', async () => {
+			for (let i = 0; i < 25; i++) {
+				cache.setItem(`user:${i}`, i);
+				cache.setItem(`order:${i}`, i);
+			}
+
+			const keys = [];
+			for await (const key of cache.scanIterator({ match: 'user:*', count: 4 })) {
+				keys.push(key);
+			}
+			expect(keys.sort()).toEqual(cache.keys('user:*').sort());
+		});
+
+		test('should end without keys for invalid options', async () => {
+			const keys = [];
+			for await (const key of cache.scanIterator({ count: -1 })) {
+				keys.push(key);
+			}
+			expect(keys).toEqual([]);
+		});
+	});
+});
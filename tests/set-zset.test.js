@@ -0,0 +1,180 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const nopeRedis = require('../index');
+
+describe('Set and sorted set data types', () => {
+	beforeEach(async () => {
+		await nopeRedis.SERVICE_START();
+		nopeRedis.flushAll();
+	});
+
+	afterEach(() => {
+		nopeRedis.flushAll();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('Sets', () => {
+		test('sadd and srem should report how many members changed', () => {
+			expect(nopeRedis.sadd('tags', 'a', 'b', 'a')).toBe(2);
+			expect(nopeRedis.sadd('tags', 'b', 'c')).toBe(1);
+			expect(nopeRedis.srem('tags', 'a', 'missing')).toBe(1);
+			expect(nopeRedis.smembers('tags')).toEqual(['b', 'c']);
+		});
+
+		test('sismember, scard and smembers should describe the set', () => {
+			nopeRedis.sadd('tags', 'node', 'cache');
+
+			expect(nopeRedis.sismember('tags', 'node')).toBe(true);
+			expect(nopeRedis.sismember('tags', 'redis')).toBe(false);
+			expect(nopeRedis.scard('tags')).toBe(2);
+			expect(nopeRedis.scard('missing')).toBe(0);
+			expect(nopeRedis.smembers('missing')).toEqual([]);
+		});
+
+		test('should remove the key once the set is empty', () => {
+			nopeRedis.sadd('tags', 'only');
+			nopeRedis.srem('tags', 'only');
+
+			expect(nopeRedis.stats().keys).not.toContain('tags');
+			expect(nopeRedis.stats({ showSize: true }).size).toBe('0 MB');
+		});
+
+		test('sunion, sinter and sdiff should combine sets', () => {
+			nopeRedis.sadd('a', 1, 2, 3);
+			nopeRedis.sadd('b', 2, 3, 4);
+			nopeRedis.sadd('c', 3, 5);
+
+			expect(nopeRedis.sunion('a', 'b', 'c').sort()).toEqual([1, 2, 3, 4, 5]);
+			expect(nopeRedis.sinter('a', 'b', 'c')).toEqual([3]);
+			expect(nopeRedis.sinter('a', 'missing')).toEqual([]);
+			expect(nopeRedis.sdiff('a', 'b')).toEqual([1]);
+			expect(nopeRedis.sdiff('a', 'missing')).toEqual([1, 2, 3]);
+		});
+
+		test('should throw WrongTypeError for keys holding other values', () => {
+			nopeRedis.rpush('list', 'a');
+
+			expect(() => nopeRedis.sadd('list', 'a')).toThrow(nopeRedis.WrongTypeError);
+			expect(() => nopeRedis.sunion('list')).toThrow(nopeRedis.WrongTypeError);
+		});
+	});
+
+	describe('Sorted sets', () => {
+		beforeEach(() => {
+			nopeRedis.zadd('board', { alice: 30, bob: 10, carol: 20, dave: 20 });
+		});
+
+		test('zadd should add and update members', () => {
+			expect(nopeRedis.zadd('board', 5, 'erin')).toBe(1);
+			expect(nopeRedis.zadd('board', 50, 'bob')).toBe(0);
+			expect(nopeRedis.zscore('board', 'bob')).toBe(50);
+			expect(nopeRedis.zcard('board')).toBe(5);
+			expect(nopeRedis.zadd('board', 'x', 'erin')).toBe(false);
+			expect(nopeRedis.zadd('board', 1, 123)).toBe(false);
+		});
+
+		test('zrange should order by score, then member', () => {
+			expect(nopeRedis.zrange('board', 0, -1)).toEqual(['bob', 'carol', 'dave', 'alice']);
+			expect(nopeRedis.zrange('board', 0, 1, { rev: true })).toEqual(['alice', 'dave']);
+			expect(nopeRedis.zrange('board', -1, -1, { withScores: true })).toEqual([['alice', 30]]);
+			expect(nopeRedis.zrange('missing', 0, -1)).toEqual([]);
+		});
+
+		test('zrangebyscore should support inclusive, exclusive and infinite bounds', () => {
+			expect(nopeRedis.zrangebyscore('board', 10, 20)).toEqual(['bob', 'carol', 'dave']);
+			expect(nopeRedis.zrangebyscore('board', '(10', '+inf')).toEqual(['carol', 'dave', 'alice']);
+			expect(nopeRedis.zrangebyscore('board', '-inf', '(20')).toEqual(['bob']);
+			expect(nopeRedis.zrangebyscore('board', 25, 100, { withScores: true })).toEqual([['alice', 30]]);
+			expect(nopeRedis.zrangebyscore('board', 'low', 10)).toBe(false);
+		});
+
+		test('zrangebyscore should apply limit offset and count', () => {
+			expect(nopeRedis.zrangebyscore('board', '-inf', '+inf', { limit: { offset: 1, count: 2 } })).toEqual(['carol', 'dave']);
+			expect(nopeRedis.zrangebyscore('board', '-inf', '+inf', { limit: { offset: 2, count: -1 } })).toEqual(['dave', 'alice']);
+			expect(nopeRedis.zrangebyscore('board', '-inf', '+inf', { limit: { offset: -1, count: 1 } })).toBe(false);
+		});
+
+		test('zincrby should move members in the order', () => {
+			expect(nopeRedis.zincrby('board', 25, 'bob')).toBe(35);
+			expect(nopeRedis.zincrby('board', 1, 'new')).toBe(1);
+			expect(nopeRedis.zrange('board', 0, -1)).toEqual(['new', 'carol', 'dave', 'alice', 'bob']);
+		});
+
+		test('zrank, zscore and zrem should look up members', () => {
+			expect(nopeRedis.zrank('board', 'bob')).toBe(0);
+			expect(nopeRedis.zrank('board', 'alice')).toBe(3);
+			expect(nopeRedis.zrank('board', 'missing')).toBeNull();
+			expect(nopeRedis.zscore('board', 'missing')).toBeNull();
+
+			expect(nopeRedis.zrem('board', 'carol', 'missing')).toBe(1);
+			expect(nopeRedis.zrank('board', 'dave')).toBe(1);
+			nopeRedis.zrem('board', 'alice', 'bob', 'dave');
+			expect(nopeRedis.stats().keys).not.toContain('board');
+		});
+
+		test('should throw WrongTypeError for keys holding other values', () => {
+			nopeRedis.sadd('set', 'a');
+
+			expect(() => nopeRedis.zadd('set', 1, 'a')).toThrow(nopeRedis.WrongTypeError);
+			expect(() => nopeRedis.zrange('set', 0, -1)).toThrow(nopeRedis.WrongTypeError);
+		});
+	});
+
+	describe('Memory, TTL and persistence', () => {
+		test('should count members in memory usage and evict other keys', () => {
+			nopeRedis.config({ maxMemorySize: 0.005, evictionPolicy: 'lru' });
+			try {
+				nopeRedis.setItem('old', 'x'.repeat(1000), 60);
+				for (let i = 0; i < 40; i++) {
+					nopeRedis.sadd('big-set', `${'x'.repeat(50)}${i}`);
+					nopeRedis.zadd('big-zset', i, `${'x'.repeat(50)}${i}`);
+				}
+
+				expect(nopeRedis.getItem('old')).toBeNull();
+				expect(nopeRedis.stats().evictionCount).toBeGreaterThan(0);
+			} finally {
+				nopeRedis.config({ maxMemorySize: 100 });
+			}
+		});
+
+		test('should be removed by the cleanup cycle once expired', async () => {
+			nopeRedis.config({ defaultTtl: 1 });
+			try {
+				nopeRedis.sadd('set', 'a');
+				nopeRedis.zadd('zset', 1, 'a');
+			} finally {
+				nopeRedis.config({ defaultTtl: 30 });
+			}
+
+			// The cleanup cycle runs every 5 seconds
+			await new Promise((resolve) => setTimeout(resolve, 5500));
+
+			expect(nopeRedis.stats().keys).toEqual([]);
+		}, 10000);
+
+		test('should round-trip through snapshots', async () => {
+			const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nope-redis-zset-'));
+			const file = path.join(dir, 'cache.snapshot');
+			try {
+				nopeRedis.sadd('tags', 'a', 'b');
+				nopeRedis.zadd('board', { alice: 2, bob: 1, carol: Infinity });
+				await nopeRedis.saveSnapshot(file);
+				nopeRedis.flushAll();
+
+				await nopeRedis.loadSnapshot(file);
+				expect(nopeRedis.smembers('tags')).toEqual(['a', 'b']);
+				expect(nopeRedis.zrange('board', 0, -1, { withScores: true })).toEqual([
+					['bob', 1],
+					['alice', 2],
+					['carol', Infinity],
+				]);
+			} finally {
+				fs.rmSync(dir, { recursive: true, force: true });
+			}
+		});
+	});
+});
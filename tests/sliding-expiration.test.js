@@ -0,0 +1,134 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const nopeRedis = require('../index');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Sliding expiration', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('Per key', () => {
+		test('getItem should restart the TTL of a sliding key', async () => {
+			cache.setItem('session', 'token', { ttl: 0.3, sliding: true });
+
+			for (let i = 0; i < 3; i++) {
+				await sleep(200);
+				expect(cache.getItem('session')).toBe('token');
+			}
+			expect(cache.pttl('session')).toBeGreaterThan(250);
+
+			await sleep(350);
+			expect(cache.getItem('session')).toBeNull();
+		});
+
+		test('getItems should restart the TTL of sliding keys', async () => {
+			cache.setItem('a', 1, { ttl: 0.3, sliding: true });
+			cache.setItem('b', 2, 0.3);
+
+			await sleep(200);
+			expect(cache.getItems(['a', 'b'])).toEqual({ a: 1, b: 2 });
+			await sleep(200);
+			expect(cache.getItems(['a', 'b'])).toEqual({ a: 1, b: null });
+		});
+
+		test('should not extend keys stored without sliding', () => {
+			cache.setItem('plain', 'value', 60);
+			const before = cache.itemStats('plain').expires_at;
+
+			cache.getItem('plain');
+			expect(cache.itemStats('plain').expires_at).toBe(before);
+		});
+
+		test('maxLifetime should cap how long a key keeps sliding', async () => {
+			cache.setItem('session', 'token', { ttl: 0.4, sliding: true, maxLifetime: 0.7 });
+
+			await sleep(250);
+			expect(cache.getItem('session')).toBe('token');
+			await sleep(250);
+			expect(cache.getItem('session')).toBe('token');
+			expect(cache.pttl('session')).toBeLessThanOrEqual(200);
+
+			await sleep(300);
+			expect(cache.getItem('session')).toBeNull();
+		});
+
+		test('should reject invalid options', () => {
+			expect(cache.setItem('key', 'value', { sliding: 'yes' })).toBe(false);
+			expect(cache.setItem('key', 'value', { ttl: 10, maxLifetime: -1 })).toBe(false);
+			expect(cache.setItem('key', 'value', { ttl: 'long' })).toBe(false);
+			expect(cache.setItem('key', 'value', { sliding: true })).toBe(true);
+			expect(cache.ttl('key')).toBe(cache.stats().defaultTtl);
+		});
+
+		test('persist should stop a key from sliding', () => {
+			cache.setItem('session', 'token', { ttl: 10, sliding: true });
+			cache.persist('session');
+
+			cache.getItem('session');
+			expect(cache.ttl('session')).toBe(-1);
+		});
+	});
+
+	describe('Global config', () => {
+		test('slidingExpiration should apply to keys stored without options', async () => {
+			cache.config({ slidingExpiration: true });
+			cache.setItem('session', 'token', 0.3);
+			cache.setItem('fixed', 'value', { ttl: 0.3, sliding: false });
+
+			await sleep(200);
+			cache.getItems(['session', 'fixed']);
+			await sleep(200);
+
+			expect(cache.getItem('session')).toBe('token');
+			expect(cache.getItem('fixed')).toBeNull();
+			expect(cache.stats().slidingExpiration).toBe(true);
+		});
+
+		test('maxLifetime should cap sliding keys stored without their own cap', () => {
+			cache.config({ slidingExpiration: true, maxLifetime: 5 });
+			cache.setItem('session', 'token', 60);
+
+			expect(cache.ttl('session')).toBe(5);
+			expect(cache.stats().maxLifetime).toBe(5);
+		});
+
+		test('setItems should pass sliding options through', () => {
+			cache.setItems([{ key: 'session', value: 'token', ttl: 10, sliding: true, maxLifetime: 3 }]);
+
+			expect(cache.ttl('session')).toBe(3);
+		});
+	});
+
+	describe('Persistence', () => {
+		test('sliding keys should keep sliding after a snapshot round-trip', async () => {
+			const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nope-redis-sliding-'));
+			const file = path.join(dir, 'cache.snapshot');
+			try {
+				cache.setItem('session', 'token', { ttl: 0.3, sliding: true });
+				await cache.saveSnapshot(file);
+				cache.flushAll();
+				await cache.loadSnapshot(file);
+
+				await sleep(200);
+				expect(cache.getItem('session')).toBe('token');
+				await sleep(200);
+				expect(cache.getItem('session')).toBe('token');
+			} finally {
+				fs.rmSync(dir, { recursive: true, force: true });
+			}
+		});
+	});
+});
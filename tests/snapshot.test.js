@@ -0,0 +1,160 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const nopeRedis = require('../index');
+
+describe('Snapshot persistence', () => {
+	let dir;
+	let file;
+	let cache;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nope-redis-'));
+		file = path.join(dir, 'cache.snapshot');
+		cache = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	test('should save and load live entries with value, expiry and hits', async () => {
+		cache.setItem('user:1', { name: 'John', tags: ['a', 'b'] }, 60);
+		cache.setItem('count', 42, 60);
+		cache.getItem('count');
+		cache.getItem('count');
+		const before = cache.itemStats('count');
+
+		expect(await cache.saveSnapshot(file)).toBe(true);
+
+		const restored = nopeRedis.createCache();
+		try {
+			expect(await restored.loadSnapshot(file)).toBe(2);
+			expect(restored.getItem('user:1')).toEqual({ name: 'John', tags: ['a', 'b'] });
+			const stats = restored.itemStats('count');
+			expect(stats.expires_at).toBe(before.expires_at);
+			expect(stats.hit).toBe(2);
+		} finally {
+			await restored.SERVICE_KILL();
+		}
+	});
+
+	test('should round-trip values JSON cannot represent', async () => {
+		const value = {
+			date: new Date(1700000000000),
+			map: new Map([['a', 1]]),
+			set: new Set(['x', 'y']),
+			buffer: Buffer.from('hello'),
+			big: BigInt(10) ** BigInt(20),
+			nan: Number.NaN,
+			nothing: undefined,
+			$t: 'looks like a tag',
+		};
+		cache.setItem('complex', value, 60);
+		await cache.saveSnapshot(file);
+		cache.flushAll();
+
+		await cache.loadSnapshot(file);
+		const loaded = cache.getItem('complex');
+		expect(loaded.date).toEqual(value.date);
+		expect(loaded.map.get('a')).toBe(1);
+		expect(loaded.set.has('y')).toBe(true);
+		expect(loaded.buffer.toString()).toBe('hello');
+		expect(loaded.big).toBe(value.big);
+		expect(loaded.nan).toBeNaN();
+		expect('nothing' in loaded).toBe(true);
+		expect(loaded.$t).toBe('looks like a tag');
+	});
+
+	test('should skip values that cannot be serialized', async () => {
+		cache.setItem('fn', () => 1, 60);
+		cache.setItem('ok', 'value', 60);
+
+		expect(await cache.saveSnapshot(file)).toBe(true);
+		cache.flushAll();
+
+		expect(await cache.loadSnapshot(file)).toBe(1);
+		expect(cache.getItem('fn')).toBeNull();
+		expect(cache.getItem('ok')).toBe('value');
+	});
+
+	test('should skip entries that expired after the snapshot was written', async () => {
+		cache.setItem('short', 'value', 1);
+		cache.setItem('long', 'value', 60);
+		await cache.saveSnapshot(file);
+		cache.flushAll();
+
+		await new Promise((resolve) => setTimeout(resolve, 2100));
+
+		expect(await cache.loadSnapshot(file)).toBe(1);
+		expect(cache.getItem('short')).toBeNull();
+		expect(cache.getItem('long')).toBe('value');
+	});
+
+	test('should rebuild LRU order and memory size', async () => {
+		cache.setItem('a', 'x'.repeat(100), 60);
+		cache.setItem('b', 'x'.repeat(100), 60);
+		cache.setItem('c', 'x'.repeat(100), 60);
+		cache.getItem('a');
+		await cache.saveSnapshot(file);
+
+		const restored = nopeRedis.createCache();
+		try {
+			expect(restored.stats({ showSize: true }).size).toBe('0 MB');
+			await restored.loadSnapshot(file);
+			expect(restored.stats().keys).toEqual(['b', 'c', 'a']);
+			expect(restored.stats({ showSize: true }).size).not.toBe('0 MB');
+		} finally {
+			await restored.SERVICE_KILL();
+		}
+	});
+
+	test('should return false for a missing or invalid file', async () => {
+		expect(await cache.loadSnapshot(path.join(dir, 'missing'))).toBe(false);
+
+		fs.writeFileSync(file, JSON.stringify({ hello: 'world' }));
+		expect(await cache.loadSnapshot(file)).toBe(false);
+	});
+
+	test('should return false without a path or when the service is stopped', async () => {
+		expect(await cache.saveSnapshot()).toBe(false);
+
+		await cache.SERVICE_KILL();
+		expect(await cache.saveSnapshot(file)).toBe(false);
+		expect(await cache.loadSnapshot(file)).toBe(false);
+	});
+
+	test('should save to the configured snapshotPath on SERVICE_KILL', async () => {
+		cache.config({ snapshotPath: file, snapshotInterval: 300 });
+		cache.setItem('persisted', 'value', 60);
+
+		expect(cache.stats().snapshotPath).toBe(file);
+		await cache.SERVICE_KILL();
+
+		const restored = nopeRedis.createCache({ snapshotPath: file });
+		try {
+			expect(await restored.loadSnapshot()).toBe(1);
+			expect(restored.getItem('persisted')).toBe('value');
+		} finally {
+			restored.config({ snapshotPath: null });
+			await restored.SERVICE_KILL();
+		}
+	});
+
+	test('should auto-save from the cleanup cycle when due', async () => {
+		cache.config({ snapshotPath: file, snapshotInterval: 1 });
+		cache.setItem('auto', 'value', 60);
+
+		// The cleanup cycle runs every 5 seconds
+		await new Promise((resolve) => setTimeout(resolve, 5500));
+
+		expect(fs.existsSync(file)).toBe(true);
+		expect(cache.stats().lastSnapshot).toBeGreaterThan(0);
+		cache.config({ snapshotPath: null });
+	}, 10000);
+});
@@ -0,0 +1,156 @@
+const nopeRedis = require('../index');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Stale-while-revalidate and refresh-ahead', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('Grace window', () => {
+		test('should serve the stale value and refresh it in the background', async () => {
+			let calls = 0;
+			cache.registerLoader(
+				'price:*',
+				async (key) => {
+					calls++;
+					return `${key} v${calls + 1}`;
+				},
+				{ ttl: 60 },
+			);
+			cache.setItem('price:btc', 'price:btc v1', { ttl: 0.1, staleTtl: 5 });
+
+			await sleep(150);
+			expect(cache.getItem('price:btc')).toBe('price:btc v1');
+			expect(cache.getItem('price:btc')).toBe('price:btc v1');
+
+			await sleep(10);
+			expect(calls).toBe(1);
+			expect(cache.getItem('price:btc')).toBe('price:btc v2');
+			expect(cache.ttl('price:btc')).toBe(60);
+		});
+
+		test('should return null once the grace window has passed', async () => {
+			cache.setItem('key', 'value', { ttl: 0.1, staleTtl: 0.1 });
+
+			await sleep(150);
+			expect(cache.getItems(['key'])).toEqual({ key: 'value' });
+			await sleep(100);
+			expect(cache.getItem('key')).toBeNull();
+		});
+
+		test('should serve stale values without a loader', async () => {
+			cache.setItem('key', 'value', { ttl: 0.1, staleTtl: 5 });
+
+			await sleep(150);
+			expect(cache.getItem('key')).toBe('value');
+			expect(cache.ttl('key')).toBe(-2);
+		});
+
+		test('should keep the stale value when the refresh fails', async () => {
+			cache.registerLoader('*', async () => {
+				throw new Error('backend down');
+			});
+			cache.setItem('key', 'value', { ttl: 0.1, staleTtl: 5 });
+
+			await sleep(150);
+			expect(cache.getItem('key')).toBe('value');
+			await sleep(10);
+			expect(cache.getItem('key')).toBe('value');
+		});
+
+		test('the cleanup cycle should keep keys inside their grace window', async () => {
+			cache.config({ staleTtl: 10 });
+			cache.setItem('stale', 'value', 0.1);
+			cache.setItem('expired', 'value', { ttl: 0.1, staleTtl: 0 });
+
+			// The cleanup cycle runs every 5 seconds
+			await sleep(5500);
+			expect(cache.stats().keys).toEqual(['stale']);
+		}, 10000);
+
+		test('wrap should serve stale values and refresh with its own loader', async () => {
+			let calls = 0;
+			const loader = async () => {
+				calls++;
+				return `v${calls}`;
+			};
+
+			await cache.wrap('key', loader, { ttl: 0.1, staleTtl: 5 });
+			await sleep(150);
+
+			await expect(cache.wrap('key', loader, { ttl: 0.1, staleTtl: 5 })).resolves.toBe('v1');
+			await sleep(10);
+			expect(calls).toBe(2);
+			expect(cache.getItem('key')).toBe('v2');
+		});
+	});
+
+	describe('Refresh-ahead', () => {
+		test('should refresh hot keys shortly before they expire', async () => {
+			let calls = 0;
+			cache.registerLoader(
+				'hot:*',
+				async () => {
+					calls++;
+					return 'fresh';
+				},
+				{ ttl: 60, refreshAhead: 0.5, refreshAheadHits: 2 },
+			);
+			cache.setItem('hot:1', 'old', 0.4);
+
+			cache.getItem('hot:1');
+			await sleep(10);
+			expect(calls).toBe(0);
+
+			cache.getItem('hot:1');
+			await sleep(10);
+			expect(calls).toBe(1);
+			expect(cache.getItem('hot:1')).toBe('fresh');
+			expect(cache.ttl('hot:1')).toBe(60);
+		});
+
+		test('should not refresh keys far from expiring', async () => {
+			let calls = 0;
+			cache.registerLoader('*', async () => ++calls, { refreshAhead: 1 });
+			cache.setItem('key', 'value', 60);
+
+			cache.getItem('key');
+			await sleep(10);
+			expect(calls).toBe(0);
+		});
+	});
+
+	describe('Loader registration', () => {
+		test('should validate arguments and unregister loaders', async () => {
+			expect(cache.registerLoader(123, async () => 1)).toBe(false);
+			expect(cache.registerLoader('*', 'loader')).toBe(false);
+			expect(cache.registerLoader('*', async () => 1, { refreshAhead: -1 })).toBe(false);
+
+			let calls = 0;
+			expect(cache.registerLoader('*', async () => ++calls)).toBe(true);
+			expect(cache.unregisterLoader('*')).toBe(true);
+			expect(cache.unregisterLoader('*')).toBe(false);
+
+			cache.setItem('key', 'value', { ttl: 0.05, staleTtl: 5 });
+			await sleep(100);
+			expect(cache.getItem('key')).toBe('value');
+			await sleep(10);
+			expect(calls).toBe(0);
+		});
+
+		test('should reject an invalid staleTtl', () => {
+			expect(cache.setItem('key', 'value', { staleTtl: -1 })).toBe(false);
+		});
+	});
+});
@@ -0,0 +1,210 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const nopeRedis = require('../index');
+
+describe('Strict mode', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache({ strict: true });
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('Configuration', () => {
+		test('should be enabled through createCache or config', () => {
+			expect(cache.stats().strict).toBe(true);
+
+			const lenient = nopeRedis.createCache();
+			try {
+				expect(lenient.stats().strict).toBe(false);
+				expect(lenient.config({ strict: true })).toBe(true);
+				expect(lenient.getItem('missing')).toBeUndefined();
+				expect(lenient.config({ strict: false })).toBe(true);
+				expect(lenient.getItem('missing')).toBeNull();
+			} finally {
+				lenient.SERVICE_KILL();
+			}
+		});
+
+		test('should export an error hierarchy', () => {
+			const { NopeRedisError, ServiceStoppedError, InvalidArgumentError, InvalidKeyError, InvalidTtlError, WrongTypeError } = nopeRedis;
+
+			expect(new ServiceStoppedError('getItem')).toBeInstanceOf(NopeRedisError);
+			expect(new InvalidArgumentError('bad')).toBeInstanceOf(NopeRedisError);
+			expect(new InvalidKeyError(42)).toBeInstanceOf(InvalidArgumentError);
+			expect(new InvalidTtlError(-1)).toBeInstanceOf(InvalidArgumentError);
+			expect(new WrongTypeError('key')).toBeInstanceOf(NopeRedisError);
+			expect(new InvalidKeyError(42).name).toBe('InvalidKeyError');
+		});
+	});
+
+	describe('Misses', () => {
+		test('should return undefined instead of null', () => {
+			cache.hset('user:1', 'name', 'John');
+			cache.rpush('queue', 'job');
+
+			expect(cache.getItem('missing')).toBeUndefined();
+			expect(cache.getEx('missing', { ttl: 5 })).toBeUndefined();
+			expect(cache.itemStats('missing')).toBeUndefined();
+			expect(cache.hget('user:1', 'age')).toBeUndefined();
+			expect(cache.hmget('user:1', ['name', 'age'])).toEqual(['John', undefined]);
+			expect(cache.lpop('missing')).toBeUndefined();
+			expect(cache.lindex('queue', 5)).toBeUndefined();
+			expect(cache.zscore('missing', 'member')).toBeUndefined();
+			expect(cache.getItems(['missing'])).toEqual({ missing: undefined });
+			expect(cache.setItem('fresh', 1, { get: true })).toEqual({ written: true, previous: undefined });
+		});
+
+		test('a cached false should differ from a failure', async () => {
+			cache.setItem('enabled', false);
+			expect(cache.getItem('enabled')).toBe(false);
+
+			await cache.SERVICE_KILL();
+			expect(() => cache.getItem('enabled')).toThrow(nopeRedis.ServiceStoppedError);
+		});
+
+		test('blpop should resolve undefined on timeout', async () => {
+			await expect(cache.blpop('queue', 0.05)).resolves.toBeUndefined();
+		});
+	});
+
+	describe('Errors', () => {
+		test('should throw ServiceStoppedError while the service is stopped', async () => {
+			await cache.SERVICE_KILL();
+
+			expect(() => cache.setItem('key', 'value')).toThrow(nopeRedis.ServiceStoppedError);
+			expect(() => cache.incr('key')).toThrow(nopeRedis.ServiceStoppedError);
+			expect(() => cache.keys()).toThrow(nopeRedis.ServiceStoppedError);
+			try {
+				cache.deleteItem('key');
+			} catch (error) {
+				expect(error.command).toBe('deleteItem');
+			}
+		});
+
+		test('should throw InvalidKeyError for non-string keys', () => {
+			expect(() => cache.setItem(42, 'value')).toThrow(nopeRedis.InvalidKeyError);
+			expect(() => cache.getItem({})).toThrow(nopeRedis.InvalidKeyError);
+			expect(() => cache.hset(null, 'field', 1)).toThrow(nopeRedis.InvalidKeyError);
+			expect(() => cache.getItems(['a', 1])).toThrow(nopeRedis.InvalidKeyError);
+			try {
+				cache.ttl(7);
+			} catch (error) {
+				expect(error.key).toBe(7);
+			}
+		});
+
+		test('should throw InvalidTtlError for invalid durations', () => {
+			expect(() => cache.setItem('key', 'value', -5)).toThrow(nopeRedis.InvalidTtlError);
+			expect(() => cache.setItem('key', 'value', { staleTtl: 'soon' })).toThrow(nopeRedis.InvalidTtlError);
+			expect(() => cache.expire('key', Number.NaN)).toThrow(nopeRedis.InvalidTtlError);
+			expect(() => cache.psetex('key', -1, 'value')).toThrow(nopeRedis.InvalidTtlError);
+			try {
+				cache.setItem('key', 'value', -5);
+			} catch (error) {
+				expect(error.ttl).toBe(-5);
+			}
+		});
+
+		test('should throw InvalidArgumentError for other invalid arguments', () => {
+			expect(() => cache.setItem('key', 'value', { nx: true, xx: true })).toThrow(nopeRedis.InvalidArgumentError);
+			expect(() => cache.setItems('not an array')).toThrow(nopeRedis.InvalidArgumentError);
+			expect(() => cache.lpush('list')).toThrow(nopeRedis.InvalidArgumentError);
+			expect(() => cache.scan(-1)).toThrow(nopeRedis.InvalidArgumentError);
+			expect(() => cache.on('unknown', () => {})).toThrow(nopeRedis.InvalidArgumentError);
+			expect(() => cache.memoize('not a function')).toThrow(nopeRedis.InvalidArgumentError);
+		});
+
+		test('config should reject invalid values without applying any', () => {
+			const { maxMemorySize } = cache.stats();
+			expect(() => cache.config({ defaultTtl: -5 })).toThrow(nopeRedis.InvalidTtlError);
+			expect(() => cache.config({ maxLifetime: 'x' })).toThrow(nopeRedis.InvalidTtlError);
+			expect(() => cache.config({ evictionPolicy: 'random' })).toThrow(nopeRedis.InvalidArgumentError);
+			expect(() => cache.config({ maxMemorySize: 1, historySize: 0 })).toThrow(nopeRedis.InvalidArgumentError);
+			expect(() => cache.config(null)).toThrow(nopeRedis.InvalidArgumentError);
+			expect(cache.stats().maxMemorySize).toBe(maxMemorySize);
+
+			const lenient = nopeRedis.createCache();
+			try {
+				expect(lenient.config({ defaultTtl: -5 })).toBe(true);
+				expect(() => lenient.config({ strict: true, defaultTtl: -5 })).toThrow(nopeRedis.InvalidTtlError);
+				expect(lenient.stats().strict).toBe(false);
+			} finally {
+				lenient.SERVICE_KILL();
+			}
+		});
+
+		test('should throw WrongTypeError as in lenient mode', () => {
+			cache.setItem('name', 'John');
+
+			expect(() => cache.incr('name')).toThrow(nopeRedis.WrongTypeError);
+			expect(() => cache.hget('name', 'field')).toThrow(nopeRedis.WrongTypeError);
+		});
+
+		test('async commands should reject', async () => {
+			await expect(cache.wrap(42, () => 1)).rejects.toThrow(nopeRedis.InvalidKeyError);
+			await expect(cache.blpop('queue', -1)).rejects.toThrow(nopeRedis.InvalidTtlError);
+			await expect(cache.saveSnapshot()).rejects.toThrow(nopeRedis.InvalidArgumentError);
+		});
+
+		test('loadSnapshot should reject for an invalid file', async () => {
+			const file = path.join(os.tmpdir(), `nope-redis-strict-${process.pid}.json`);
+			fs.writeFileSync(file, '{"not":"a snapshot"}');
+			try {
+				await expect(cache.loadSnapshot(file)).rejects.toThrow(nopeRedis.InvalidArgumentError);
+			} finally {
+				fs.unlinkSync(file);
+			}
+		});
+
+		test('pending blocking pops should reject when the service stops', async () => {
+			const pending = cache.blpop('queue', 5);
+			await cache.SERVICE_KILL();
+
+			await expect(pending).rejects.toThrow(nopeRedis.ServiceStoppedError);
+		});
+
+		test('exec should throw instead of returning false', () => {
+			cache.setItem('counter', 1);
+			const transaction = cache.multi().incr('counter');
+
+			expect(() => cache.multi().setItem('key', 'value', -5).exec()).toThrow(nopeRedis.InvalidTtlError);
+			expect(() => cache.watch([42]).exec()).toThrow(nopeRedis.InvalidKeyError);
+			expect(transaction.exec()).toEqual([2]);
+			expect(() => transaction.exec()).toThrow(nopeRedis.NopeRedisError);
+		});
+
+		test('exec should still return null when a watched key changed', () => {
+			const transaction = cache.watch('balance');
+			cache.setItem('balance', 100);
+
+			expect(transaction.incr('balance').exec()).toBeNull();
+		});
+	});
+
+	describe('Lenient mode', () => {
+		test('should keep returning false and null', async () => {
+			const lenient = nopeRedis.createCache();
+			try {
+				expect(lenient.getItem('missing')).toBeNull();
+				expect(lenient.setItem(42, 'value')).toBe(false);
+				expect(lenient.setItem('key', 'value', -5)).toBe(false);
+				expect(lenient.hget(42, 'field')).toBe(false);
+				await expect(lenient.wrap(42, () => 1)).resolves.toBe(false);
+
+				await lenient.SERVICE_KILL();
+				expect(lenient.getItem('key')).toBe(false);
+			} finally {
+				lenient.SERVICE_KILL();
+			}
+		});
+	});
+});
@@ -0,0 +1,160 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const nopeRedis = require('../index');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('Tag-based invalidation', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('invalidateTags and keysByTag', () => {
+		test('should delete every key carrying any of the tags', () => {
+			cache.setItem('api:/orgs/5/members', 'members', { ttl: 60, tags: ['org:5', 'user:1', 'user:2'] });
+			cache.setItem('api:/users/1', 'user 1', { ttl: 60, tags: ['user:1'] });
+			cache.setItem('api:/users/2', 'user 2', { ttl: 60, tags: ['user:2'] });
+			cache.setItem('api:/health', 'ok', 60);
+
+			expect(cache.keysByTag('user:1')).toEqual(['api:/orgs/5/members', 'api:/users/1']);
+			expect(cache.invalidateTags(['user:1', 'missing'])).toBe(2);
+			expect(cache.stats().keys).toEqual(['api:/users/2', 'api:/health']);
+			expect(cache.keysByTag('user:1')).toEqual([]);
+			expect(cache.keysByTag('user:2')).toEqual(['api:/users/2']);
+		});
+
+		test('should accept a single tag', () => {
+			cache.setItem('a', 1, { tags: ['t'] });
+
+			expect(cache.invalidateTags('t')).toBe(1);
+			expect(cache.getItem('a')).toBeNull();
+		});
+
+		test('should emit a del event per deleted key', () => {
+			const events = [];
+			cache.on('del', (event) => events.push(event));
+			cache.setItem('a', 1, { tags: ['t'] });
+			cache.setItem('b', 2, { tags: ['t'] });
+
+			cache.invalidateTags(['t']);
+			expect(events.map((event) => [event.key, event.reason])).toEqual([
+				['a', 'invalidateTags'],
+				['b', 'invalidateTags'],
+			]);
+		});
+
+		test('writing a key again should replace its tags', () => {
+			cache.setItem('key', 1, { tags: ['old'] });
+			cache.setItem('key', 2, { tags: ['new', 'new'] });
+
+			expect(cache.keysByTag('old')).toEqual([]);
+			expect(cache.keysByTag('new')).toEqual(['key']);
+
+			cache.setItem('key', 3);
+			expect(cache.invalidateTags(['new'])).toBe(0);
+			expect(cache.stats().tagCount).toBe(0);
+		});
+
+		test('keysByTag should skip expired keys', async () => {
+			cache.setItem('short', 1, { ttl: 0.05, tags: ['t'] });
+			cache.setItem('long', 2, { ttl: 60, tags: ['t'] });
+
+			await sleep(100);
+			expect(cache.keysByTag('t')).toEqual(['long']);
+		});
+
+		test('should reject invalid arguments', () => {
+			expect(cache.setItem('key', 1, { tags: 'user:1' })).toBe(false);
+			expect(cache.setItem('key', 1, { tags: [1] })).toBe(false);
+			expect(cache.invalidateTags([1])).toBe(false);
+			expect(cache.invalidateTags(null)).toBe(false);
+			expect(cache.keysByTag(1)).toBe(false);
+		});
+	});
+
+	describe('Index cleanup', () => {
+		test('deleteItem and deleteItems should remove keys from the index', () => {
+			cache.setItem('a', 1, { tags: ['t1'] });
+			cache.setItem('b', 2, { tags: ['t2'] });
+
+			cache.deleteItem('a');
+			cache.deleteItems(['b']);
+			expect(cache.stats().tagCount).toBe(0);
+		});
+
+		test('flushAll should clear the index', () => {
+			cache.setItem('a', 1, { tags: ['t1', 't2'] });
+
+			cache.flushAll();
+			expect(cache.stats().tagCount).toBe(0);
+			expect(cache.keysByTag('t1')).toEqual([]);
+		});
+
+		test('eviction should remove keys from the index', () => {
+			const small = nopeRedis.createCache({ maxMemorySize: 0.0015 });
+			try {
+				for (let i = 0; i < 50; i++) {
+					small.setItem(`key${i}`, 'x'.repeat(100), { tags: [`tag${i}`, 'all'] });
+				}
+				const keys = small.stats().keys;
+
+				expect(small.stats().evictionCount).toBeGreaterThan(0);
+				expect(small.stats().tagCount).toBe(keys.length + 1);
+				expect(small.keysByTag('all')).toEqual(keys);
+			} finally {
+				small.SERVICE_KILL();
+			}
+		});
+
+		test('the cleanup cycle should remove expired keys from the index', async () => {
+			cache.setItem('short', 1, { ttl: 0.1, tags: ['t'] });
+
+			// The cleanup cycle runs every 5 seconds
+			await sleep(5500);
+			expect(cache.stats().keys).toEqual([]);
+			expect(cache.stats().tagCount).toBe(0);
+		}, 10000);
+
+		test('data type commands replacing an expired tagged key should remove it from the index', async () => {
+			cache.setItem('key', 'value', { ttl: 0.05, tags: ['t'] });
+			await sleep(100);
+
+			cache.hset('key', 'field', 'value');
+			expect(cache.stats().tagCount).toBe(0);
+		});
+	});
+
+	describe('Persistence', () => {
+		test('tags should survive a snapshot round-trip and append-only log replay', async () => {
+			const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nope-redis-tags-'));
+			const logged = nopeRedis.createCache({ appendOnlyPath: path.join(dir, 'cache.aof') });
+			try {
+				logged.setItem('a', 1, { ttl: 60, tags: ['t'] });
+				logged.setItem('b', 2, { ttl: 60, tags: ['t'] });
+				logged.deleteItem('b');
+				await logged.saveSnapshot(path.join(dir, 'cache.snapshot'));
+
+				const replayed = nopeRedis.createCache({ appendOnlyPath: path.join(dir, 'cache.aof') });
+				expect(replayed.keysByTag('t')).toEqual(['a']);
+				await replayed.SERVICE_KILL();
+
+				await cache.loadSnapshot(path.join(dir, 'cache.snapshot'));
+				expect(cache.invalidateTags(['t'])).toBe(1);
+			} finally {
+				await logged.SERVICE_KILL();
+				fs.rmSync(dir, { recursive: true, force: true });
+			}
+		});
+	});
+});
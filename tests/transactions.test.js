@@ -0,0 +1,265 @@
+const nopeRedis = require('../index');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('MULTI/EXEC transactions', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('multi and exec', () => {
+		test('should apply queued commands and return their results', () => {
+			cache.setItem('counter', 5, 60);
+			cache.setItem('cart:7', ['item'], 60);
+			cache.setItem('session:7', 'token', 60);
+
+			const results = cache
+				.multi()
+				.setItem('order:42', { id: 42 }, 3600)
+				.incr('counter')
+				.deleteItem('cart:7')
+				.expire('session:7', 120)
+				.expire('missing', 10)
+				.exec();
+
+			expect(results).toEqual([true, 6, true, true, false]);
+			expect(cache.getItem('order:42')).toEqual({ id: 42 });
+			expect(cache.getItem('counter')).toBe(6);
+			expect(cache.getItem('cart:7')).toBeNull();
+			expect(cache.ttl('session:7')).toBe(120);
+		});
+
+		test('should not change anything before exec', () => {
+			const transaction = cache.multi().setItem('key', 'value').incr('counter');
+
+			expect(cache.getItem('key')).toBeNull();
+			expect(transaction.exec()).toEqual([true, 1]);
+			expect(cache.getItem('key')).toBe('value');
+		});
+
+		test('should see the effects of earlier queued commands', () => {
+			cache.setItem('key', 'text', 60);
+
+			expect(cache.multi().setItem('key', 10).incr('key').incr('key').exec()).toEqual([true, 11, 12]);
+			expect(cache.multi().deleteItem('key').incr('key').exec()).toEqual([true, 1]);
+		});
+
+		test('should apply nothing when a command has invalid arguments', () => {
+			cache.setItem('counter', 1, 60);
+
+			expect(cache.multi().incr('counter').setItem('key', 'value', -5).exec()).toBe(false);
+			expect(cache.multi().incr('counter').expire('counter', 'soon').exec()).toBe(false);
+			expect(cache.multi().incr('counter').deleteItem(42).exec()).toBe(false);
+			expect(cache.getItem('counter')).toBe(1);
+			expect(cache.getItem('key')).toBeNull();
+		});
+
+		test('should apply nothing when incr would overflow', () => {
+			cache.setItem('big', Number.MAX_SAFE_INTEGER, 60);
+
+			expect(cache.multi().setItem('key', 'value').incr('big').exec()).toBe(false);
+			expect(cache.getItem('key')).toBeNull();
+		});
+
+		test('should throw WrongTypeError and apply nothing when incr hits a non-integer', () => {
+			cache.setItem('name', 'John', 60);
+			cache.hset('user:1', 'age', 30);
+
+			expect(() => cache.multi().setItem('key', 'value').incr('name').exec()).toThrow(nopeRedis.WrongTypeError);
+			expect(() => cache.multi().incr('user:1').exec()).toThrow(nopeRedis.WrongTypeError);
+			expect(() => cache.multi().setItem('n', 1.5).incr('n').exec()).toThrow(nopeRedis.WrongTypeError);
+			expect(cache.getItem('key')).toBeNull();
+			expect(cache.getItem('n')).toBeNull();
+		});
+
+		test('expire with a TTL in the past should delete the key for later commands', () => {
+			cache.setItem('counter', 'text', 60);
+
+			expect(cache.multi().expire('counter', 0).incr('counter').exec()).toEqual([true, 1]);
+		});
+
+		test('should only execute once', () => {
+			const transaction = cache.multi().incr('counter');
+
+			expect(transaction.exec()).toEqual([1]);
+			expect(transaction.exec()).toBe(false);
+			expect(cache.getItem('counter')).toBe(1);
+		});
+
+		test('discard should drop the queued commands', () => {
+			const transaction = cache.multi().setItem('key', 'value');
+
+			expect(transaction.discard()).toBe(true);
+			expect(transaction.exec()).toBe(false);
+			expect(cache.getItem('key')).toBeNull();
+		});
+
+		test('should return false while the service is stopped', async () => {
+			const transaction = cache.multi().setItem('key', 'value');
+
+			await cache.SERVICE_KILL();
+			expect(transaction.exec()).toBe(false);
+		});
+
+		test('should emit an event for each applied command', () => {
+			const events = [];
+			cache.on('set', (event) => events.push([event.key, event.reason]));
+			cache.on('del', (event) => events.push([event.key, event.reason]));
+			cache.setItem('old', 1, 60);
+			events.length = 0;
+
+			cache.multi().setItem('a', 1).incr('b').deleteItem('old').exec();
+			expect(events).toEqual([
+				['a', 'setItem'],
+				['b', 'incr'],
+				['old', 'deleteItem'],
+			]);
+		});
+	});
+
+	describe('watch', () => {
+		test('should execute when watched keys are unchanged', () => {
+			cache.setItem('balance', 100, 60);
+			const transaction = cache.watch('balance');
+			cache.getItem('balance');
+			cache.setItem('other', 1);
+
+			expect(transaction.setItem('balance', 90, 60).exec()).toEqual([true]);
+			expect(cache.getItem('balance')).toBe(90);
+		});
+
+		test('should abort when a watched key is written', () => {
+			cache.setItem('balance', 100, 60);
+			const transaction = cache.watch(['balance', 'limit']);
+			cache.incr('balance');
+
+			expect(transaction.setItem('balance', 90, 60).exec()).toBeNull();
+			expect(cache.getItem('balance')).toBe(101);
+		});
+
+		test('should abort when a watched key is overwritten with the same value', () => {
+			cache.setItem('balance', 100, 60);
+			const transaction = cache.watch('balance');
+			cache.setItem('balance', 100, 60);
+
+			expect(transaction.incr('balance').exec()).toBeNull();
+		});
+
+		test('should abort when a watched key is deleted, created or changes its TTL', () => {
+			cache.setItem('a', 1, 60);
+			cache.setItem('c', 1, 60);
+			const deleted = cache.watch('a');
+			const created = cache.watch('b');
+			const retimed = cache.watch('c');
+
+			cache.deleteItem('a');
+			cache.setItem('b', 1);
+			cache.expire('c', 120);
+
+			expect(deleted.incr('x').exec()).toBeNull();
+			expect(created.incr('x').exec()).toBeNull();
+			expect(retimed.incr('x').exec()).toBeNull();
+			expect(cache.getItem('x')).toBeNull();
+		});
+
+		test('should abort when a watched key expires', async () => {
+			cache.setItem('lock', 'owner', 0.05);
+			const transaction = cache.watch('lock');
+			await sleep(100);
+
+			expect(transaction.setItem('lock', 'next').exec()).toBeNull();
+		});
+
+		test('should abort when a watched key is evicted', () => {
+			const small = nopeRedis.createCache({ maxMemorySize: 0.0015 });
+			try {
+				small.setItem('watched', 'value');
+				const transaction = small.watch('watched');
+				for (let i = 0; i < 50; i++) {
+					small.setItem(`key${i}`, 'x'.repeat(100));
+				}
+
+				expect(small.getItem('watched')).toBeNull();
+				expect(transaction.setItem('watched', 'new').exec()).toBeNull();
+			} finally {
+				small.SERVICE_KILL();
+			}
+		});
+
+		test('should abort when watched data type keys change', () => {
+			cache.hset('user:1', 'name', 'John');
+			const transaction = cache.watch('user:1');
+			cache.hset('user:1', 'age', 30);
+
+			expect(transaction.deleteItem('user:1').exec()).toBeNull();
+		});
+
+		test('should abort when a watched key is created and deleted again', () => {
+			const transaction = cache.watch('k');
+			cache.setItem('k', 1);
+			cache.deleteItem('k');
+
+			expect(transaction.setItem('k', 'mine').exec()).toBeNull();
+			expect(cache.getItem('k')).toBeNull();
+		});
+
+		test('should abort when a watched key is deleted and written again', () => {
+			cache.setItem('k', 1, 60);
+			const transaction = cache.watch('k');
+			cache.flushAll();
+			cache.setItem('k', 1, 60);
+			cache.deleteItem('k');
+			cache.setItem('k', 1, 60);
+
+			expect(transaction.incr('k').exec()).toBeNull();
+		});
+
+		test('should abort when a missing watched key is written and expires', async () => {
+			const transaction = cache.watch('lock');
+			cache.setItem('lock', 'owner', 0.05);
+			await sleep(100);
+
+			expect(transaction.setItem('lock', 'next').exec()).toBeNull();
+		});
+
+		test('an expired key removed while watched counts as unchanged', async () => {
+			cache.setItem('lock', 'owner', 0.05);
+			await sleep(100);
+			const transaction = cache.watch('lock');
+			expect(cache.getItem('lock')).toBeNull();
+
+			expect(transaction.setItem('lock', 'next').exec()).toEqual([true]);
+		});
+
+		test('a key missing when watched and at exec counts as unchanged', () => {
+			const transaction = cache.watch('lock');
+
+			expect(transaction.setItem('lock', 'owner').exec()).toEqual([true]);
+		});
+
+		test('tx.watch should add keys to the transaction', () => {
+			cache.setItem('a', 1, 60);
+			cache.setItem('b', 1, 60);
+			const transaction = cache.watch('a').watch(['b']);
+			cache.incr('b');
+
+			expect(transaction.incr('a').exec()).toBeNull();
+		});
+
+		test('invalid keys should make exec return false', () => {
+			expect(cache.watch(42).incr('a').exec()).toBe(false);
+			expect(cache.multi().watch([1]).incr('a').exec()).toBe(false);
+			expect(cache.getItem('a')).toBeNull();
+		});
+	});
+});
@@ -0,0 +1,156 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const nopeRedis = require('../index');
+
+describe('TTL management commands', () => {
+	beforeEach(async () => {
+		await nopeRedis.SERVICE_START();
+		nopeRedis.flushAll();
+	});
+
+	afterEach(() => {
+		nopeRedis.flushAll();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	describe('expire and expireAt', () => {
+		test('expire should change the TTL without resetting the value or hits', () => {
+			nopeRedis.setItem('session', { user: 1 }, 10);
+			nopeRedis.getItem('session');
+
+			expect(nopeRedis.expire('session', 120)).toBe(true);
+			expect(nopeRedis.ttl('session')).toBe(120);
+			expect(nopeRedis.itemStats('session').hit).toBe(1);
+			expect(nopeRedis.getItem('session')).toEqual({ user: 1 });
+		});
+
+		test('expireAt should set an absolute Unix timestamp', () => {
+			nopeRedis.setItem('session', 'token', 10);
+			const timestamp = Math.floor(Date.now() / 1000) + 300;
+
+			expect(nopeRedis.expireAt('session', timestamp)).toBe(true);
+			expect(nopeRedis.itemStats('session').expires_at).toBe(timestamp);
+		});
+
+		test('should delete the key for a TTL or timestamp in the past', () => {
+			nopeRedis.setItem('a', 1, 60);
+			nopeRedis.setItem('b', 2, 60);
+
+			expect(nopeRedis.expire('a', 0)).toBe(true);
+			expect(nopeRedis.expireAt('b', 1000)).toBe(true);
+			expect(nopeRedis.stats().keys).toEqual([]);
+		});
+
+		test('should return false for missing keys and invalid times', () => {
+			nopeRedis.setItem('key', 'value', 60);
+
+			expect(nopeRedis.expire('missing', 60)).toBe(false);
+			expect(nopeRedis.expireAt('missing', 2000000000)).toBe(false);
+			expect(nopeRedis.expire('key', 'soon')).toBe(false);
+			expect(nopeRedis.expire('key', Infinity)).toBe(false);
+		});
+
+		test('should work for data type keys', () => {
+			nopeRedis.hset('user:1', 'name', 'John');
+
+			expect(nopeRedis.expire('user:1', 500)).toBe(true);
+			expect(nopeRedis.ttl('user:1')).toBe(500);
+		});
+	});
+
+	describe('persist and ttl', () => {
+		test('ttl should return -2 for missing keys', () => {
+			expect(nopeRedis.ttl('missing')).toBe(-2);
+			expect(nopeRedis.pttl('missing')).toBe(-2);
+		});
+
+		test('persist should make a key never expire', () => {
+			nopeRedis.setItem('config', 'value', 1);
+
+			expect(nopeRedis.persist('config')).toBe(true);
+			expect(nopeRedis.persist('config')).toBe(false);
+			expect(nopeRedis.persist('missing')).toBe(false);
+			expect(nopeRedis.ttl('config')).toBe(-1);
+			expect(nopeRedis.pttl('config')).toBe(-1);
+			expect(nopeRedis.itemStats('config')).toEqual({ expires_at: null, remaining_seconds: -1, hit: 0, version: expect.any(Number) });
+		});
+
+		test('persisted keys should outlive their original TTL', async () => {
+			nopeRedis.setItem('config', 'value', 1);
+			nopeRedis.persist('config');
+
+			await new Promise((resolve) => setTimeout(resolve, 1100));
+			expect(nopeRedis.getItem('config')).toBe('value');
+		});
+
+		test('expire should give a persisted key a TTL again', () => {
+			nopeRedis.setItem('config', 'value', 60);
+			nopeRedis.persist('config');
+
+			expect(nopeRedis.expire('config', 30)).toBe(true);
+			expect(nopeRedis.ttl('config')).toBe(30);
+		});
+	});
+
+	describe('getEx', () => {
+		test('should return the value and change its TTL', () => {
+			nopeRedis.setItem('session', 'token', 10);
+
+			expect(nopeRedis.getEx('session', { ttl: 600 })).toBe('token');
+			expect(nopeRedis.ttl('session')).toBe(600);
+			expect(nopeRedis.itemStats('session').hit).toBe(1);
+		});
+
+		test('should remove the expiry with persist', () => {
+			nopeRedis.setItem('session', 'token', 10);
+
+			expect(nopeRedis.getEx('session', { persist: true })).toBe('token');
+			expect(nopeRedis.ttl('session')).toBe(-1);
+		});
+
+		test('should behave like getItem without options', () => {
+			nopeRedis.setItem('session', 'token', 10);
+
+			expect(nopeRedis.getEx('session')).toBe('token');
+			expect(nopeRedis.ttl('session')).toBe(10);
+			expect(nopeRedis.getEx('missing', { ttl: 60 })).toBeNull();
+		});
+
+		test('should reject invalid TTLs', () => {
+			nopeRedis.setItem('session', 'token', 10);
+
+			expect(nopeRedis.getEx('session', { ttl: -5 })).toBe(false);
+			expect(nopeRedis.getEx('session', { ttl: 'long' })).toBe(false);
+			expect(nopeRedis.ttl('session')).toBe(10);
+		});
+	});
+
+	describe('Persistence', () => {
+		test('keys without expiry should round-trip through snapshots and the append-only log', async () => {
+			const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nope-redis-ttl-'));
+			const cache = nopeRedis.createCache({ appendOnlyPath: path.join(dir, 'cache.aof') });
+			try {
+				cache.setItem('config', 'value', 60);
+				cache.persist('config');
+				cache.setItem('session', 'token', 60);
+				cache.expire('session', 600);
+				await cache.saveSnapshot(path.join(dir, 'cache.snapshot'));
+
+				const replayed = nopeRedis.createCache({ appendOnlyPath: path.join(dir, 'cache.aof') });
+				expect(replayed.ttl('config')).toBe(-1);
+				expect(replayed.ttl('session')).toBe(600);
+				await replayed.SERVICE_KILL();
+
+				expect(await nopeRedis.loadSnapshot(path.join(dir, 'cache.snapshot'))).toBe(2);
+				expect(nopeRedis.ttl('config')).toBe(-1);
+			} finally {
+				await cache.SERVICE_KILL();
+				fs.rmSync(dir, { recursive: true, force: true });
+			}
+		});
+	});
+});
@@ -0,0 +1,108 @@
+const nopeRedis = require('../index');
+
+describe('Read-through wrap', () => {
+	let cache;
+
+	beforeEach(() => {
+		cache = nopeRedis.createCache();
+	});
+
+	afterEach(async () => {
+		await cache.SERVICE_KILL();
+	});
+
+	afterAll(async () => {
+		await nopeRedis.SERVICE_KILL();
+	});
+
+	test('should load and store a missing value', async () => {
+		const loader = async (key) => `value of ${key}`;
+
+		await expect(cache.wrap('user:1', loader, 60)).resolves.toBe('value of user:1');
+		expect(cache.getItem('user:1')).toBe('value of user:1');
+		expect(cache.ttl('user:1')).toBe(60);
+	});
+
+	test('should return cached values without calling the loader', async () => {
+		cache.setItem('user:1', { name: 'John' }, 60);
+		let calls = 0;
+
+		const value = await cache.wrap('user:1', async () => {
+			calls++;
+			return { name: 'Jane' };
+		});
+
+		expect(value).toEqual({ name: 'John' });
+		expect(calls).toBe(0);
+		expect(cache.itemStats('user:1').hit).toBe(1);
+	});
+
+	test('should run the loader once for concurrent misses', async () => {
+		let calls = 0;
+		const loader = () =>
+			new Promise((resolve) => {
+				calls++;
+				setTimeout(() => resolve(42), 50);
+			});
+
+		const results = await Promise.all([cache.wrap('answer', loader), cache.wrap('answer', loader), cache.getOrSet('answer', loader)]);
+
+		expect(results).toEqual([42, 42, 42]);
+		expect(calls).toBe(1);
+	});
+
+	test('should reject every waiter and cache nothing when the loader fails', async () => {
+		let calls = 0;
+		const loader = () =>
+			new Promise((_resolve, reject) => {
+				calls++;
+				setTimeout(() => reject(new Error('backend down')), 20);
+			});
+
+		const first = cache.wrap('user:1', loader);
+		const second = cache.wrap('user:1', loader);
+
+		await expect(first).rejects.toThrow('backend down');
+		await expect(second).rejects.toThrow('backend down');
+		expect(calls).toBe(1);
+		expect(cache.getItem('user:1')).toBeNull();
+
+		// The next miss calls the loader again
+		await expect(cache.wrap('user:1', async () => 'recovered')).resolves.toBe('recovered');
+	});
+
+	test('should reject when the loader throws synchronously', async () => {
+		const loader = () => {
+			throw new Error('sync failure');
+		};
+
+		await expect(cache.wrap('key', loader)).rejects.toThrow('sync failure');
+		await expect(cache.wrap('key', () => 'value')).resolves.toBe('value');
+	});
+
+	test('should store with setItem options', async () => {
+		await cache.wrap('session', async () => 'token', { ttl: 120, sliding: true });
+
+		expect(cache.ttl('session')).toBe(120);
+	});
+
+	test('should cache falsy values', async () => {
+		let calls = 0;
+		const loader = async () => {
+			calls++;
+			return null;
+		};
+
+		await cache.wrap('empty', loader);
+		await expect(cache.wrap('empty', loader)).resolves.toBeNull();
+		expect(calls).toBe(1);
+	});
+
+	test('should resolve false for invalid arguments or a stopped service', async () => {
+		await expect(cache.wrap(123, async () => 1)).resolves.toBe(false);
+		await expect(cache.wrap('key', 'not a function')).resolves.toBe(false);
+
+		await cache.SERVICE_KILL();
+		await expect(cache.wrap('key', async () => 1)).resolves.toBe(false);
+	});
+});